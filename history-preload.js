@@ -0,0 +1,13 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+// Print History window
+contextBridge.exposeInMainWorld("hostegoHistory", {
+    /** Past jobs, newest first: { total, entries } */
+    getHistory: (filter) => ipcRenderer.invoke("GET_HISTORY", filter),
+
+    /** Print a past job again. Resolves when it has finished: { success, jobId, error? } */
+    reprint: (historyId) => ipcRenderer.invoke("REPRINT_JOB", { historyId }),
+
+    /** Progress of reprints started from this window */
+    onProgress: (callback) => ipcRenderer.on("PRINT_PROGRESS", (_event, progress) => callback(progress)),
+});
@@ -1,6 +1,60 @@
-const { app, BrowserWindow, ipcMain, dialog, Menu } = require("electron");
+const { app, BrowserWindow, ipcMain, dialog, Menu, Tray, nativeImage, shell } = require("electron");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
+const crypto = require("crypto");
+const { createPrintQueue, FILE_STATES, JOB_SOURCES } = require("./lib/print-queue");
+const { createJobControl } = require("./lib/job-control");
+const {
+    PDFJS_SCRIPT_URL,
+    PDFJS_WORKER_URL,
+    registerRenderScheme,
+    getRenderSession,
+    renderCsp,
+    toLocalPath,
+    toRenderUrl,
+    exposeLocalFile,
+    revokeLocalFile,
+} = require("./lib/render-protocol");
+const { PAPER_SIZES, getFileOption, resolveFileOptions, pageSizeMicrons } = require("./lib/print-options");
+const {
+    OFFICE_EXTENSIONS,
+    OFFICE_MIME_TYPES,
+    urlExtension,
+    officeExtension,
+    detectConverter,
+    convertToPdf,
+} = require("./lib/office-converter");
+const { createDownloadCache, normalizeChecksum } = require("./lib/download-cache");
+const { resolveRetryPolicy, decideRetry } = require("./lib/retry-policy");
+const { JOB_STATES } = require("./lib/spooler");
+const { getPrinterBackend } = require("./lib/printer-backend");
+const { PRINTER_STATES, describePrinter, createPrinterMonitor, classifyPrintFailure } = require("./lib/printer-status");
+const { FAILOVER_ERROR_TYPES, loadRoutingConfig, routeFile } = require("./lib/printer-routing");
+const { showPreview } = require("./lib/preview-window");
+const { OUTPUT_MODES, normalizeOutputMode, pdfOptionsFor, saveOrderPdf } = require("./lib/pdf-export");
+const { openAnalyzer, describeFile, summarizeAnalysis } = require("./lib/page-analysis");
+const { createJobHistory } = require("./lib/job-history");
+const { IMAGE_EXTENSIONS, IMAGE_MIME_TYPES, prepareImage } = require("./lib/image-preprocess");
+const { loadLocalApiConfig, createLocalApi } = require("./lib/local-api");
+const { loadAgentConfig, createOrderLedger, createOrderAgent } = require("./lib/order-agent");
+const logger = require("./lib/logger");
+const { writeDiagnosticsBundle } = require("./lib/diagnostics");
+const { validateJob, negotiateSchema } = require("./lib/job-schema");
+const { summarizeStation } = require("./lib/station-status");
+const { isLaunchAtLoginEnabled, setLaunchAtLogin, wasLaunchedAtLogin } = require("./lib/launch-at-login");
+const { DEFAULT_SETTINGS, createSettingsStore } = require("./lib/settings");
+const {
+    setPartnerUrl,
+    parseHostList,
+    checkFileUrl,
+    isTrustedSender,
+    isAppPageSender,
+    isAllowedNavigation,
+    guardNavigation,
+} = require("./lib/security");
+
+const log = logger.scope("main");
 
 // Mitigate Windows cache errors
 if (process.platform === "win32") {
@@ -10,58 +64,333 @@ if (process.platform === "win32") {
         if (!fs.existsSync(userDataPath)) fs.mkdirSync(userDataPath, { recursive: true });
         app.setPath("userData", userDataPath);
     } catch (e) {
-        console.warn("Could not set userData path:", e.message);
+        log.warn("Could not set userData path", { error: e.message });
     }
 }
 
+// Structured logs in <userData>/logs (HOSTEGO_LOG_LEVEL: debug, info, warn or error)
+logger.configure({
+    dir: path.join(app.getPath("userData"), "logs"),
+    level: process.env.HOSTEGO_LOG_LEVEL || "info",
+});
+
+// One client per station, so two windows never print the same order; a second launch
+// brings the running app's window to the front instead
+const isPrimaryInstance = app.requestSingleInstanceLock();
+if (!isPrimaryInstance) {
+    log.info("Hostego Print is already running; focusing it");
+    app.quit();
+} else {
+    app.on("second-instance", () => {
+        if (app.isReady()) showMainWindow();
+    });
+}
+
+// Serves bundled pdf.js and local job files to the render window; must be registered before ready
+registerRenderScheme();
+
+// No window may open new windows or attach webviews; only the main window follows links, and only
+// within hostego.in (other links open in the default browser)
+app.on("web-contents-created", (_event, contents) => {
+    const isMainWindow = () => Boolean(mainWindow && !mainWindow.isDestroyed() && mainWindow.webContents === contents);
+    guardNavigation(contents, {
+        isAllowed: (url) => isMainWindow() && isAllowedNavigation(url, TRUSTED_PAGES),
+        openExternally: isMainWindow,
+    });
+});
+
+// Largest file the app will download for printing
+const MAX_DOWNLOAD_BYTES = 200 * 1024 * 1024;
+// How often printer status is polled for PRINTER_STATUS_CHANGED events
+const PRINTER_MONITOR_INTERVAL_MS = 10000;
+// Printer routing rules, in the userData folder (see lib/printer-routing.js)
+const ROUTING_CONFIG_FILE = "printer-routing.json";
+// Local HTTP/WebSocket print API settings, in the userData folder (see lib/local-api.js)
+const LOCAL_API_CONFIG_FILE = "local-api.json";
+// Order agent settings (userData), see lib/order-agent.js
+const ORDER_AGENT_CONFIG_FILE = "order-agent.json";
+// The app's own pages that may use the print API, besides the partner web app
+const TRUSTED_PAGES = [path.join(__dirname, "test-document-print.html"), path.join(__dirname, "history.html")];
+// The Settings window; only it may read and change the station settings
+const SETTINGS_PAGE = path.join(__dirname, "settings.html");
+// Station settings (userData), see lib/settings.js
+const SETTINGS_FILE = "settings.json";
+// Optional comma-separated hosts job files may come from, e.g. "cdn.hostego.in,*.amazonaws.com"
+const ALLOWED_FILE_HOSTS = parseHostList(process.env.HOSTEGO_ALLOWED_FILE_HOSTS);
+// Where output_mode 'pdf' / 'print_and_pdf' jobs are saved when Settings name no folder
+const defaultPdfExportDir = () => path.join(app.getPath("documents"), "Hostego Print");
+// The folder from `stationSettings`; the HOSTEGO_PDF_DIR environment variable overrides it
+const pdfExportDir = (stationSettings) => process.env.HOSTEGO_PDF_DIR || stationSettings.pdfExportDir || defaultPdfExportDir();
+// How long to wait for the OS spooler to finish a submitted job
+const SPOOLER_CONFIRM_TIMEOUT_MS = 15 * 60 * 1000;
+
+// errorType reported for a file whose spooler job did not complete
+const SPOOLER_FAILURES = {
+    [JOB_STATES.ABORTED]: { errorType: "spooler_aborted", message: "The print job was aborted by the print spooler." },
+    [JOB_STATES.CANCELLED]: { errorType: "spooler_cancelled", message: "The print job was cancelled in the print spooler." },
+    [JOB_STATES.HELD]: { errorType: "spooler_held", message: "The print job is held in the print spooler and needs attention at the printer." },
+    [JOB_STATES.UNKNOWN]: { errorType: "spooler_timeout", message: "The print spooler did not confirm that the job finished." },
+};
+
 let mainWindow;
+let printQueue;
+let downloadCache;
+let printerMonitor;
+let jobHistory;
+let historyWindow;
+let settingsWindow;
+let settings;
+let localApi = null;
+let orderAgent = null;
+let tray = null;
+// The tray menu's labels when it was last built, to skip rebuilding an unchanged menu
+let trayMenuKey = null;
+// Launch at Login state, read from the OS once and then kept in step with the menu
+let launchAtLogin = null;
+// Last progress event of the running print job, for the tray
+let activeJob = null;
+// Set once the app is quitting, so closing the main window no longer just hides it
+let quitting = false;
+// jobId -> cancel/pause/resume control for queued and running jobs
+const jobControls = new Map();
+
+/** Show the Print History window (one at a time) */
+function openHistoryWindow() {
+    if (historyWindow && !historyWindow.isDestroyed()) {
+        historyWindow.focus();
+        return;
+    }
+    historyWindow = new BrowserWindow({
+        width: 1100,
+        height: 750,
+        title: "Print History",
+        parent: mainWindow && !mainWindow.isDestroyed() ? mainWindow : undefined,
+        autoHideMenuBar: true,
+        webPreferences: {
+            preload: path.join(__dirname, "history-preload.js"),
+        },
+    });
+    historyWindow.loadFile(path.join(__dirname, "history.html"));
+    historyWindow.on("closed", () => {
+        historyWindow = null;
+    });
+}
+
+/** Show the Settings window (one at a time) */
+function openSettingsWindow() {
+    if (settingsWindow && !settingsWindow.isDestroyed()) {
+        settingsWindow.focus();
+        return;
+    }
+    settingsWindow = new BrowserWindow({
+        width: 640,
+        height: 720,
+        title: "Settings",
+        parent: mainWindow && !mainWindow.isDestroyed() ? mainWindow : undefined,
+        autoHideMenuBar: true,
+        webPreferences: {
+            preload: path.join(__dirname, "settings-preload.js"),
+        },
+    });
+    settingsWindow.loadFile(SETTINGS_PAGE);
+    settingsWindow.on("closed", () => {
+        settingsWindow = null;
+    });
+}
 
 /** Get printer list */
-async function getPrintersList(webContents) {
-    if (!webContents) return [];
+function getPrintersList(webContents) {
+    return getPrinterBackend().getPrinters(webContents);
+}
+
+/**
+ * Whether jobs may be sent to `printer`, judged as GET_PRINTERS and the tray show it
+ * (describePrinter). A printer whose status the OS does not report at all is still tried.
+ */
+function isPrinterUsable(printer) {
+    const { state, isAvailable } = describePrinter(printer);
+    return isAvailable || state === PRINTER_STATES.UNKNOWN;
+}
+
+// Printer status reasons that have their own print errorType (and operator message)
+const PRINTER_REASON_ERROR_TYPES = { no_paper: "no_paper", paper_jam: "paper_jam", no_ink: "no_ink", cover_open: "printer_cover_open" };
+
+/** "offline" or "error: no_paper, paper_jam", for messages about a printer that is not usable */
+function printerStateText(printer) {
+    const { state, reasons } = describePrinter(printer);
+    return reasons.length ? `${state}: ${reasons.join(", ")}` : state;
+}
+
+/** errorType for a printer that is not usable: the one its reasons imply, else 'printer_offline' */
+function printerErrorType(printer) {
+    const reason = describePrinter(printer).reasons.find((r) => PRINTER_REASON_ERROR_TYPES[r]);
+    return reason ? PRINTER_REASON_ERROR_TYPES[reason] : "printer_offline";
+}
+
+/** Help > Export Diagnostics Bundle: zip recent logs, printers, capabilities and versions for support */
+async function exportDiagnostics() {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: "Export Diagnostics Bundle",
+        defaultPath: path.join(app.getPath("desktop"), `hostego-print-diagnostics-${stamp}.zip`),
+        filters: [{ name: "Zip archive", extensions: ["zip"] }],
+    });
+    if (canceled || !filePath) return;
+
     try {
-        if (typeof webContents.getPrintersAsync === "function") {
-            return await webContents.getPrintersAsync();
-        }
-        if (typeof webContents.getPrinters === "function") {
-            return webContents.getPrinters();
-        }
-    } catch (e) {
-        console.warn("getPrinters failed:", e?.message || e);
+        const printers = mainWindow && !mainWindow.isDestroyed() ? await getPrintersList(mainWindow.webContents) : [];
+        writeDiagnosticsBundle(filePath, {
+            logFiles: logger.logFiles(),
+            printers: printers.map((p) => describePrinter(p)),
+            capabilities: await getCapabilities(),
+            appInfo: { name: app.getName(), version: app.getVersion(), printerStates: printerMonitor ? printerMonitor.current() : null },
+        });
+        log.info("Exported diagnostics bundle", { path: filePath });
+        shell.showItemInFolder(filePath);
+    } catch (err) {
+        log.error("Could not export diagnostics bundle", { error: err });
+        dialog.showErrorBox("Export Diagnostics Bundle", `Could not save the diagnostics bundle: ${err.message}`);
     }
-    return [];
 }
 
-function createWindow() {
-    let iconPath;
+function appIconPath() {
     if (process.platform === "darwin") {
         const icnsPath = path.join(__dirname, "assets/icon.icns");
         const pngPath = path.join(__dirname, "assets/icon.png");
-        iconPath = fs.existsSync(icnsPath) ? icnsPath : pngPath;
-    } else if (process.platform === "win32") {
-        iconPath = path.join(__dirname, "assets/favicon.ico");
-    } else {
-        iconPath = path.join(__dirname, "assets/icon.png");
+        return fs.existsSync(icnsPath) ? icnsPath : pngPath;
+    }
+    if (process.platform === "win32") {
+        return path.join(__dirname, "assets/favicon.ico");
     }
+    return path.join(__dirname, "assets/icon.png");
+}
+
+/**
+ * dialog.showMessageBox over the main window, or on its own while the window is closed or hidden
+ * in the tray (a dialog attached to a hidden window would never be seen)
+ */
+function showMessageBox(options) {
+    return mainWindow && !mainWindow.isDestroyed() && mainWindow.isVisible()
+        ? dialog.showMessageBox(mainWindow, options)
+        : dialog.showMessageBox(options);
+}
+
+/** Bring the main window back from the tray (or the dock), recreating it if it was destroyed */
+function showMainWindow() {
+    if (!mainWindow || mainWindow.isDestroyed()) {
+        createWindow();
+        return;
+    }
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.show();
+    mainWindow.focus();
+}
+
+/** Tray icon with the station's print queue, printers and order agent; the app keeps running there */
+function updateTray() {
+    if (!tray) {
+        tray = new Tray(nativeImage.createFromPath(appIconPath()).resize({ width: 16, height: 16 }));
+        tray.on("click", () => showMainWindow());
+    }
+    const agent = orderAgent ? orderAgent.status() : null;
+    const station = summarizeStation({
+        activeJob,
+        queued: Math.max(0, jobControls.size - (activeJob ? 1 : 0)),
+        printers: printerMonitor ? printerMonitor.current() : [],
+        agent,
+    });
+    if (launchAtLogin === null) launchAtLogin = isLaunchAtLoginEnabled();
+    // Progress events call this for every file; only a change the menu shows rebuilds it
+    const menuKey = JSON.stringify([station, agent && agent.state, agent && agent.lastError, launchAtLogin]);
+    if (menuKey === trayMenuKey) return;
+    trayMenuKey = menuKey;
+
+    const agentItems = [];
+    if (agent) {
+        const paused = agent.state === "paused";
+        agentItems.push(
+            { type: "separator" },
+            { label: station.agent, enabled: false },
+            ...(agent.lastError ? [{ label: `Last error: ${agent.lastError.slice(0, 80)}`, enabled: false }] : []),
+            {
+                label: paused ? "Resume Order Agent" : "Pause Order Agent",
+                click: () => (paused ? orderAgent.resume() : orderAgent.pause()),
+            }
+        );
+    }
+    tray.setToolTip(station.tooltip);
+    tray.setContextMenu(Menu.buildFromTemplate([
+        { label: station.job, enabled: false },
+        { label: station.queue, enabled: false },
+        station.printers.items.length
+            ? { label: station.printers.label, submenu: station.printers.items.map((label) => ({ label, enabled: false })) }
+            : { label: station.printers.label, enabled: false },
+        ...agentItems,
+        { type: "separator" },
+        { label: "Show Hostego Print", click: () => showMainWindow() },
+        { label: "Print History", click: () => openHistoryWindow() },
+        { label: "Settings...", click: () => openSettingsWindow() },
+        {
+            label: "Launch at Login",
+            type: "checkbox",
+            checked: launchAtLogin,
+            click: (item) => {
+                try {
+                    setLaunchAtLogin(item.checked);
+                    log.info("Launch at login changed", { enabled: item.checked });
+                } catch (err) {
+                    log.error("Could not change launch at login", { error: err });
+                    dialog.showErrorBox("Launch at Login", `Could not change the login item: ${err.message}`);
+                }
+                launchAtLogin = isLaunchAtLoginEnabled();
+                // The checkbox toggled itself; rebuild so it shows the real state
+                trayMenuKey = null;
+                updateTray();
+            },
+        },
+        { type: "separator" },
+        { label: "Quit", click: () => app.quit() },
+    ]));
+}
+
+/** Create the main window; `hidden` keeps it in the tray (started at login) */
+function createWindow({ hidden = false } = {}) {
+    const iconPath = appIconPath();
 
     mainWindow = new BrowserWindow({
         width: 1200,
         height: 800,
         icon: iconPath,
         title: "Hostego Print",
+        show: !hidden,
         webPreferences: {
             preload: __dirname + "/preload.js",
+            contextIsolation: true,
+            nodeIntegration: false,
+            sandbox: true,
         },
     });
 
-    mainWindow.loadURL("https://hostego.in/printego-partner");
+    mainWindow.loadURL(settings.get().partnerUrl);
+
+    // Closing (or minimizing) the window keeps the station running in the tray; Quit ends the app
+    mainWindow.on("close", (event) => {
+        if (quitting || !tray) return;
+        event.preventDefault();
+        mainWindow.hide();
+    });
+    if (process.platform !== "darwin") {
+        mainWindow.on("minimize", () => {
+            if (tray) mainWindow.hide();
+        });
+    }
 
     // Open DevTools for debugging (remove in production)
     // mainWindow.webContents.openDevTools();
 
     // Inject script to extend supported file types in web app
     mainWindow.webContents.on('did-finish-load', () => {
-        console.log("Web page loaded, injecting capabilities...");
+        log.info("Web page loaded, injecting capabilities");
 
         mainWindow.webContents.executeJavaScript(`
             // Extend the web app to support document files
@@ -94,7 +423,7 @@ function createWindow() {
                 console.warn('⚠️ hostego.getCapabilities not available');
             }
         `).catch(err => {
-            console.log('Script injection failed:', err.message);
+            log.warn('Script injection failed', { error: err.message });
         });
     });
 
@@ -110,7 +439,7 @@ function createWindow() {
                 {
                     label: 'Open Hostego Partner',
                     click: () => {
-                        mainWindow.loadURL("https://hostego.in/printego-partner");
+                        mainWindow.loadURL(settings.get().partnerUrl);
                     }
                 },
                 {
@@ -119,6 +448,16 @@ function createWindow() {
                         mainWindow.loadFile(path.join(__dirname, 'test-document-print.html'));
                     }
                 },
+                {
+                    label: 'Print History',
+                    accelerator: 'CmdOrCtrl+Shift+H',
+                    click: () => openHistoryWindow()
+                },
+                {
+                    label: 'Settings...',
+                    accelerator: 'CmdOrCtrl+,',
+                    click: () => openSettingsWindow()
+                },
                 { type: 'separator' },
                 {
                     label: 'Reload',
@@ -140,7 +479,12 @@ function createWindow() {
         },
         {
             label: 'Help',
-            submenu: []
+            submenu: [
+                {
+                    label: 'Export Diagnostics Bundle...',
+                    click: () => exportDiagnostics()
+                }
+            ]
         }
     ];
 
@@ -148,29 +492,47 @@ function createWindow() {
     Menu.setApplicationMenu(menu);
 }
 
-ipcMain.handle("GET_PRINTERS", async () => {
+/** ipcMain.handle for the print API; calls from any page but the partner web app and the app's own pages are refused */
+function handleTrusted(channel, handler) {
+    ipcMain.handle(channel, (event, ...args) => {
+        if (!isTrustedSender(event, TRUSTED_PAGES)) {
+            log.warn("Refused IPC call from an untrusted page", { channel, url: event.senderFrame ? event.senderFrame.url : null });
+            throw new Error(`${channel} is not allowed from this page.`);
+        }
+        return handler(event, ...args);
+    });
+}
+
+handleTrusted("GET_PRINTERS", async () => {
     if (mainWindow && !mainWindow.isDestroyed() && mainWindow.webContents) {
         const printers = await getPrintersList(mainWindow.webContents);
-        // Return printers with status information
-        // Frontend should check status before allowing print
-        return printers.map(p => ({
-            ...p,
-            isAvailable: !String(p.status || '').toLowerCase().includes('offline') && 
-                        !String(p.status || '').toLowerCase().includes('unavailable') &&
-                        !String(p.status || '').toLowerCase().includes('error')
-        }));
+        // Return printers with normalised status (state, reasons, isAvailable, rawStatus)
+        // Frontend should check isAvailable before allowing print
+        return printers.map((p) => describePrinter(p));
     }
     return [];
 });
 
-ipcMain.handle("PRINT_JOB", async (event, job) => {
-    const jobId = job._jobId || Date.now();
-    const { _jobId, ...printJobData } = job;
+/**
+ * Run a queued print job and report its progress to `target` (any object with
+ * `send(channel, payload)` and `isDestroyed()`, e.g. a webContents).
+ * Files before `startIndex` were already printed and are skipped.
+ */
+async function runPrintJob(target, entry, startIndex = 0) {
+    const jobId = entry.jobId;
+    const control = jobControls.get(jobId);
+    const printJobData = entry.job;
+    const startedAt = new Date();
+    // Data sent with PRINT_SUCCESSFULLY_DONE, kept for the job history
+    let successResult = null;
 
     // Helper to send progress updates
     const sendProgress = (progress) => {
-        if (event.sender && !event.sender.isDestroyed()) {
-            event.sender.send('PRINT_PROGRESS', {
+        printQueue.recordProgress(entry.queueId, progress);
+        activeJob = { jobId, order_id: printJobData.order_id, ...progress };
+        updateTray();
+        if (target && !target.isDestroyed()) {
+            target.send('PRINT_PROGRESS', {
                 jobId,
                 ...progress
             });
@@ -179,76 +541,698 @@ ipcMain.handle("PRINT_JOB", async (event, job) => {
 
     // Helper to send success callback when all prints are done
     const sendSuccess = (data) => {
-        if (event.sender && !event.sender.isDestroyed()) {
+        successResult = data;
+        if (target && !target.isDestroyed()) {
             const successData = {
                 jobId,
                 order_id: printJobData.order_id,
                 printerName: printJobData.deviceName,
                 ...data
             };
-            console.log('Sending PRINT_SUCCESSFULLY_DONE event:', JSON.stringify(successData, null, 2));
-            event.sender.send('PRINT_SUCCESSFULLY_DONE', successData);
+            log.info('Sending PRINT_SUCCESSFULLY_DONE', { jobId, order_id: successData.order_id, summary: successData.summary, pdfPath: successData.pdfPath });
+            target.send('PRINT_SUCCESSFULLY_DONE', successData);
         } else {
-            console.warn('Cannot send PRINT_SUCCESSFULLY_DONE: event.sender is destroyed or unavailable');
+            log.warn('Cannot send PRINT_SUCCESSFULLY_DONE: target is destroyed or unavailable', { jobId });
         }
     };
 
     // Helper to send error callback for printer errors
     const sendError = (error) => {
-        if (event.sender && !event.sender.isDestroyed()) {
+        if (target && !target.isDestroyed()) {
             const errorData = {
                 jobId,
                 order_id: printJobData.order_id,
                 error: error.message || error,
                 errorType: error.errorType || 'printer_error'
             };
-            console.log('Sending PRINT_ERROR event:', JSON.stringify(errorData, null, 2));
-            event.sender.send('PRINT_ERROR', errorData);
+            // Which files printed, failed (and why) or were skipped
+            if (error.report) {
+                errorData.files = error.report;
+                errorData.summary = summarizeReport(error.report);
+            }
+            log.info('Sending PRINT_ERROR', { jobId, order_id: errorData.order_id, error: errorData.error, errorType: errorData.errorType, files: errorData.files });
+            target.send('PRINT_ERROR', errorData);
         } else {
-            console.warn('Cannot send PRINT_ERROR: event.sender is destroyed or unavailable');
+            log.warn('Cannot send PRINT_ERROR: target is destroyed or unavailable', { jobId });
         }
     };
 
+    // Paper out, jams etc.: ask the operator in the main window. The web app can answer
+    // too: hostego.resume(jobId) retries the file, hostego.cancel(jobId) cancels the job.
+    const waitForOperator = async (error, fileIndex) => {
+        const abort = new AbortController();
+        const decisions = [control.waitForDecision()];
+        const orderLabel = printJobData.order_id ? ` of order ${printJobData.order_id}` : "";
+        const dialogOptions = {
+            type: "warning",
+            buttons: ["Retry", "Skip file", "Cancel job"],
+            defaultId: 0,
+            cancelId: 2,
+            title: "Printer needs attention",
+            message: error.message,
+            detail: `File ${fileIndex + 1} of ${entry.files.length}${orderLabel} could not be printed. Fix the printer, then choose Retry.`,
+            signal: abort.signal,
+        };
+        decisions.push(showMessageBox(dialogOptions).then(({ response }) => ["retry", "skip", "cancel"][response]));
+        const decision = await Promise.race(decisions);
+        abort.abort();
+        log.info("Operator decision", { jobId, fileIndex, decision });
+        if (decision === "cancel") control.cancel();
+        return decision;
+    };
+
+    // Every finished job is kept in the job history (search and reprint)
+    const recordHistory = (status, files, extra = {}) => {
+        const urls = printJobData.images_urls || [];
+        const fileReport = files || urls.map((url, index) => ({ fileIndex: index, url, status: 'pending', attempts: 0 }));
+        jobHistory.record({
+            jobId,
+            order_id: printJobData.order_id,
+            status,
+            createdAt: entry.createdAt,
+            startedAt: startedAt.toISOString(),
+            finishedAt: new Date().toISOString(),
+            durationMs: Date.now() - startedAt.getTime(),
+            printers: [...new Set(fileReport.map((f) => f.printerName).filter(Boolean))],
+            files: fileReport.map((f) => ({ ...f, settings: historyFileSettings(printJobData, f.fileIndex) })),
+            summary: summarizeReport(fileReport),
+            reprintOf: printJobData.reprint_of,
+            job: printJobData,
+            ...extra
+        });
+    };
+
     try {
-        await printJob(printJobData, sendProgress, sendSuccess, sendError);
+        await printJob(printJobData, sendProgress, sendSuccess, sendError, { jobId, startIndex, control, waitForOperator });
+        recordHistory('completed', successResult && successResult.files, {
+            outputMode: successResult && successResult.outputMode,
+            pdfPath: successResult && successResult.pdfPath
+        });
         sendProgress({
             fileIndex: -1,
             totalFiles: printJobData.images_urls?.length || 0,
             status: 'completed',
             message: 'Print job completed successfully'
         });
-        return { success: true, message: "Print job completed successfully" };
+        return { success: true, jobId, message: "Print job completed successfully" };
     } catch (err) {
-        console.error("Print failed", err);
+        const cancelled = err.errorType === 'cancelled';
+        if (cancelled) {
+            log.info("Print job cancelled", { jobId });
+        } else {
+            log.error("Print failed", { jobId, order_id: printJobData.order_id, error: err });
+        }
+        if (err.fileIndex >= 0) {
+            printQueue.setFileState(entry.queueId, err.fileIndex, FILE_STATES.FAILED, err.message);
+        }
         sendError(err);
+        recordHistory(cancelled ? 'cancelled' : 'failed', err.report, {
+            error: err.message,
+            errorType: err.errorType || 'printer_error'
+        });
         sendProgress({
             fileIndex: -1,
             totalFiles: printJobData.images_urls?.length || 0,
-            status: 'error',
+            status: cancelled ? 'cancelled' : 'error',
             message: err.message
         });
-        return { success: false, error: err.message };
+        return { success: false, jobId, cancelled, error: err.message, errorType: err.errorType || 'printer_error', files: err.report };
+    }
+}
+
+/** Queue a job behind any running one; its control stays registered until it settles */
+function enqueuePrintJob(target, entry, startIndex = 0) {
+    jobControls.set(entry.jobId, createJobControl());
+    updateTray();
+    return printQueue
+        .run(entry, () => runPrintJob(target, entry, startIndex))
+        .finally(() => {
+            jobControls.delete(entry.jobId);
+            if (activeJob && activeJob.jobId === entry.jobId) activeJob = null;
+            updateTray();
+            downloadCache.cleanup();
+        });
+}
+
+/** Reply for a job that failed validateJob(): { success: false, code, field, message } plus error/errorType */
+function invalidJobResult(err) {
+    return {
+        success: false,
+        code: err.code || "invalid_value",
+        field: err.field || null,
+        message: err.message,
+        error: err.message,
+        errorType: err.errorType || "invalid_print_options",
+        fileIndex: err.fileIndex,
+    };
+}
+
+/**
+ * Queue a print job and run it, reporting to `sender`. A job that fails the schema is never queued.
+ * `source` (JOB_SOURCES) is recorded in the queue for crash recovery.
+ */
+function submitPrintJob(sender, jobId, printJobData, { source } = {}) {
+    try {
+        validateJob(printJobData);
+    } catch (err) {
+        const result = { ...invalidJobResult(err), jobId };
+        log.warn("Rejected invalid print job", { jobId, order_id: printJobData && printJobData.order_id, code: result.code, field: result.field, error: err.message });
+        if (!sender.isDestroyed()) {
+            sender.send('PRINT_ERROR', { ...result, order_id: printJobData && printJobData.order_id });
+            sender.send('PRINT_PROGRESS', {
+                jobId,
+                fileIndex: -1,
+                totalFiles: Array.isArray(printJobData && printJobData.images_urls) ? printJobData.images_urls.length : 0,
+                status: 'error',
+                message: err.message
+            });
+        }
+        return Promise.resolve(result);
+    }
+
+    // Jobs are recorded on disk and run one at a time so concurrent orders never share the print window
+    const waiting = printQueue.size() > 0;
+    const entry = printQueue.add(jobId, printJobData, { source });
+    if (waiting && !sender.isDestroyed()) {
+        sender.send('PRINT_PROGRESS', {
+            jobId,
+            fileIndex: -1,
+            totalFiles: entry.files.length,
+            status: 'queued',
+            message: 'Waiting for the previous print job to finish...'
+        });
     }
+    return enqueuePrintJob(sender, entry);
+}
+
+/**
+ * Reject a job from the local API or the order agent that could never print, before it is queued.
+ * `source` names the caller in error messages.
+ */
+function validateRemoteJob(job, source) {
+    validateJob(job);
+    job.images_urls.forEach((url, index) => {
+        // Clients on the network must not be able to print files from this computer
+        if (!/^https?:\/\//i.test(url)) {
+            const error = new Error(`File ${index + 1} is not an http(s) URL; ${source} does not accept local files.`);
+            error.errorType = "url_not_allowed";
+            error.code = "invalid_value";
+            error.field = `images_urls[${index}]`;
+            error.fileIndex = index;
+            throw error;
+        }
+        checkFileUrl(url, index, { allowedHosts: ALLOWED_FILE_HOSTS });
+    });
+}
+
+/** Start the local HTTP/WebSocket print API if local-api.json enables it */
+async function startLocalApi() {
+    let config;
+    try {
+        config = loadLocalApiConfig(path.join(app.getPath("userData"), LOCAL_API_CONFIG_FILE));
+    } catch (err) {
+        log.error("Local API not started", { error: err });
+        return;
+    }
+    if (!config) return;
+
+    localApi = createLocalApi({
+        config,
+        submitJob: (job) => {
+            validateRemoteJob(job, "the local API");
+            const jobId = crypto.randomUUID();
+            const { _jobId, ...printJobData } = job;
+            submitPrintJob(localApi.target, jobId, printJobData).catch((err) => {
+                log.error("Local API job failed", { jobId, error: err });
+            });
+            return jobId;
+        },
+        controlJob: (jobId, action) => withJobControl(jobId, (control) => control[action]()),
+        getPrinters: async () => {
+            const printers = mainWindow && !mainWindow.isDestroyed() ? await getPrintersList(mainWindow.webContents) : [];
+            return printers.map((p) => describePrinter(p));
+        },
+        getCapabilities,
+    });
+    try {
+        await localApi.start();
+    } catch (err) {
+        log.error("Local API could not listen", { host: config.host, port: config.port, error: err });
+        localApi = null;
+    }
+}
+
+/** Print an order pulled by the order agent; resolves with the result it posts back to the backend */
+async function runAgentJob(job) {
+    validateRemoteJob(job, "the order agent");
+    const jobId = crypto.randomUUID();
+    let finished = null;
+    const target = {
+        send: (channel, data) => {
+            if (channel === "PRINT_SUCCESSFULLY_DONE" || channel === "PRINT_ERROR") finished = data;
+            // Local API WebSocket clients can follow agent jobs too
+            if (localApi) localApi.broadcast(channel, data);
+        },
+        isDestroyed: () => false,
+    };
+    const { _jobId, ...printJobData } = job;
+    const result = await submitPrintJob(target, jobId, printJobData, { source: JOB_SOURCES.ORDER_AGENT });
+    return {
+        jobId,
+        status: result.success ? "completed" : result.cancelled ? "cancelled" : "failed",
+        error: result.error,
+        errorType: result.errorType,
+        files: finished?.files || result.files,
+        summary: finished?.summary,
+        pdfPath: finished?.pdfPath,
+    };
+}
+
+/** Start polling the order backend if order-agent.json enables it */
+function startOrderAgent() {
+    let config;
+    try {
+        config = loadAgentConfig(path.join(app.getPath("userData"), ORDER_AGENT_CONFIG_FILE));
+    } catch (err) {
+        log.error("Order agent not started", { error: err });
+        return;
+    }
+    if (!config) return;
+
+    orderAgent = createOrderAgent({
+        config,
+        ledger: createOrderLedger(path.join(app.getPath("userData"), "order-ledger.json")),
+        runJob: runAgentJob,
+        onStateChange: () => updateTray(),
+    });
+    orderAgent.start();
+}
+
+handleTrusted("PRINT_JOB", async (event, job) => {
+    const jobId = job._jobId || Date.now();
+    const { _jobId, ...printJobData } = job;
+    return submitPrintJob(event.sender, jobId, printJobData);
+});
+
+/** Past jobs, newest first: { total, entries } (see lib/job-history.js for the filter) */
+handleTrusted("GET_HISTORY", async (_event, filter) => {
+    return jobHistory.query(filter || {});
+});
+
+/** Print a job from the history again, with the same files and settings */
+handleTrusted("REPRINT_JOB", async (event, request) => {
+    const jobId = (request && request._jobId) || Date.now();
+    const historyId = request && request.historyId;
+    const past = jobHistory.get(historyId);
+    if (!past || !past.job) {
+        return { success: false, jobId, error: `Print history entry ${historyId} not found.`, errorType: 'history_not_found' };
+    }
+    log.info('Reprinting order from history', { jobId, order_id: past.order_id, historyId });
+    const { reprint_of, ...job } = past.job;
+    return submitPrintJob(event.sender, jobId, { ...job, reprint_of: historyId });
+});
+
+/**
+ * Render a job without printing, capture each file with printToPDF and show the
+ * sheets in the preview window. Approving sends the job to the print queue.
+ */
+handleTrusted("PREVIEW_JOB", async (event, job) => {
+    const jobId = job._jobId || Date.now();
+    const { _jobId, ...printJobData } = job;
+    const sender = event.sender;
+    try {
+        validateJob(printJobData);
+    } catch (err) {
+        return { ...invalidJobResult(err), jobId, approved: false };
+    }
+    const totalFiles = Array.isArray(printJobData.images_urls) ? printJobData.images_urls.length : 0;
+    const sendProgress = (progress) => {
+        if (!sender.isDestroyed()) sender.send('PRINT_PROGRESS', { jobId, ...progress });
+    };
+
+    const previewDir = fs.mkdtempSync(path.join(os.tmpdir(), "hostego-preview-"));
+    const files = [];
+    const release = () => {
+        files.forEach((file) => file && revokeLocalFile(file.pdfUrl));
+        fs.rm(previewDir, { recursive: true, force: true }, () => {});
+    };
+
+    try {
+        await printJob(printJobData, sendProgress, null, null, {
+            output: async (contents, printOpts, fileIndex) => {
+                const pdfPath = path.join(previewDir, `file-${fileIndex + 1}.pdf`);
+                fs.writeFileSync(pdfPath, await contents.printToPDF(pdfOptionsFor(printOpts)));
+                const fileOpts = fileOptionsFor(printJobData, fileIndex);
+                files[fileIndex] = {
+                    label: fileLabel(printJobData.images_urls[fileIndex]),
+                    pdfUrl: exposeLocalFile(pdfPath),
+                    isColor: printOpts.color,
+                    copies: printOpts.copies,
+                    duplexMode: printOpts.duplexMode,
+                    pagesPerSheet: fileOpts.pagesPerSheet,
+                    paperName: fileOpts.paperSize.name,
+                    landscape: printOpts.landscape,
+                };
+                return null;
+            },
+        });
+    } catch (error) {
+        log.error('Print preview failed', { jobId, error });
+        release();
+        sendProgress({ fileIndex: -1, totalFiles, status: 'error', message: error.message, errorType: error.errorType || 'preview_failed' });
+        return { success: false, approved: false, jobId, error: error.message, errorType: error.errorType || 'preview_failed' };
+    }
+
+    const decision = await showPreview({ parent: mainWindow, files });
+    release();
+    if (decision !== 'approve') {
+        sendProgress({ fileIndex: -1, totalFiles, status: 'cancelled', message: 'Print preview closed without printing' });
+        return { success: false, approved: false, cancelled: true, jobId };
+    }
+
+    log.info('Preview approved, sending to printer', { jobId });
+    return { approved: true, ...(await submitPrintJob(sender, jobId, printJobData)) };
+});
+
+/** Look up a job control for the CANCEL/PAUSE/RESUME handlers */
+function withJobControl(jobId, action) {
+    const control = jobControls.get(jobId);
+    if (!control) {
+        return { success: false, jobId, error: `Print job ${jobId} is not queued or running.` };
+    }
+    action(control);
+    return { success: true, jobId };
+}
+
+handleTrusted("CANCEL_JOB", async (_event, jobId) => {
+    log.info("Cancel requested", { jobId });
+    return withJobControl(jobId, (control) => control.cancel());
 });
 
-ipcMain.handle("GET_SUPPORTED_FILE_TYPES", async () => {
+handleTrusted("PAUSE_JOB", async (_event, jobId) => {
+    log.info("Pause requested", { jobId });
+    return withJobControl(jobId, (control) => control.pause());
+});
+
+handleTrusted("RESUME_JOB", async (_event, jobId) => {
+    log.info("Resume requested", { jobId });
+    return withJobControl(jobId, (control) => control.resume());
+});
+
+/** Offer to resume jobs that were interrupted by a crash or the app closing */
+async function resumeInterruptedJobs() {
+    for (const entry of printQueue.getInterrupted()) {
+        const startIndex = printQueue.firstUnprintedIndex(entry);
+        const totalFiles = entry.files.length;
+        if (startIndex >= totalFiles) {
+            printQueue.remove(entry.queueId);
+            continue;
+        }
+        // The order agent has already reported its order as interrupted, and the backend may give it
+        // to another station; resuming it here would print it twice
+        if (entry.source === JOB_SOURCES.ORDER_AGENT) {
+            log.info("Not resuming interrupted order agent job", { jobId: entry.jobId, order_id: entry.job.order_id });
+            printQueue.remove(entry.queueId);
+            continue;
+        }
+
+        const { response } = await showMessageBox({
+            type: "question",
+            buttons: ["Resume", "Discard"],
+            defaultId: 0,
+            cancelId: 1,
+            title: "Resume print job?",
+            message: `Print job${entry.job.order_id ? ` for order ${entry.job.order_id}` : ""} was interrupted.`,
+            detail: `${startIndex} of ${totalFiles} file(s) were printed before the app closed. Resume from file ${startIndex + 1}?`,
+        });
+
+        if (response === 0) {
+            log.info("Resuming interrupted print job", { jobId: entry.jobId, fromFile: startIndex, totalFiles });
+            enqueuePrintJob(mainWindow.webContents, entry, startIndex);
+        } else {
+            log.info("Discarding interrupted print job", { jobId: entry.jobId });
+            printQueue.remove(entry.queueId);
+        }
+    }
+}
+
+/**
+ * Count the pages, page sizes and colour pages of every file in a job, and the sides and
+ * sheets it will use after page ranges, N-up, duplex and copies. Nothing is printed; files
+ * are downloaded and converted exactly as for printing (so a later print reuses the cache).
+ */
+handleTrusted("ANALYZE_JOB", async (_event, job) => {
+    try {
+        validateJob(job);
+    } catch (err) {
+        return invalidJobResult(err);
+    }
+    const urls = job.images_urls;
+    const fileOptions = urls.map((_, index) => fileOptionsFor(job, index));
+
+    const files = [];
+    const renderUrls = [];
+    const tempDirs = [];
+    const analyzer = await openAnalyzer();
+    try {
+        for (let i = 0; i < urls.length; i++) {
+            const url = urls[i];
+            const officeExt = officeExtension(job, url, i);
+            const pdf = Boolean(officeExt) || isPdf(job, url, i);
+            try {
+                const localPath = await fetchJobFile(job, url, i, officeExt || (pdf ? "pdf" : urlExtension(url)));
+                const sourcePath = officeExt ? await convertOfficeCopy(localPath, officeExt, i, tempDirs) : localPath;
+                const image = pdf ? null : await prepareImageCopy(sourcePath, i, tempDirs);
+                const renderUrl = exposeLocalFile(image ? image.path : sourcePath);
+                renderUrls.push(renderUrl);
+
+                let pages = await analyzer.analyze(renderUrl, pdf);
+                if (image && image.orientation >= 5) {
+                    // EXIF orientations 5-8 turn the image a quarter turn: report its upright size
+                    pages = pages.map((page) => ({ ...page, width: page.height, height: page.width }));
+                }
+                files.push({
+                    fileIndex: i,
+                    url,
+                    type: officeExt ? "office" : pdf ? "pdf" : "image",
+                    ...describeFile(pages, fileOptions[i], pdf),
+                });
+            } catch (err) {
+                log.warn("Could not analyse file", { fileIndex: i, error: err });
+                files.push({ fileIndex: i, url, error: err.message, errorType: err.errorType || "analysis_failed" });
+            }
+        }
+    } finally {
+        analyzer.close();
+        renderUrls.forEach(revokeLocalFile);
+        tempDirs.forEach((dir) => fs.rm(dir, { recursive: true, force: true }, () => {}));
+    }
+
+    const totals = summarizeAnalysis(files);
+    return { success: totals.failed === 0, files, totals };
+});
+
+handleTrusted("GET_SUPPORTED_FILE_TYPES", async () => {
+    const converter = await detectConverter();
     return [
-        "image/jpeg", "image/jpg", "image/png", "image/gif", "image/webp",
-        "application/pdf", "pdf"
+        ...IMAGE_MIME_TYPES,
+        "application/pdf", "pdf",
+        // Office documents only when LibreOffice was found to convert them
+        ...(converter ? [...OFFICE_MIME_TYPES, ...OFFICE_EXTENSIONS] : [])
     ];
 });
 
-ipcMain.handle("GET_CAPABILITIES", async () => {
+/**
+ * Desktop capabilities. `client` is the web app's half of the schema handshake,
+ * { apiVersion?, schemaVersions? } – see negotiateSchema() in lib/job-schema.js.
+ */
+async function getCapabilities(client) {
+    const converter = await detectConverter();
+    const schema = negotiateSchema(client);
     return {
         version: "1.0.0",
+        apiVersion: schema.apiVersion,
+        schema,
         supportsImages: true,
         supportsPDF: true,
-        supportsDocuments: false,
-        libreOfficeInstalled: false,
-        supportedExtensions: ["jpg", "jpeg", "png", "gif", "webp", "pdf"]
+        supportsDocuments: Boolean(converter),
+        libreOfficeInstalled: Boolean(converter),
+        libreOfficeVersion: converter ? converter.version : null,
+        supportedExtensions: [...IMAGE_EXTENSIONS, "pdf", ...(converter ? OFFICE_EXTENSIONS : [])]
+    };
+}
+
+handleTrusted("GET_CAPABILITIES", (_event, client) => getCapabilities(client));
+
+/** Read the station settings and trust the partner web app they point at */
+function loadSettings() {
+    settings = createSettingsStore(path.join(app.getPath("userData"), SETTINGS_FILE));
+    setPartnerUrl(settings.get().partnerUrl);
+}
+
+/** Print options for file `index` of `job`, with the station's default paper size */
+function fileOptionsFor(job, index) {
+    return resolveFileOptions(job, index, { paperSize: settings.get().defaultPaperSize });
+}
+
+/** ipcMain.handle for calls only `page` (one of the app's own pages) may make */
+function handleFromPage(page, channel, handler) {
+    ipcMain.handle(channel, (event, ...args) => {
+        if (!isAppPageSender(event, [page])) {
+            log.warn("Refused IPC call from another page", { channel, url: event.senderFrame ? event.senderFrame.url : null });
+            throw new Error(`${channel} is not allowed from this page.`);
+        }
+        return handler(event, ...args);
+    });
+}
+
+/** Settings window: current settings, the defaults and the choices for printers and paper sizes */
+handleFromPage(SETTINGS_PAGE, "GET_SETTINGS", async (event) => {
+    const printers = await getPrintersList(event.sender);
+    return {
+        settings: settings.get(),
+        defaults: DEFAULT_SETTINGS,
+        printers: printers.map((p) => p.name),
+        paperSizes: Object.entries(PAPER_SIZES).map(([key, paper]) => ({ key, name: paper.name })),
+        defaultPdfExportDir: defaultPdfExportDir(),
+        pdfExportDirOverride: process.env.HOSTEGO_PDF_DIR || null,
     };
 });
 
+/** Folder picker for the PDF export folder: resolves with the chosen path, or null */
+handleFromPage(SETTINGS_PAGE, "CHOOSE_FOLDER", async (event, current) => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: "PDF Export Folder",
+        defaultPath: current || defaultPdfExportDir(),
+        properties: ["openDirectory", "createDirectory"],
+    });
+    return canceled || filePaths.length === 0 ? null : filePaths[0];
+});
+
+/** Save changed settings: { success, settings } or { success: false, error, field } */
+handleFromPage(SETTINGS_PAGE, "SAVE_SETTINGS", async (_event, changes) => {
+    const previousUrl = settings.get().partnerUrl;
+    let saved;
+    try {
+        saved = settings.update(changes);
+    } catch (err) {
+        if (err.errorType !== "invalid_settings") log.error("Could not save settings", { error: err });
+        return { success: false, error: err.message, field: err.field };
+    }
+    if (saved.partnerUrl !== previousUrl) {
+        log.info("Partner web app changed", { from: previousUrl, to: saved.partnerUrl });
+        setPartnerUrl(saved.partnerUrl);
+        if (mainWindow && !mainWindow.isDestroyed()) mainWindow.loadURL(saved.partnerUrl);
+    }
+    return { success: true, settings: saved };
+});
+
+/** Error from loading or rendering a file in the print window */
+function renderError(message, errorType) {
+    const error = new Error(message);
+    error.errorType = errorType;
+    return error;
+}
+
+/** Short name for a job URL: its file name, or the URL itself */
+function fileLabel(url) {
+    const value = String(url || "");
+    try {
+        const name = decodeURIComponent(path.basename(new URL(value).pathname));
+        if (name) return name;
+    } catch (e) {
+        // Not a URL (e.g. a local path)
+    }
+    return path.basename(value) || value;
+}
+
+/**
+ * Local copy of file `fileIndex` of `job`: remote URLs go through the download cache
+ * (`onDownload` is called when it is not cached yet), local files are used in place.
+ * Both are checked against the job's optional sha256 checksum.
+ */
+async function fetchJobFile(job, url, fileIndex, extension, onDownload) {
+    const sha256 = getFileOption(job, "checksums", fileIndex);
+    try {
+        checkFileUrl(url, fileIndex, { allowedHosts: ALLOWED_FILE_HOSTS });
+        const localPath = toLocalPath(url);
+        if (localPath) {
+            await downloadCache.verifyLocal(localPath, sha256);
+            return localPath;
+        }
+        // Redirects must stay on the allowed hosts too
+        const checkUrl = (next) => checkFileUrl(next, fileIndex, { allowedHosts: ALLOWED_FILE_HOSTS });
+        return await downloadCache.fetch(url, { sha256, extension, onDownload, checkUrl });
+    } catch (err) {
+        err.fileIndex = fileIndex;
+        throw err;
+    }
+}
+
+/**
+ * Convert a local Office document to PDF in a temporary folder (added to `tempDirs`
+ * for the caller to delete); returns the PDF path.
+ */
+async function convertOfficeCopy(localPath, ext, fileIndex, tempDirs) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "hostego-convert-"));
+    tempDirs.push(workDir);
+    try {
+        // Work on a copy so LibreOffice's lock files never land in the cache or the user's folder
+        const inputPath = path.join(workDir, `document.${ext}`);
+        fs.copyFileSync(localPath, inputPath);
+        const pdfPath = await convertToPdf(inputPath, workDir);
+        log.info("Converted Office document to PDF", { fileIndex, ext });
+        return pdfPath;
+    } catch (err) {
+        err.fileIndex = fileIndex;
+        throw err;
+    }
+}
+
+/**
+ * Decode or reorient a local image in a temporary folder (added to `tempDirs` for the caller
+ * to delete) when it needs it; resolves with prepareImage()'s { path, format, orientation }.
+ */
+async function prepareImageCopy(localPath, fileIndex, tempDirs, onConvert) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "hostego-image-"));
+    tempDirs.push(workDir);
+    try {
+        return await prepareImage(localPath, workDir, onConvert);
+    } catch (err) {
+        err.fileIndex = fileIndex;
+        throw err;
+    }
+}
+
+/** Colour and layout settings of file `index`, as stored in the job history */
+function historyFileSettings(job, index) {
+    try {
+        const opts = fileOptionsFor(job, index);
+        return {
+            colorMode: opts.colorMode,
+            copies: opts.copies,
+            duplexMode: opts.duplexMode,
+            pagesPerSheet: opts.pagesPerSheet,
+            pageRanges: getFileOption(job, "page_ranges", index) || null,
+            paperSize: opts.paperSize.name,
+            orientation: opts.orientation,
+            fitMode: opts.fitMode,
+        };
+    } catch (e) {
+        // The job failed on these options; the job itself is stored with the entry
+        return null;
+    }
+}
+
+/** Count files by outcome: { printed, failed, skipped, pending } */
+function summarizeReport(report) {
+    const summary = { printed: 0, failed: 0, skipped: 0, pending: 0 };
+    for (const file of report) {
+        summary[file.status] = (summary[file.status] || 0) + 1;
+    }
+    return summary;
+}
+
 /** Check if URL is a PDF */
 function isPdfUrl(url) {
     return /\.pdf($|[?#])/i.test(String(url || ""));
@@ -263,61 +1247,324 @@ function isPdf(job, url, index) {
 
 
 
-/** Build HTML for images */
-function buildImageHtml(urls) {
+/** JSON for an inline <script>: "<" is escaped so the data cannot end the script element */
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+/** Text made safe to place in HTML */
+function escapeHtml(value) {
+    return String(value ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Overlay settings for file `fileIndex` (the `overlay` layout option of the page builders):
+ * { footer: text shown before "Page n of N", or null; watermark: text, or null }
+ */
+function pageOverlay(job, fileOpts, fileIndex, totalFiles) {
+    const orderLabel = job.order_id ? `Order ${job.order_id} · ` : "";
+    return {
+        footer: fileOpts.pageFooter ? `${orderLabel}File ${fileIndex + 1} of ${totalFiles}` : null,
+        watermark: fileOpts.watermark || null,
+    };
+}
+
+/**
+ * CSS and script shared by the page builders for footers and watermarks. The script defines
+ * addOverlays(), which the page calls once its .page sheets exist.
+ */
+function overlayParts(overlay) {
+    const config = { footer: (overlay && overlay.footer) || null, watermark: (overlay && overlay.watermark) || null };
+    const css = `
+        .page { position: relative; }
+        .overlay-footer {
+            position: absolute;
+            left: 0;
+            right: 0;
+            bottom: 2.5mm;
+            text-align: center;
+            font: 7pt Arial, sans-serif;
+            color: #444;
+        }
+        .overlay-footer span { background: rgba(255, 255, 255, 0.85); padding: 0.5mm 2mm; border-radius: 1mm; }
+        .overlay-watermark {
+            position: absolute;
+            inset: 0;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            overflow: hidden;
+        }
+        .overlay-watermark span {
+            transform: rotate(-35deg);
+            font-family: Arial, sans-serif;
+            font-weight: bold;
+            color: rgba(0, 0, 0, 0.13);
+            white-space: nowrap;
+        }`;
+    const script = `
+        const OVERLAY = ${scriptJson(config)};
+        /** Footer ("… · Page n of N") and watermark on every sheet */
+        function addOverlays() {
+            const sheets = document.querySelectorAll('.page');
+            sheets.forEach((sheet, index) => {
+                if (OVERLAY.watermark) {
+                    const mark = document.createElement('div');
+                    mark.className = 'overlay-watermark';
+                    const text = document.createElement('span');
+                    text.textContent = OVERLAY.watermark;
+                    // Sized to run across the sheet's diagonal
+                    const diagonal = Math.hypot(sheet.clientWidth, sheet.clientHeight);
+                    const size = Math.min(diagonal * 0.75 / (OVERLAY.watermark.length * 0.65), sheet.clientHeight * 0.3);
+                    text.style.fontSize = Math.round(size) + 'px';
+                    mark.appendChild(text);
+                    sheet.appendChild(mark);
+                }
+                if (OVERLAY.footer) {
+                    const footer = document.createElement('div');
+                    footer.className = 'overlay-footer';
+                    const text = document.createElement('span');
+                    text.textContent = OVERLAY.footer + ' · Page ' + (index + 1) + ' of ' + sheets.length;
+                    footer.appendChild(text);
+                    sheet.appendChild(footer);
+                }
+            });
+        }`;
+    return { css, script };
+}
+
+/**
+ * Separator (banner) sheet printed before an order, so back-to-back orders on a shared
+ * printer can be told apart. info: { order_id, customer_name, files: [name], printedAt, paperSize }
+ */
+function buildSeparatorHtml(info) {
+    const paper = info.paperSize || PAPER_SIZES.A4;
+    const files = info.files || [];
+    const listed = files.slice(0, 20);
+    const more = files.length - listed.length;
+    return `<!DOCTYPE html><html><head>
+    <meta charset="utf-8">
+    ${renderCsp(crypto.randomBytes(16).toString("base64"))}
+    <style>
+        @page { size: ${paper.name} portrait; margin: 0; }
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: Arial, sans-serif; color: black; }
+        .sheet {
+            width: ${paper.width}mm;
+            height: ${paper.height}mm;
+            padding: 20mm 18mm;
+            display: flex;
+            flex-direction: column;
+            border-top: 12mm solid black;
+            border-bottom: 12mm solid black;
+        }
+        .label { font-size: 14pt; letter-spacing: 0.3em; text-transform: uppercase; }
+        .order { font-size: 44pt; font-weight: bold; margin: 4mm 0 8mm; word-break: break-all; }
+        .customer { font-size: 22pt; margin-bottom: 8mm; word-break: break-word; }
+        .meta { font-size: 13pt; margin-bottom: 2mm; }
+        ol { margin: 8mm 0 0 6mm; font-size: 10pt; line-height: 1.5; }
+        li { word-break: break-all; }
+    </style></head><body>
+    <div class="sheet">
+        <div class="label">Order</div>
+        <div class="order">${escapeHtml(info.order_id || "—")}</div>
+        ${info.customer_name ? `<div class="customer">${escapeHtml(info.customer_name)}</div>` : ""}
+        <div class="meta">${files.length} file${files.length === 1 ? "" : "s"}</div>
+        <div class="meta">${escapeHtml(new Date(info.printedAt || Date.now()).toLocaleString())}</div>
+        <ol>${listed.map((name) => `<li>${escapeHtml(name)}</li>`).join("")}</ol>
+        ${more > 0 ? `<div class="meta">and ${more} more</div>` : ""}
+    </div>
+    </body></html>`;
+}
+
+/**
+ * Build HTML for images
+ * layout: { paperSize, orientation, fitMode, grayscale, exifOrientation } from resolveFileOptions()
+ * and prepareImage(). Each image is redrawn on a canvas (at most 300 dpi for the paper) with its
+ * EXIF orientation applied, and converted to real grayscale when `grayscale` is set, so B/W does
+ * not depend on the printer driver. With orientation 'auto' a landscape image is turned a quarter
+ * turn to fill the portrait sheet. `layout.overlay` adds a footer and/or watermark (see
+ * pageOverlay()). `window.layoutReady` resolves to { landscape, rotated } once the images are
+ * drawn, or { error } if one could not be loaded.
+ */
+function buildImageHtml(urls, layout = {}) {
+    const paper = layout.paperSize || PAPER_SIZES.A4;
+    const overlay = overlayParts(layout.overlay);
+    const orientation = layout.orientation || "portrait";
+    const fitMode = layout.fitMode || "fit";
+    const config = {
+        orientation,
+        grayscale: Boolean(layout.grayscale),
+        exifOrientation: layout.exifOrientation || 1,
+        maxSide: Math.round((Math.max(paper.width, paper.height) / 25.4) * 300),
+    };
+    // crossorigin: the canvas stays readable (grayscale) with web security on
     const body = urls
-        .map((u) => `<div class="page"><img src="${u}" /></div>`)
+        .map((u) => `<div class="page"><img class="${fitMode}" crossorigin="anonymous" src="${escapeHtml(u)}" /></div>`)
         .join("");
-    return `<!DOCTYPE html><html><head><style>
+    const nonce = crypto.randomBytes(16).toString("base64");
+    return `<!DOCTYPE html><html><head>
+    <meta charset="utf-8">
+    ${renderCsp(nonce)}
+    <style id="page-size">@page { size: ${paper.name} ${orientation === "landscape" ? "landscape" : "portrait"}; margin: 0; }</style>
+    <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
-        @page { size: A4; margin: 0; }
-        html, body { width: 100%; height: 100%; margin: 0; padding: 0; }
+        html, body { margin: 0; padding: 0; }
         .page { 
-            width: 100%; 
-            height: 100vh; 
+            width: ${paper.width}mm; 
+            height: ${paper.height}mm; 
+            overflow: hidden;
             page-break-after: always; 
             display: flex;
             align-items: center;
             justify-content: center;
         }
+        body.landscape .page { width: ${paper.height}mm; height: ${paper.width}mm; }
         .page:last-child { page-break-after: auto; }
-        img { max-width: 100%; max-height: 100%; object-fit: contain; }
-    </style></head><body>${body}</body></html>`;
+        .fit { width: 100%; height: 100%; object-fit: contain; }
+        .fill { width: 100%; height: 100%; object-fit: cover; }
+        .actual { flex: none; }${overlay.css}
+    </style></head><body>${body}
+    <script nonce="${nonce}">
+        const CONFIG = ${scriptJson(config)};${overlay.script}
+        // EXIF orientation 1-8 as [mirror, clockwise quarter turns]: mirror first, then turn
+        const EXIF_TRANSFORMS = { 1: [false, 0], 2: [true, 0], 3: [false, 2], 4: [true, 2], 5: [true, 3], 6: [false, 1], 7: [true, 1], 8: [false, 3] };
+
+        /** The image redrawn upright on a canvas: EXIF orientation, extra quarter turns, grayscale */
+        function drawImage(img, extraTurns) {
+            const [mirror, exifTurns] = EXIF_TRANSFORMS[CONFIG.exifOrientation] || EXIF_TRANSFORMS[1];
+            const turns = (exifTurns + extraTurns) % 4;
+            const scale = Math.min(1, CONFIG.maxSide / Math.max(img.naturalWidth, img.naturalHeight));
+            const width = Math.max(1, Math.round(img.naturalWidth * scale));
+            const height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = turns % 2 ? height : width;
+            canvas.height = turns % 2 ? width : height;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = 'white';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.translate(canvas.width / 2, canvas.height / 2);
+            ctx.rotate(turns * Math.PI / 2);
+            if (mirror) ctx.scale(-1, 1);
+            ctx.drawImage(img, -width / 2, -height / 2, width, height);
+
+            if (CONFIG.grayscale) {
+                const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                const data = pixels.data;
+                for (let i = 0; i < data.length; i += 4) {
+                    const y = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+                    data[i] = data[i + 1] = data[i + 2] = y;
+                }
+                ctx.putImageData(pixels, 0, 0);
+            }
+
+            canvas.className = img.className;
+            if (img.classList.contains('actual')) {
+                // Keep the image's own size (in CSS px) at the higher resolution
+                canvas.style.width = (canvas.width / scale) + 'px';
+                canvas.style.height = (canvas.height / scale) + 'px';
+            }
+            img.replaceWith(canvas);
+        }
+
+        window.layoutReady = new Promise((resolve) => {
+            window.addEventListener('load', () => {
+                const images = Array.from(document.images);
+                if (images.some((img) => !img.naturalWidth)) {
+                    resolve({ error: 'Could not load image' });
+                    return;
+                }
+                const [, exifTurns] = EXIF_TRANSFORMS[CONFIG.exifOrientation] || EXIF_TRANSFORMS[1];
+                const first = images[0];
+                const uprightLandscape = first && (exifTurns % 2
+                    ? first.naturalHeight > first.naturalWidth
+                    : first.naturalWidth > first.naturalHeight);
+                // 'auto' keeps the sheet portrait and turns landscape images a quarter turn anticlockwise
+                const rotated = CONFIG.orientation === 'auto' && Boolean(uprightLandscape);
+                const landscape = CONFIG.orientation === 'landscape';
+                images.forEach((img) => drawImage(img, rotated ? 3 : 0));
+                document.body.classList.toggle('landscape', landscape);
+                addOverlays();
+                document.getElementById('page-size').textContent =
+                    '@page { size: ${paper.name} ' + (landscape ? 'landscape' : 'portrait') + '; margin: 0; }';
+                window.renderInfo = { landscape, rotated };
+                resolve(window.renderInfo);
+            });
+        });
+    </script>
+    </body></html>`;
 }
 
 /**
  * Create HTML that renders PDF using PDF.js in browser (client-side rendering)
- * This renders the PDF to canvas in the browser, avoiding GPU issues
+ * This renders the PDF to canvas in the browser, avoiding GPU issues.
+ * pdf.js is bundled with the app and served over hostego://, so no network is needed.
+ *
+ * layout: { pageRanges, nUp, paperSize, orientation, fitMode } from resolveFileOptions(), plus
+ * `renderDpi`, the resolution pages are drawn at (Settings; 144 by default).
+ * Only the selected pages are rendered, nUp.columns × nUp.rows per sheet. With orientation
+ * 'auto' the first selected page decides the sheet orientation. `layout.overlay` adds a
+ * footer and/or watermark (see pageOverlay()). `window.renderInfo` holds { landscape } once
+ * `window.pdfRendered` is set.
  */
-function buildPdfRenderHtml(pdfUrl) {
-    // Escape single quotes in URL for JavaScript string
-    const escapedUrl = pdfUrl.replace(/'/g, "\\'");
+function buildPdfRenderHtml(pdfUrl, layout = {}) {
+    const config = {
+        pdfUrl,
+        pageRanges: layout.pageRanges || null,
+        nUp: layout.nUp || { columns: 1, rows: 1, landscape: false },
+        paperSize: layout.paperSize || PAPER_SIZES.A4,
+        orientation: layout.orientation || "portrait",
+        fitMode: layout.fitMode || "fit",
+        // pdf.js draws at 72 dpi for scale 1
+        scale: (layout.renderDpi || DEFAULT_SETTINGS.renderDpi) / 72,
+    };
+    const paper = config.paperSize;
+    const overlay = overlayParts(layout.overlay);
+    const nonce = crypto.randomBytes(16).toString("base64");
 
     return `<!DOCTYPE html>
 <html>
 <head>
     <meta charset="utf-8">
-    <script src="https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js"></script>
+    ${renderCsp(nonce)}
+    <script src="${PDFJS_SCRIPT_URL}"></script>
+    <style id="page-size">@page { size: ${paper.name} portrait; margin: 0; }</style>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
-        @page { size: A4; margin: 0; }
         @media print { 
             .page { page-break-after: always; }
             .page:last-child { page-break-after: auto; }
         }
         html, body { background: white; }
         .page { 
-            width: 210mm; 
-            min-height: 297mm;
+            width: ${paper.width}mm; 
+            height: ${paper.height}mm;
+            overflow: hidden;
             display: flex;
             justify-content: center;
             align-items: center;
             background: white;
         }
-        canvas { 
-            max-width: 100%; 
-            max-height: 297mm;
+        body.landscape .page { width: ${paper.height}mm; height: ${paper.width}mm; }
+        .page.nup {
+            display: grid;
+            padding: 4mm;
+            gap: 4mm;
+        }
+        .cell {
+            width: 100%;
+            height: 100%;
+            min-width: 0;
+            min-height: 0;
+            overflow: hidden;
+            display: flex;
+            justify-content: center;
+            align-items: center;
         }
+        canvas.fit { max-width: 100%; max-height: 100%; }
+        canvas.fill { width: 100%; height: 100%; object-fit: cover; }
+        canvas.actual { flex: none; }
         #loading { 
             position: fixed; 
             top: 50%; 
@@ -325,52 +1572,119 @@ function buildPdfRenderHtml(pdfUrl) {
             transform: translate(-50%, -50%);
             font-family: Arial, sans-serif;
             font-size: 18px;
-        }
+        }${overlay.css}
     </style>
 </head>
 <body>
     <div id="loading">Loading PDF...</div>
     <div id="pages"></div>
-    <script>
-        pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+    <script nonce="${nonce}">
+        pdfjsLib.GlobalWorkerOptions.workerSrc = '${PDFJS_WORKER_URL}';
+
+        // pageRanges: [{ from, to }] (1-based, to: null = last page) or null for every page
+        const CONFIG = ${scriptJson(config)};
+        const PAGES_PER_SHEET = CONFIG.nUp.columns * CONFIG.nUp.rows;${overlay.script}
+
+        function selectedPages(numPages) {
+            if (!CONFIG.pageRanges) return Array.from({ length: numPages }, (_, i) => i + 1);
+            const pages = [];
+            for (const range of CONFIG.pageRanges) {
+                const to = range.to === null ? numPages : Math.min(range.to, numPages);
+                for (let p = range.from; p <= to; p++) pages.push(p);
+            }
+            return pages;
+        }
+
+        /** Pick the sheet orientation and N-up grid once the first page's shape is known */
+        function applySheetLayout(pageLandscape) {
+            let landscape = CONFIG.orientation === 'landscape';
+            if (CONFIG.orientation === 'auto') {
+                // N-up layouts have a natural sheet orientation; landscape pages flip it
+                landscape = CONFIG.nUp.landscape !== pageLandscape;
+            }
+            const swap = landscape !== CONFIG.nUp.landscape;
+            const columns = swap ? CONFIG.nUp.rows : CONFIG.nUp.columns;
+            const rows = swap ? CONFIG.nUp.columns : CONFIG.nUp.rows;
+
+            document.body.classList.toggle('landscape', landscape);
+            document.getElementById('page-size').textContent =
+                '@page { size: ' + CONFIG.paperSize.name + ' ' + (landscape ? 'landscape' : 'portrait') + '; margin: 0; }';
+            return { landscape, columns, rows };
+        }
         
         async function renderPDF() {
             try {
-                console.log('Loading PDF from:', '${escapedUrl}');
+                console.log('Loading PDF from:', CONFIG.pdfUrl);
                 const pdf = await pdfjsLib.getDocument({
-                    url: '${escapedUrl}',
+                    url: CONFIG.pdfUrl,
                     isEvalSupported: false
                 }).promise;
                 document.getElementById('loading').style.display = 'none';
                 
                 const container = document.getElementById('pages');
                 console.log('PDF loaded, pages:', pdf.numPages);
+
+                const pages = selectedPages(pdf.numPages);
+                if (pages.length === 0) {
+                    throw new Error('Page range is outside the document (' + pdf.numPages + ' pages)');
+                }
                 
-                for (let i = 1; i <= pdf.numPages; i++) {
+                let sheet = null;
+                let sheetLayout = null;
+                for (let n = 0; n < pages.length; n++) {
+                    const i = pages[n];
                     const page = await pdf.getPage(i);
-                    const scale = 2; // High quality
+                    const scale = CONFIG.scale;
                     const viewport = page.getViewport({ scale });
+
+                    if (!sheetLayout) {
+                        sheetLayout = applySheetLayout(viewport.width > viewport.height);
+                    }
                     
                     const canvas = document.createElement('canvas');
                     const context = canvas.getContext('2d');
                     canvas.width = viewport.width;
                     canvas.height = viewport.height;
+                    canvas.className = CONFIG.fitMode;
+                    if (CONFIG.fitMode === 'actual') {
+                        // PDF units are points (1/72 in); print at the document's own size
+                        canvas.style.width = (viewport.width / scale / 72) + 'in';
+                        canvas.style.height = (viewport.height / scale / 72) + 'in';
+                    }
                     
                     await page.render({
                         canvasContext: context,
                         viewport: viewport
                     }).promise;
-                    
-                    const pageDiv = document.createElement('div');
-                    pageDiv.className = 'page';
-                    pageDiv.appendChild(canvas);
-                    container.appendChild(pageDiv);
+
+                    // Start a new sheet every PAGES_PER_SHEET pages
+                    if (n % PAGES_PER_SHEET === 0) {
+                        sheet = document.createElement('div');
+                        sheet.className = 'page';
+                        if (PAGES_PER_SHEET > 1) {
+                            sheet.className = 'page nup';
+                            sheet.style.gridTemplateColumns = 'repeat(' + sheetLayout.columns + ', 1fr)';
+                            sheet.style.gridTemplateRows = 'repeat(' + sheetLayout.rows + ', 1fr)';
+                        }
+                        container.appendChild(sheet);
+                    }
+                    if (PAGES_PER_SHEET > 1) {
+                        const cell = document.createElement('div');
+                        cell.className = 'cell';
+                        cell.appendChild(canvas);
+                        sheet.appendChild(cell);
+                    } else {
+                        sheet.appendChild(canvas);
+                    }
                     console.log('Rendered page', i);
                 }
                 
+                addOverlays();
+
                 // Signal that rendering is complete
+                window.renderInfo = { landscape: sheetLayout.landscape, pages: pages.length };
                 window.pdfRendered = true;
-                console.log('PDF rendered successfully:', pdf.numPages, 'pages');
+                console.log('PDF rendered successfully:', pages.length, 'of', pdf.numPages, 'pages');
             } catch (error) {
                 document.getElementById('loading').textContent = 'Error: ' + error.message;
                 console.error('PDF render error:', error);
@@ -384,39 +1698,97 @@ function buildPdfRenderHtml(pdfUrl) {
 </html>`;
 }
 
-async function printJob(job, sendProgress = null, sendSuccess = null, sendError = null) {
-    const { images_urls, quantity, color_mode, color_modes, order_id } = job;
+async function printJob(job, sendProgress = null, sendSuccess = null, sendError = null, options = {}) {
+    const { images_urls, order_id } = job;
+    const startIndex = options.startIndex || 0;
+    const control = options.control || null;
     const deviceName = job.deviceName || job.printerName;
+    // Read once, so a job keeps the same timeouts and printers if Settings change while it runs
+    const stationSettings = settings.get();
+    // 'print', 'pdf' (saved as a PDF instead of printed) or 'print_and_pdf'; a preview never exports
+    const outputMode = options.output ? OUTPUT_MODES.PRINT : normalizeOutputMode(job.output_mode);
+    const exportPdf = outputMode !== OUTPUT_MODES.PRINT;
+    // printToPDF capture of each file, merged into the order's PDF at the end
+    const filePdfs = [];
+    const capturePdf = async (contents, printOpts, fileIndex) => {
+        filePdfs[fileIndex] = await contents.printToPDF(pdfOptionsFor(printOpts));
+        return null;
+    };
+    // Rendered files go to the printer, or to `output(contents, printOpts, fileIndex)` (e.g. preview)
+    const output = options.output || (outputMode === OUTPUT_MODES.PDF ? capturePdf : null);
+
+    // A summary only; the full job (every file URL and option) is too large and too sensitive to log
+    log.info("Print job started", {
+        order_id,
+        jobId: options.jobId,
+        files: Array.isArray(images_urls) ? images_urls.length : 0,
+        printer: deviceName || null,
+        outputMode,
+    });
 
-    console.log("=== PRINT JOB START ===");
-    console.log("Job data:", JSON.stringify(job, null, 2));
+    // Route each file to a printer by capability, unless the job names a printer
+    const routing = deviceName || output ? null : loadRoutingConfig(path.join(app.getPath("userData"), ROUTING_CONFIG_FILE));
+
+    // Per-file progress events carry the printer chosen for that file
+    const filePrinters = [];
+    const reportProgress = sendProgress;
+    sendProgress = reportProgress && ((progress) => reportProgress(
+        progress.fileIndex >= 0 && filePrinters[progress.fileIndex]
+            ? { ...progress, printerName: filePrinters[progress.fileIndex] }
+            : progress
+    ));
 
     if (!images_urls || !Array.isArray(images_urls) || images_urls.length === 0) {
         throw new Error("images_urls is required and must be a non-empty array.");
     }
 
     const urls = images_urls;
-    // Files are already expanded by quantity, so each file should be printed once
-    // quantity parameter is now ignored since files are pre-expanded
+    // Refuse unsupported schemes, credentials in URLs and hosts outside ALLOWED_FILE_HOSTS before anything downloads
+    urls.forEach((url, index) => checkFileUrl(url, index, { allowedHosts: ALLOWED_FILE_HOSTS }));
+    // quantity is ignored: use the per-file copies array instead of pre-expanding files
     const totalFiles = urls.length;
 
-    // Support per-file color_mode via color_modes array
-    // If color_modes array is provided, use it; otherwise fall back to global color_mode or default
-    const getFileColorMode = (index) => {
-        if (color_modes && Array.isArray(color_modes) && color_modes[index] !== undefined) {
-            return String(color_modes[index] || "color").toLowerCase();
+    // Per-file color mode, page range, duplex, copies and pages per sheet.
+    // Resolved up front so an invalid option fails the job before anything prints.
+    const fileOptions = urls.map((_, index) => fileOptionsFor(job, index));
+    urls.forEach((_, index) => {
+        try {
+            normalizeChecksum(getFileOption(job, "checksums", index));
+        } catch (err) {
+            err.fileIndex = index;
+            throw err;
         }
-        return String(color_mode || "color").toLowerCase();
-    };
+    });
 
     // Log file type summary
-    console.log("=== FILE TYPE ANALYSIS ===");
-    urls.forEach((url, idx) => {
-        const isPdfFile = isPdf(job, url, idx);
-        const fileType = job.file_types?.[idx] || 'unknown';
-        console.log(`File ${idx + 1}: type=${fileType}, isPdf=${isPdfFile}, url=${url.substring(0, 60)}...`);
+    log.debug("File types", {
+        files: urls.map((url, idx) => ({
+            fileIndex: idx,
+            type: job.file_types?.[idx] || 'unknown',
+            isPdf: isPdf(job, url, idx),
+            office: officeExtension(job, url, idx) || null,
+            url,
+        })),
     });
-    console.log("==========================");
+
+    // Fail before printing anything if an Office file cannot be converted
+    const hasOfficeFiles = urls.some((url, idx) => officeExtension(job, url, idx));
+    if (hasOfficeFiles && !(await detectConverter())) {
+        const error = new Error("This order contains Word/Excel/PowerPoint files, but LibreOffice is not installed on this computer.");
+        error.errorType = "converter_unavailable";
+        throw error;
+    }
+
+    // A job cancelled (or paused) while it was still queued stops here
+    if (control) {
+        await control.checkpoint(() => sendProgress && sendProgress({
+            fileIndex: startIndex,
+            totalFiles: totalFiles,
+            status: 'paused',
+            message: 'Print job paused',
+            url: urls[startIndex]
+        }));
+    }
 
     // Create print window - visible for proper rendering
     const printWindow = new BrowserWindow({
@@ -428,25 +1800,71 @@ async function printJob(job, sendProgress = null, sendSuccess = null, sendError
         frame: false,
         skipTaskbar: true,
         webPreferences: {
-            sandbox: false,
-            webSecurity: false, // Allow loading PDF from any URL
+            // Render pages only load hostego:// files (see lib/render-protocol.js) under a strict CSP
+            sandbox: true,
+            contextIsolation: true,
+            nodeIntegration: false,
+            session: getRenderSession(), // hostego:// (bundled pdf.js, local files)
         },
     });
+    // pdf.js messages from the render window go to the log file
+    printWindow.webContents.on('console-message', (_event, level, message) => {
+        log[level >= 2 ? 'warn' : 'debug']('Render window: ' + message, { order_id });
+    });
+
+    // hostego:// URLs handed out for local files and Office conversion folders; released when the job ends
+    const renderUrls = [];
+    const tempDirs = [];
+    const releaseJobFiles = () => {
+        renderUrls.forEach(revokeLocalFile);
+        tempDirs.forEach((dir) => fs.rm(dir, { recursive: true, force: true }, () => {}));
+    };
+
+    /** Local copy of file `fileIndex`, reported as 'downloading' when it is not cached yet */
+    function fetchFile(url, fileIndex, extension) {
+        return fetchJobFile(job, url, fileIndex, extension, () => sendProgress && sendProgress({
+            fileIndex: fileIndex,
+            totalFiles: totalFiles,
+            status: 'downloading',
+            message: `Downloading file ${fileIndex + 1} of ${totalFiles}...`,
+            url: url
+        }));
+    }
+
+    /** Convert a local Office document to PDF, reported as 'converting'; returns the PDF path */
+    function convertOfficeFile(localPath, ext, fileIndex) {
+        if (sendProgress) {
+            sendProgress({
+                fileIndex: fileIndex,
+                totalFiles: totalFiles,
+                status: 'converting',
+                message: `Converting file ${fileIndex + 1} of ${totalFiles} to PDF...`,
+                url: urls[fileIndex]
+            });
+        }
+        return convertOfficeCopy(localPath, ext, fileIndex, tempDirs);
+    }
+
+    /** Prepare a local image for printing; a HEIC/TIFF decode is reported as 'converting' */
+    function prepareImageFile(localPath, fileIndex) {
+        return prepareImageCopy(localPath, fileIndex, tempDirs, (format) => sendProgress && sendProgress({
+            fileIndex: fileIndex,
+            totalFiles: totalFiles,
+            status: 'converting',
+            message: `Converting ${format.toUpperCase()} image ${fileIndex + 1} of ${totalFiles}...`,
+            url: urls[fileIndex]
+        }));
+    }
 
-    async function getTargetPrinter() {
+    /** Check `wanted` (or, when it is empty, the system default printer) is available; resolves with its name */
+    async function getTargetPrinter(wanted = deviceName) {
         const printers = await getPrintersList(printWindow.webContents);
         if (printers.length === 0) {
             throw new Error("No printers found. Please connect a printer and try again.");
         }
         
         // Filter out offline/unavailable printers
-        const availablePrinters = printers.filter(p => {
-            // Check if printer status indicates it's available
-            // Status can be: 'idle', 'printing', 'stopped', 'offline', etc.
-            const status = String(p.status || '').toLowerCase();
-            const isOffline = status.includes('offline') || status.includes('unavailable') || status.includes('error');
-            return !isOffline;
-        });
+        const availablePrinters = printers.filter(isPrinterUsable);
         
         if (availablePrinters.length === 0) {
             throw new Error("No printers are currently available. Please check that your printer is connected, powered on, and online.");
@@ -454,7 +1872,7 @@ async function printJob(job, sendProgress = null, sendSuccess = null, sendError
         
         let targetPrinter = null;
         
-        if (!deviceName) {
+        if (!wanted) {
             // Find default printer from available printers
             const def = availablePrinters.find((p) => p.isDefault) || availablePrinters[0];
             if (!def) {
@@ -463,43 +1881,43 @@ async function printJob(job, sendProgress = null, sendSuccess = null, sendError
             targetPrinter = def.name;
         } else {
             // Find the specified printer in available printers
-            const found = availablePrinters.find((p) => p.name === deviceName);
+            const found = availablePrinters.find((p) => p.name === wanted);
             if (!found) {
                 // Check if printer exists but is offline
-                const existsButOffline = printers.some((p) => p.name === deviceName);
+                const existsButOffline = printers.find((p) => p.name === wanted);
                 if (existsButOffline) {
-                    throw new Error(`Printer "${deviceName}" is offline or unavailable. Please check the printer connection and try again.`);
+                    throw new Error(`Printer "${wanted}" is not ready (${printerStateText(existsButOffline)}). Please check the printer connection and try again.`);
                 }
-                throw new Error(`Printer "${deviceName}" not found. Please select a different printer.`);
+                throw new Error(`Printer "${wanted}" not found. Please select a different printer.`);
             }
-            targetPrinter = deviceName;
+            targetPrinter = wanted;
         }
         
         // Double-check the printer is still available (status might have changed)
         const finalCheck = printers.find((p) => p.name === targetPrinter);
-        if (finalCheck) {
-            const status = String(finalCheck.status || '').toLowerCase();
-            if (status.includes('offline') || status.includes('unavailable') || status.includes('error')) {
-                throw new Error(`Printer "${targetPrinter}" is currently offline or unavailable. Please check the printer and try again.`);
-            }
+        if (finalCheck && !isPrinterUsable(finalCheck)) {
+            throw new Error(`Printer "${targetPrinter}" is not ready (${printerStateText(finalCheck)}). Please check the printer and try again.`);
         }
         
-        console.log(`Selected printer: ${targetPrinter} (status: ${finalCheck?.status || 'unknown'})`);
+        log.info('Selected printer', { printer: targetPrinter, state: finalCheck ? describePrinter(finalCheck).state : null, status: finalCheck?.status ?? null });
         return targetPrinter;
     }
 
+    /**
+     * Print `contents` and resolve with the OS spooler job ID for the submission
+     * (null if the spooler can't be queried or the job could not be identified).
+     */
     function doPrint(contents, opts, fileIndex = -1) {
         return new Promise((resolve, reject) => {
             // Verify printer is still available before printing
-            getPrintersList(contents).then(printers => {
+            getPrintersList(contents).then(async printers => {
                 const printerName = opts.deviceName;
                 if (printerName) {
                     const printer = printers.find(p => p.name === printerName);
                     if (printer) {
-                        const status = String(printer.status || '').toLowerCase();
-                        if (status.includes('offline') || status.includes('unavailable') || status.includes('error')) {
-                            const error = new Error(`Printer "${printerName}" is offline or unavailable. Please check the printer connection and try again.`);
-                            error.errorType = 'printer_offline';
+                        if (!isPrinterUsable(printer)) {
+                            const error = new Error(`Printer "${printerName}" is not ready (${printerStateText(printer)}). Please check the printer and try again.`);
+                            error.errorType = printerErrorType(printer);
                             error.fileIndex = fileIndex;
                             return reject(error);
                         }
@@ -511,49 +1929,21 @@ async function printJob(job, sendProgress = null, sendSuccess = null, sendError
                     }
                 }
                 
+                // Jobs already in the spooler, so the one this print creates can be told apart
+                const { spooler } = getPrinterBackend();
+                const before = printerName ? await spooler.snapshot(printerName) : null;
+
                 // Proceed with printing
-                contents.print(opts, (success, reason) => {
+                getPrinterBackend().print(contents, opts).then(({ success, failureReason: reason }) => {
                     if (success) {
-                        // Verify print actually succeeded by checking printer status again
-                        getPrintersList(contents).then(printers => {
-                            if (printerName) {
-                                const printer = printers.find(p => p.name === printerName);
-                                if (printer) {
-                                    const status = String(printer.status || '').toLowerCase();
-                                    if (status.includes('offline') || status.includes('unavailable')) {
-                                        console.warn(`Warning: Printer "${printerName}" status indicates offline after print, but print reported success.`);
-                                    }
-                                }
-                            }
-                            resolve();
-                        }).catch(() => {
-                            // If we can't verify, still resolve (print reported success)
-                            resolve();
-                        });
+                        // Success only means the job reached the OS; it is tracked until the spooler finishes it
+                        spooler.findNewJob(printerName, before).then((spoolJobId) => {
+                            if (!spoolJobId) log.warn('Could not identify the spooler job; it will not be tracked', { fileIndex, printer: printerName });
+                            resolve(spoolJobId);
+                        }, () => resolve(null));
                     } else {
                         // Parse common printer error messages
-                        const errorMessage = reason || "Print failed";
-                        let errorType = 'printer_error';
-                        let userFriendlyMessage = errorMessage;
-
-                        // Check for common printer errors
-                        const lowerReason = String(errorMessage).toLowerCase();
-                        if (lowerReason.includes('paper') || lowerReason.includes('sheet') || lowerReason.includes('out of paper')) {
-                            errorType = 'no_paper';
-                            userFriendlyMessage = 'No paper/sheets present in the printer. Please add paper and try again.';
-                        } else if (lowerReason.includes('ink') || lowerReason.includes('toner') || lowerReason.includes('cartridge')) {
-                            errorType = 'no_ink';
-                            userFriendlyMessage = 'Printer ink/toner is low or empty. Please check your printer.';
-                        } else if (lowerReason.includes('offline') || lowerReason.includes('not connected') || lowerReason.includes('unavailable')) {
-                            errorType = 'printer_offline';
-                            userFriendlyMessage = 'Printer is offline or not connected. Please check the printer connection and try again.';
-                        } else if (lowerReason.includes('jam') || lowerReason.includes('jammed')) {
-                            errorType = 'paper_jam';
-                            userFriendlyMessage = 'Paper jam detected. Please clear the paper jam and try again.';
-                        } else if (lowerReason.includes('cover') || lowerReason.includes('open')) {
-                            errorType = 'printer_cover_open';
-                            userFriendlyMessage = 'Printer cover is open. Please close the cover and try again.';
-                        }
+                        const { errorType, message: userFriendlyMessage } = classifyPrintFailure(reason);
 
                         const error = new Error(userFriendlyMessage);
                         error.errorType = errorType;
@@ -571,40 +1961,154 @@ async function printJob(job, sendProgress = null, sendSuccess = null, sendError
         });
     }
 
+    // Per-file outcome sent with PRINT_SUCCESSFULLY_DONE / PRINT_ERROR
+    // (files before startIndex were printed before the job was resumed)
+    const report = urls.map((url, index) => ({
+        fileIndex: index,
+        url: url,
+        status: index < startIndex ? 'printed' : 'pending',
+        attempts: 0
+    }));
+    const retryPolicy = resolveRetryPolicy(job.retry_policy);
+    const continueOnError = Boolean(job.continue_on_error);
+    // Banner sheet before the order's files, once per printer used (not in preview or PDF export)
+    const separatorPage = Boolean(job.separator_page);
+    const separatorsPrinted = new Set();
+    // Set when the job ends early so spooler jobs are no longer polled
+    let stopWatching = false;
+
     try {
         // First, verify printers are available before starting
-        const initialPrinters = await getPrintersList(printWindow.webContents);
-        if (initialPrinters.length === 0) {
+        const initialPrinters = output ? [] : await getPrintersList(printWindow.webContents);
+        if (!output && initialPrinters.length === 0) {
             throw new Error("No printers found. Please connect a printer and try again.");
         }
         
-        const availablePrinters = initialPrinters.filter(p => {
-            const status = String(p.status || '').toLowerCase();
-            return !status.includes('offline') && !status.includes('unavailable') && !status.includes('error');
-        });
+        const availablePrinters = initialPrinters.filter(isPrinterUsable);
         
-        if (availablePrinters.length === 0) {
+        if (!output && availablePrinters.length === 0) {
             throw new Error("No printers are currently available. Please check that your printer is connected, powered on, and online.");
         }
         
-        // Get the target printer (this will also validate it's available)
-        const targetPrinter = await getTargetPrinter();
+        // Get the target printer (this will also validate it's available);
+        // routed jobs choose a printer per file instead
+        // Without a printer in the job or routing rules, colour and B/W files may each have a
+        // default printer in Settings (chosen per mode on first use)
+        const { defaultPrinters } = stationSettings;
+        const modePrinters = !deviceName && !routing && !output && (defaultPrinters.color || defaultPrinters.black) ? {} : null;
+        const targetPrinter = routing || output || modePrinters ? null : await getTargetPrinter();
+        // Printers that already failed each file, avoided when it is re-routed
+        const failedPrinters = urls.map(() => new Set());
+
+        /** Printer for file `i`: the job's printer, the default for its colour mode, or the one the routing rules choose */
+        async function choosePrinter(i) {
+            if (modePrinters) {
+                const mode = fileOptions[i].isColor ? "color" : "black";
+                if (!(mode in modePrinters)) modePrinters[mode] = await getTargetPrinter(defaultPrinters[mode]);
+                return modePrinters[mode];
+            }
+            if (!routing) return targetPrinter;
+            const printerName = await routeFile(routing, {
+                printers: await getPrintersList(printWindow.webContents),
+                isColor: fileOptions[i].isColor,
+                exclude: failedPrinters[i],
+                activeJobs: getPrinterBackend().spooler.activeJobCount,
+            });
+            log.info("File routed to printer", { fileIndex: i, printer: printerName });
+            return printerName;
+        }
 
-        // Files are already expanded by quantity, so print each file once
-        for (let i = 0; i < urls.length; i++) {
-            let url = urls[i];
+        /** Print the order's separator sheet (B/W, one side) on `printerName` */
+        async function printSeparator(printerName, paperSize, fileIndex) {
+            const loadPromise = new Promise((resolve) => {
+                printWindow.webContents.once("did-finish-load", resolve);
+            });
+            const html = buildSeparatorHtml({
+                order_id: job.order_id,
+                customer_name: job.customer_name,
+                files: urls.map(fileLabel),
+                printedAt: new Date(),
+                paperSize,
+            });
+            await printWindow.loadURL("data:text/html;charset=utf-8," + encodeURIComponent(html));
+            await Promise.race([
+                loadPromise,
+                new Promise((_, rej) => setTimeout(() => rej(renderError("Load timed out", 'render_timeout')), stationSettings.pageLoadTimeoutMs)),
+            ]);
+            const opts = {
+                silent: true,
+                printBackground: true,
+                color: false,
+                copies: 1,
+                duplexMode: 'simplex',
+                landscape: false,
+                margins: { marginType: "none" },
+                pageSize: pageSizeMicrons(paperSize),
+            };
+            if (printerName) opts.deviceName = printerName;
+            await doPrint(printWindow.webContents, opts, fileIndex);
+            log.info("Separator sheet printed", { order_id: job.order_id, printer: printerName });
+        }
 
-            // Get color mode for this specific file
-            const fileColorMode = getFileColorMode(i);
-            const isColor = fileColorMode === "color";
+        /** Send a rendered file to its output; resolves with the spooler job ID (or null) */
+        async function emit(contents, printOpts, i) {
+            if (output) return output(contents, printOpts, i);
+            if (exportPdf) await capturePdf(contents, printOpts, i);
+            return doPrint(contents, printOpts, i);
+        }
 
-            console.log(`File ${i + 1}/${totalFiles}: color_mode=${fileColorMode}, isColor=${isColor}`);
+        /**
+         * Render and print file `i` once; resolves with its spooler job ID (or null),
+         * throws (with errorType) if it fails
+         */
+        async function printFile(i) {
+            const url = urls[i];
+            let spoolJobId = null;
+
+            // Print options for this specific file
+            const fileOpts = fileOptions[i];
+            const isColor = fileOpts.isColor;
+            const printerName = await choosePrinter(i);
+            filePrinters[i] = printerName;
+
+            // Each printer the order goes to starts with its separator sheet
+            if (separatorPage && !output && !separatorsPrinted.has(printerName || '')) {
+                await printSeparator(printerName, fileOpts.paperSize, i);
+                separatorsPrinted.add(printerName || '');
+            }
+
+            log.info('Printing file', {
+                fileIndex: i,
+                totalFiles,
+                printer: printerName,
+                colorMode: fileOpts.colorMode,
+                copies: fileOpts.copies,
+                duplex: fileOpts.duplexMode,
+                pagesPerSheet: fileOpts.pagesPerSheet,
+                pageRanges: fileOpts.pageRanges,
+                paper: fileOpts.paperSize.name,
+                orientation: fileOpts.orientation,
+                fit: fileOpts.fitMode
+            });
+
+            // Download (or reuse the cached copy), then render from the local file
+            const officeExt = officeExtension(job, url, i);
+            const localPath = await fetchFile(url, i, officeExt || (isPdf(job, url, i) ? "pdf" : urlExtension(url)));
 
             // Determine file type
-            const isPdfFile = isPdf(job, url, i);
+            const isPdfFile = Boolean(officeExt) || isPdf(job, url, i);
             const isImageFile = !isPdfFile;
 
-            console.log(`File ${i + 1}: URL=${url.substring(0, 50)}... | isPdf=${isPdfFile} | isImage=${isImageFile}`);
+            // Office documents are converted to PDF first, then printed through the PDF path;
+            // images are decoded (HEIC, TIFF) and their EXIF orientation read
+            const sourcePath = officeExt ? await convertOfficeFile(localPath, officeExt, i) : localPath;
+            const image = isImageFile ? await prepareImageFile(sourcePath, i) : null;
+
+            // The local copy is served to the render window over hostego://
+            const renderUrl = toRenderUrl(image ? image.path : sourcePath);
+            renderUrls.push(renderUrl);
+
+            log.debug('Rendering file', { fileIndex: i, url, isPdf: isPdfFile });
 
             // Send progress: Starting file
             if (sendProgress) {
@@ -620,7 +2124,7 @@ async function printJob(job, sendProgress = null, sendSuccess = null, sendError
 
             if (isPdfFile) {
                 // 🎯 PDF: Use PDF.js in browser to render to canvas, then print
-                console.log("Rendering PDF with PDF.js:", url);
+                log.debug("Rendering PDF with PDF.js", { fileIndex: i });
 
                 if (sendProgress) {
                     sendProgress({
@@ -637,16 +2141,21 @@ async function printJob(job, sendProgress = null, sendSuccess = null, sendError
                 });
 
                 // Load HTML that uses PDF.js to render PDF to canvas
-                const html = buildPdfRenderHtml(url);
+                // Page ranges and N-up are laid out in the HTML, so the driver prints every sheet as-is
+                const html = buildPdfRenderHtml(renderUrl, {
+                    ...fileOpts,
+                    renderDpi: stationSettings.renderDpi,
+                    overlay: pageOverlay(job, fileOpts, i, totalFiles)
+                });
                 await printWindow.loadURL("data:text/html;charset=utf-8," + encodeURIComponent(html));
 
                 await Promise.race([
                     loadPromise,
-                    new Promise((_, rej) => setTimeout(() => rej(new Error("Load timed out")), 30000)),
+                    new Promise((_, rej) => setTimeout(() => rej(renderError("Load timed out", 'render_timeout')), stationSettings.pdfLoadTimeoutMs)),
                 ]);
 
                 // Wait for PDF.js to finish rendering
-                console.log("Waiting for PDF.js to render...");
+                log.debug("Waiting for PDF.js to render", { fileIndex: i });
                 await printWindow.webContents.executeJavaScript(`
                         new Promise((resolve, reject) => {
                             let checks = 0;
@@ -664,32 +2173,38 @@ async function printJob(job, sendProgress = null, sendSuccess = null, sendError
                             };
                             check();
                         });
-                    `);
+                    `).catch((err) => {
+                        const message = String(err && err.message || err);
+                        throw renderError(message, /timeout/i.test(message) ? 'render_timeout' : 'render_failed');
+                    });
 
                 // Extra wait for canvas rendering to complete
-                await new Promise((r) => setTimeout(r, 1000));
+                await new Promise((r) => setTimeout(r, stationSettings.pdfRenderWaitMs));
+
+                // Sheet orientation chosen by the page (explicit, N-up or auto-detected)
+                const renderInfo = await printWindow.webContents.executeJavaScript("window.renderInfo || null");
+                const landscape = Boolean(renderInfo && renderInfo.landscape);
 
                 // Print
                 const printOpts = {
                     silent: true,
                     printBackground: true,
                     color: isColor,
-                    copies: 1,
-                    deviceName: targetPrinter,
+                    copies: fileOpts.copies,
+                    collate: true,
+                    duplexMode: fileOpts.duplexMode,
+                    landscape: landscape,
 
                     margins: {
                         marginType: "none",
                     },
 
-                    pageSize: {
-                        width: 210000,   // microns
-                        height: 297000,
-                    },
+                    pageSize: pageSizeMicrons(fileOpts.paperSize),
 
                     scaleFactor: 100,
                 };
 
-                if (targetPrinter) printOpts.deviceName = targetPrinter;
+                if (printerName) printOpts.deviceName = printerName;
 
                 if (sendProgress) {
                     sendProgress({
@@ -701,27 +2216,8 @@ async function printJob(job, sendProgress = null, sendSuccess = null, sendError
                     });
                 }
 
-                console.log("Printing PDF...");
-                try {
-                    await doPrint(printWindow.webContents, printOpts, i);
-                    console.log("PDF printed successfully");
-
-                    if (sendProgress) {
-                        sendProgress({
-                            fileIndex: i,
-                            totalFiles: totalFiles,
-                            status: 'completed',
-                            message: `File ${i + 1} of ${totalFiles} printed successfully`,
-                            url: url
-                        });
-                    }
-                } catch (printError) {
-                    console.error(`Print error for file ${i + 1}:`, printError);
-                    if (sendError) {
-                        sendError(printError);
-                    }
-                    throw printError; // Re-throw to stop the loop
-                }
+                spoolJobId = await emit(printWindow.webContents, printOpts, i);
+                log.info("PDF sent to printer", { fileIndex: i });
 
             } else {
                 // Regular image printing
@@ -739,37 +2235,36 @@ async function printJob(job, sendProgress = null, sendSuccess = null, sendError
                     printWindow.webContents.once("did-finish-load", resolve);
                 });
 
-                const html = buildImageHtml([url]);
+                const html = buildImageHtml([renderUrl], {
+                    ...fileOpts,
+                    grayscale: !isColor,
+                    exifOrientation: image.orientation,
+                    overlay: pageOverlay(job, fileOpts, i, totalFiles)
+                });
                 await printWindow.loadURL("data:text/html;charset=utf-8," + encodeURIComponent(html));
 
                 await Promise.race([
                     loadPromise,
-                    new Promise((_, rej) => setTimeout(() => rej(new Error("Load timed out")), 15000)),
+                    new Promise((_, rej) => setTimeout(() => rej(renderError("Load timed out", 'render_timeout')), stationSettings.pageLoadTimeoutMs)),
                 ]);
 
-                await printWindow.webContents.executeJavaScript(`
-                        new Promise((resolve) => {
-                            const imgs = document.images;
-                            if (imgs.length === 0) return resolve();
-                            let left = imgs.length;
-                            const done = () => { if (--left === 0) resolve(); };
-                            for (let i = 0; i < imgs.length; i++) {
-                                if (imgs[i].complete) done();
-                                else { imgs[i].onload = done; imgs[i].onerror = done; }
-                            }
-                        });
-                    `);
-                await new Promise((r) => setTimeout(r, 300));
+                // Resolves after every image has loaded (or failed) and the sheet orientation is set
+                const imageInfo = await printWindow.webContents.executeJavaScript("window.layoutReady");
+                if (imageInfo && imageInfo.error) throw renderError(imageInfo.error, 'render_failed');
+                await new Promise((r) => setTimeout(r, stationSettings.imageRenderWaitMs));
 
                 const printOpts = {
                     silent: true,
                     printBackground: true,
                     color: isColor,
-                    copies: 1,
+                    copies: fileOpts.copies,
+                    collate: true,
+                    duplexMode: fileOpts.duplexMode,
+                    landscape: Boolean(imageInfo && imageInfo.landscape),
                     margins: { marginType: "none" },
-                    pageSize: "A4",
+                    pageSize: pageSizeMicrons(fileOpts.paperSize),
                 };
-                if (targetPrinter) printOpts.deviceName = targetPrinter;
+                if (printerName) printOpts.deviceName = printerName;
 
                 if (sendProgress) {
                     sendProgress({
@@ -781,72 +2276,319 @@ async function printJob(job, sendProgress = null, sendSuccess = null, sendError
                     });
                 }
 
+                spoolJobId = await emit(printWindow.webContents, printOpts, i);
+                log.info("Image sent to printer", { fileIndex: i });
+            }
+
+            if (sendProgress) {
+                sendProgress({
+                    fileIndex: i,
+                    totalFiles: totalFiles,
+                    status: 'completed',
+                    message: output
+                        ? `File ${i + 1} of ${totalFiles} rendered`
+                        : `File ${i + 1} of ${totalFiles} printed successfully`,
+                    url: url,
+                    spoolerJobId: spoolJobId
+                });
+            }
+            return spoolJobId;
+        }
+
+        /**
+         * Print file `i`, applying the retry policy: automatic retries with backoff, or
+         * waiting for the operator to retry/skip/cancel. Resolves with the file's outcome.
+         */
+        async function printWithRetry(i) {
+            const url = urls[i];
+            for (let attempt = 1; ; attempt++) {
                 try {
-                    await doPrint(printWindow.webContents, printOpts, i);
-                    console.log("Image printed successfully");
-
-                    if (sendProgress) {
-                        sendProgress({
-                            fileIndex: i,
-                            totalFiles: totalFiles,
-                            status: 'completed',
-                            message: `File ${i + 1} of ${totalFiles} printed successfully`,
-                            url: url
-                        });
+                    const spoolJobId = await printFile(i);
+                    return { status: 'printed', attempts: attempt, spoolJobId };
+                } catch (err) {
+                    if (err.errorType === 'cancelled') throw err;
+                    err.fileIndex = i;
+                    log.error("Print error", { fileIndex: i, attempt, printer: filePrinters[i] || null, error: err });
+
+                    // A routed file moves to another suitable printer when its printer goes away
+                    if (routing && routing.failover && FAILOVER_ERROR_TYPES.includes(err.errorType) && filePrinters[i]) {
+                        failedPrinters[i].add(filePrinters[i]);
+                        if (sendProgress) {
+                            sendProgress({
+                                fileIndex: i,
+                                totalFiles: totalFiles,
+                                status: 'retrying',
+                                message: `${err.message} Sending file ${i + 1} to another printer...`,
+                                errorType: err.errorType,
+                                url: url
+                            });
+                        }
+                        continue;
                     }
-                } catch (printError) {
-                    console.error(`Print error for file ${i + 1}:`, printError);
-                    if (sendError) {
-                        sendError(printError);
+
+                    const decision = decideRetry(retryPolicy, err, attempt);
+                    if (decision.action === 'retry') {
+                        if (sendProgress) {
+                            sendProgress({
+                                fileIndex: i,
+                                totalFiles: totalFiles,
+                                status: 'retrying',
+                                message: `${err.message} Retrying file ${i + 1} in ${Math.round(decision.delayMs / 1000)}s (attempt ${attempt + 1} of ${retryPolicy.maxAttempts})...`,
+                                errorType: err.errorType,
+                                url: url
+                            });
+                        }
+                        await new Promise((r) => setTimeout(r, decision.delayMs));
+                        continue;
                     }
-                    throw printError; // Re-throw to stop the loop
+
+                    if (decision.action === 'operator' && options.waitForOperator) {
+                        if (sendProgress) {
+                            sendProgress({
+                                fileIndex: i,
+                                totalFiles: totalFiles,
+                                status: 'waiting',
+                                message: `${err.message} Waiting for the operator to retry, skip or cancel...`,
+                                errorType: err.errorType,
+                                url: url
+                            });
+                        }
+                        const choice = await options.waitForOperator(err, i);
+                        if (choice === 'retry') continue;
+                        if (choice === 'skip') return { status: 'skipped', attempts: attempt, error: err };
+                        throw control ? control.cancelledError() : err;
+                    }
+
+                    return { status: 'failed', attempts: attempt, error: err };
                 }
             }
         }
 
-        // Verify printer is still available before marking as completed
-        console.log('All files printed successfully, verifying printer status before sending success callback...');
-        const finalPrinters = await getPrintersList(printWindow.webContents);
-        const finalPrinterCheck = finalPrinters.find((p) => p.name === targetPrinter);
-        
-        if (!finalPrinterCheck) {
-            const error = new Error(`Printer "${targetPrinter}" is no longer available. Print job may not have completed successfully.`);
-            error.errorType = 'printer_unavailable';
-            if (sendError) {
-                sendError(error);
+        // Spooler jobs still being followed: [{ fileIndex, done }]
+        const spoolWatches = [];
+        // Printers with submitted jobs the spooler could not track
+        const untrackedPrinters = new Set();
+
+        // Print each file once; copies are passed to the printer per file
+        // (a resumed job starts after the files it already printed)
+        for (let i = startIndex; i < urls.length; i++) {
+            const url = urls[i];
+
+            // Cancel/pause requests take effect between files
+            if (control) {
+                await control.checkpoint(() => sendProgress && sendProgress({
+                    fileIndex: i,
+                    totalFiles: totalFiles,
+                    status: 'paused',
+                    message: `Paused before file ${i + 1} of ${totalFiles}`,
+                    url: url
+                }));
+            }
+
+            const outcome = await printWithRetry(i);
+            const fileReport = report[i];
+            fileReport.status = outcome.status;
+            fileReport.attempts = outcome.attempts;
+            fileReport.printerName = filePrinters[i] || targetPrinter;
+            if (outcome.spoolJobId) {
+                fileReport.spoolerJobId = outcome.spoolJobId;
+                spoolWatches.push({
+                    fileIndex: i,
+                    done: getPrinterBackend().spooler.waitForJob(fileReport.printerName, outcome.spoolJobId, {
+                        timeoutMs: SPOOLER_CONFIRM_TIMEOUT_MS,
+                        shouldStop: () => stopWatching || Boolean(control && control.cancelled),
+                        onUpdate: (spoolJob) => log.info("Spooler job update", { fileIndex: i, spoolerJobId: spoolJob.id, state: spoolJob.state })
+                    })
+                });
+            } else if (outcome.status === 'printed' && fileReport.printerName) {
+                untrackedPrinters.add(fileReport.printerName);
+            }
+            if (outcome.error) {
+                fileReport.error = outcome.error.message;
+                fileReport.errorType = outcome.error.errorType || 'printer_error';
+            }
+
+            if (outcome.status !== 'printed' && sendProgress) {
+                sendProgress({
+                    fileIndex: i,
+                    totalFiles: totalFiles,
+                    status: outcome.status === 'skipped' ? 'skipped' : 'error',
+                    message: outcome.status === 'skipped'
+                        ? `File ${i + 1} of ${totalFiles} skipped: ${fileReport.error}`
+                        : `File ${i + 1} of ${totalFiles} failed: ${fileReport.error}`,
+                    errorType: fileReport.errorType,
+                    url: url
+                });
+            }
+
+            // Without continue_on_error the first failed file stops the job
+            if (outcome.status === 'failed' && !continueOnError) {
+                outcome.error.report = report;
+                throw outcome.error;
             }
-            throw error;
         }
-        
-        const finalStatus = String(finalPrinterCheck.status || '').toLowerCase();
-        if (finalStatus.includes('offline') || finalStatus.includes('unavailable') || finalStatus.includes('error')) {
-            const error = new Error(`Printer "${targetPrinter}" is offline or unavailable. Print job may not have completed successfully.`);
-            error.errorType = 'printer_offline';
-            if (sendError) {
-                sendError(error);
+
+        // Wait for the spooler to finish every submitted job before reporting success
+        if (spoolWatches.length > 0) {
+            if (sendProgress) {
+                sendProgress({
+                    fileIndex: -1,
+                    totalFiles: totalFiles,
+                    status: 'confirming',
+                    message: `Waiting for the printer to finish ${spoolWatches.length} job(s)...`
+                });
             }
+            const results = await Promise.all(spoolWatches.map((w) => w.done));
+            if (control && control.cancelled) throw control.cancelledError();
+
+            results.forEach((result, k) => {
+                const i = spoolWatches[k].fileIndex;
+                const fileReport = report[i];
+                fileReport.spoolerState = result.state;
+                const failure = SPOOLER_FAILURES[result.state];
+                if (!failure) return;
+
+                fileReport.status = 'failed';
+                fileReport.error = result.message ? `${failure.message} (${result.message})` : failure.message;
+                fileReport.errorType = failure.errorType;
+                if (sendProgress) {
+                    sendProgress({
+                        fileIndex: i,
+                        totalFiles: totalFiles,
+                        status: 'error',
+                        message: `File ${i + 1} of ${totalFiles} failed: ${fileReport.error}`,
+                        errorType: fileReport.errorType,
+                        url: urls[i]
+                    });
+                }
+            });
+        }
+
+        // Save the sheets of every printed file as the order's PDF
+        let pdfPath = null;
+        const exported = report.filter((f) => f.status === 'printed' && filePdfs[f.fileIndex]);
+        if (exportPdf && exported.length > 0) {
+            try {
+                pdfPath = await saveOrderPdf(pdfExportDir(stationSettings), job.order_id, exported.map((f) => filePdfs[f.fileIndex]));
+                log.info("Saved order PDF", { order_id: job.order_id, pdfPath });
+            } catch (err) {
+                // Only a PDF-only job fails without its PDF; a printed job keeps its result
+                if (outputMode === OUTPUT_MODES.PDF) throw err;
+                log.error("Could not save order PDF", { order_id: job.order_id, error: err });
+            }
+        }
+
+        const summary = summarizeReport(report);
+        if (summary.failed > 0 || summary.skipped > 0) {
+            const firstFailure = report.find((f) => f.status === 'failed' || f.status === 'skipped');
+            const error = new Error(`${summary.printed} of ${totalFiles} file(s) printed; ${summary.failed} failed, ${summary.skipped} skipped.`);
+            error.errorType = summary.printed > 0 ? 'partial_failure' : firstFailure.errorType;
+            error.report = report;
             throw error;
         }
-        
-        // All files printed successfully and printer is confirmed available - send success callback
-        console.log('Printer status verified, sending success callback...');
+
+        // Jobs the spooler could not track fall back to checking the printer is still available
+        if (untrackedPrinters.size > 0) {
+            log.info('Some files could not be tracked in the spooler, verifying printer status', { printers: [...untrackedPrinters] });
+            const finalPrinters = await getPrintersList(printWindow.webContents);
+            for (const printerName of untrackedPrinters) {
+                const finalPrinterCheck = finalPrinters.find((p) => p.name === printerName);
+
+                if (!finalPrinterCheck) {
+                    const error = new Error(`Printer "${printerName}" is no longer available. Print job may not have completed successfully.`);
+                    error.errorType = 'printer_unavailable';
+                    throw error;
+                }
+
+                if (!isPrinterUsable(finalPrinterCheck)) {
+                    const error = new Error(`Printer "${printerName}" is not ready (${printerStateText(finalPrinterCheck)}). Print job may not have completed successfully.`);
+                    error.errorType = printerErrorType(finalPrinterCheck);
+                    throw error;
+                }
+            }
+        }
+
+        // Every file printed and confirmed - send success callback
+        log.info('All print jobs confirmed, sending success callback', { order_id: job.order_id });
         if (sendSuccess) {
             sendSuccess({
                 totalFiles: totalFiles,
-                message: `All ${totalFiles} file(s) printed successfully`,
+                message: outputMode === OUTPUT_MODES.PDF
+                    ? `All ${totalFiles} file(s) saved to ${pdfPath}`
+                    : `All ${totalFiles} file(s) printed successfully`,
                 order_id: job.order_id,
-                printerName: targetPrinter
+                printerName: targetPrinter || [...new Set(filePrinters.filter(Boolean))].join(', '),
+                outputMode: outputMode,
+                pdfPath: pdfPath,
+                files: report,
+                summary: summary
             });
-        } else {
-            console.warn('sendSuccess callback is not available');
+        } else if (!output) {
+            log.warn('sendSuccess callback is not available');
         }
 
         printWindow.close();
+        releaseJobFiles();
     } catch (error) {
+        stopWatching = true;
         printWindow.close();
-        // Error already sent via sendError in the catch blocks above
+        releaseJobFiles();
+        // The caller sends PRINT_ERROR once, with the per-file report
+        if (!error.report) error.report = report;
         throw error;
     }
 }
 
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+    // A second instance only hands over to the first one and quits
+    if (!isPrimaryInstance) return;
+    loadSettings();
+    printQueue = createPrintQueue(path.join(app.getPath("userData"), "print-queue.json"));
+    jobHistory = createJobHistory(path.join(app.getPath("userData"), "job-history.jsonl"));
+    downloadCache = createDownloadCache({
+        dir: path.join(app.getPath("userData"), "download-cache"),
+        // Downloaded print files are kept this long after their last use (Settings), then deleted
+        retentionMs: () => settings.get().downloadCacheRetentionHours * 60 * 60 * 1000,
+        maxBytes: MAX_DOWNLOAD_BYTES,
+    });
+    downloadCache.cleanup();
+    // Look for LibreOffice in the background so the first capabilities request is fast
+    detectConverter();
+    createWindow({ hidden: wasLaunchedAtLogin() });
+    // Push printer health changes to the web app
+    printerMonitor = createPrinterMonitor({
+        getPrinters: () => (mainWindow && !mainWindow.isDestroyed() ? getPrintersList(mainWindow.webContents) : null),
+        intervalMs: PRINTER_MONITOR_INTERVAL_MS,
+        onChange: (event) => {
+            log.info("Printer status changed", { printer: event.name, from: event.previousState || null, to: event.state, reasons: event.reasons });
+            if (mainWindow && !mainWindow.isDestroyed()) {
+                mainWindow.webContents.send("PRINTER_STATUS_CHANGED", event);
+            }
+            if (localApi) localApi.broadcast("PRINTER_STATUS_CHANGED", event);
+            updateTray();
+        },
+    });
+    printerMonitor.start();
+    updateTray();
+    startLocalApi();
+    startOrderAgent();
+    resumeInterruptedJobs().catch((err) => {
+        log.error("Could not resume interrupted print jobs", { error: err });
+    });
+});
+
+app.on("activate", () => showMainWindow());
+
+app.on("before-quit", () => {
+    quitting = true;
+});
+
+// The main window only hides while the tray icon exists; without one, closing it quits
+app.on("window-all-closed", () => {
+    if (!tray) app.quit();
+});
+
+app.on("will-quit", () => {
+    if (localApi) localApi.stop();
+    if (orderAgent) orderAgent.stop();
+});
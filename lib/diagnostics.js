@@ -0,0 +1,44 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const AdmZip = require("adm-zip");
+const { mask } = require("./logger");
+
+/**
+ * Diagnostics bundle for support: a zip with the recent log files, the printer list,
+ * desktop capabilities and app/system versions. Everything but the logs (already masked
+ * when written) is masked on the way in.
+ */
+
+/**
+ * Write the bundle to `filePath`:
+ *   { logFiles, printers, capabilities, appInfo } → logs/*.log, printers.json,
+ *   capabilities.json, app.json
+ */
+function writeDiagnosticsBundle(filePath, { logFiles = [], printers = [], capabilities = {}, appInfo = {} }) {
+    const zip = new AdmZip();
+    for (const logFile of logFiles) {
+        try {
+            zip.addFile(`logs/${path.basename(logFile)}`, fs.readFileSync(logFile));
+        } catch (e) {
+            // A file rotated away while the bundle was built is simply left out
+        }
+    }
+    const addJson = (name, value) => zip.addFile(name, Buffer.from(JSON.stringify(mask(value), null, 2)));
+    addJson("printers.json", printers);
+    addJson("capabilities.json", capabilities);
+    addJson("app.json", {
+        ...appInfo,
+        createdAt: new Date().toISOString(),
+        platform: process.platform,
+        arch: process.arch,
+        osRelease: os.release(),
+        versions: { electron: process.versions.electron, chrome: process.versions.chrome, node: process.versions.node },
+    });
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    zip.writeZip(filePath);
+    return filePath;
+}
+
+module.exports = { writeDiagnosticsBundle };
@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { downloadToFile, hashFile } = require("./download");
+const log = require("./logger").scope("download-cache");
+
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024;
+
+/** Normalise a checksum ("sha256:ABC…" or "abc…") to lower-case hex, or null */
+function normalizeChecksum(value) {
+    if (!value) return null;
+    const hex = String(value).trim().replace(/^sha256:/i, "").toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(hex)) {
+        const error = new Error(`Invalid sha256 checksum "${value}".`);
+        error.errorType = "invalid_checksum";
+        throw error;
+    }
+    return hex;
+}
+
+function checksumMismatch(expected, actual) {
+    const error = new Error(`File checksum does not match (expected sha256 ${expected.slice(0, 12)}…, got ${actual.slice(0, 12)}…). The file may be corrupted; please re-upload it.`);
+    error.errorType = "checksum_mismatch";
+    return error;
+}
+
+/**
+ * On-disk cache of downloaded print files.
+ * options: { dir, retentionMs, maxBytes, timeoutMs }
+ * Files are keyed by URL, reused by retries and reprints, and removed by cleanup()
+ * once they have not been used for `retentionMs` (a number, or a function read at every
+ * cleanup so a setting can change it while the app runs).
+ */
+function createDownloadCache(options) {
+    const dir = options.dir;
+    const retentionMs = () => (typeof options.retentionMs === "function" ? options.retentionMs() : options.retentionMs) || DEFAULT_RETENTION_MS;
+    const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    const timeoutMs = options.timeoutMs || 60000;
+
+    function cachePath(url, extension) {
+        const key = crypto.createHash("sha256").update(url).digest("hex");
+        const ext = String(extension || "").replace(/[^a-z0-9]/gi, "").toLowerCase();
+        return path.join(dir, ext ? `${key}.${ext}` : key);
+    }
+
+    /**
+     * Local path for `url`, downloading it unless a cached copy exists.
+     * opts: { sha256, extension, onDownload, checkUrl } – onDownload() is called only when a download starts;
+     * checkUrl is passed to downloadToFile to vet redirects.
+     */
+    async function fetch(url, opts = {}) {
+        const expected = normalizeChecksum(opts.sha256);
+        const filePath = cachePath(url, opts.extension);
+
+        if (fs.existsSync(filePath)) {
+            if (!expected || (await hashFile(filePath)) === expected) {
+                // Touch so retention counts from the last use
+                const now = new Date();
+                fs.utimesSync(filePath, now, now);
+                return filePath;
+            }
+            // Stale copy (file changed on the server); download again
+            fs.rmSync(filePath, { force: true });
+        }
+
+        if (opts.onDownload) opts.onDownload();
+        fs.mkdirSync(dir, { recursive: true });
+
+        // Download beside the cache file and rename, so a partial download is never reused
+        const partPath = `${filePath}.${process.pid}.part`;
+        const { bytes, sha256 } = await downloadToFile(url, partPath, { maxBytes, timeoutMs, checkUrl: opts.checkUrl });
+        if (expected && sha256 !== expected) {
+            fs.rmSync(partPath, { force: true });
+            throw checksumMismatch(expected, sha256);
+        }
+        fs.renameSync(partPath, filePath);
+        log.info("Downloaded file to cache", { bytes, file: path.basename(filePath) });
+        return filePath;
+    }
+
+    /** Verify a local (non-downloaded) file against an optional checksum */
+    async function verifyLocal(filePath, sha256) {
+        const expected = normalizeChecksum(sha256);
+        if (!expected) return;
+        const actual = await hashFile(filePath);
+        if (actual !== expected) throw checksumMismatch(expected, actual);
+    }
+
+    /** Delete cached files unused for longer than the retention period */
+    function cleanup() {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir);
+        } catch (e) {
+            return 0;
+        }
+        const cutoff = Date.now() - retentionMs();
+        let removed = 0;
+        for (const name of entries) {
+            const filePath = path.join(dir, name);
+            try {
+                if (fs.statSync(filePath).mtimeMs < cutoff) {
+                    fs.rmSync(filePath, { force: true });
+                    removed++;
+                }
+            } catch (e) {
+                log.warn("Could not clean cached file", { file: name, error: e.message });
+            }
+        }
+        if (removed) log.info("Removed expired files from the download cache", { removed });
+        return removed;
+    }
+
+    return { fetch, verifyLocal, cleanup, dir };
+}
+
+module.exports = { createDownloadCache, normalizeChecksum };
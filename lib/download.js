@@ -0,0 +1,118 @@
+const http = require("http");
+const https = require("https");
+const fs = require("fs");
+const crypto = require("crypto");
+
+const MAX_REDIRECTS = 5;
+
+function downloadError(message, cause, errorType = "download_failed") {
+    const error = new Error(message);
+    error.errorType = errorType;
+    if (cause) error.cause = cause;
+    return error;
+}
+
+function formatMegabytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Download an http(s) URL to `destPath`, following redirects.
+ * options: { timeoutMs, maxBytes, checkUrl } – larger files fail with errorType 'file_too_large';
+ * checkUrl(url) runs on every redirect target and throws to refuse it.
+ * Resolves with { bytes, sha256 }; a failed download removes the partial file.
+ */
+function downloadToFile(url, destPath, options = {}) {
+    const { timeoutMs = 60000, maxBytes = 0, redirects = 0, checkUrl = null } = options;
+
+    return new Promise((resolve, reject) => {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return reject(downloadError(`Invalid download URL: ${url}`));
+        }
+        const client = parsed.protocol === "https:" ? https : parsed.protocol === "http:" ? http : null;
+        if (!client) {
+            return reject(downloadError(`Unsupported download URL scheme: ${parsed.protocol}`));
+        }
+
+        const fail = (error) => {
+            fs.rm(destPath, { force: true }, () => reject(error));
+        };
+
+        const request = client.get(parsed, (response) => {
+            const { statusCode, headers } = response;
+
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                response.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    return reject(downloadError(`Too many redirects downloading ${parsed.host}`));
+                }
+                const next = new URL(headers.location, parsed).href;
+                if (checkUrl) {
+                    try {
+                        checkUrl(next);
+                    } catch (err) {
+                        return reject(err);
+                    }
+                }
+                return resolve(downloadToFile(next, destPath, { ...options, redirects: redirects + 1 }));
+            }
+
+            if (statusCode !== 200) {
+                response.resume();
+                return reject(downloadError(`Download failed (HTTP ${statusCode}) from ${parsed.host}`));
+            }
+
+            const tooLarge = () =>
+                downloadError(`File is larger than the ${formatMegabytes(maxBytes)} download limit.`, null, "file_too_large");
+            const declaredLength = Number(headers["content-length"]);
+            if (maxBytes && declaredLength > maxBytes) {
+                response.resume();
+                return reject(tooLarge());
+            }
+
+            let bytes = 0;
+            const hash = crypto.createHash("sha256");
+            const out = fs.createWriteStream(destPath);
+            response.on("data", (chunk) => {
+                bytes += chunk.length;
+                hash.update(chunk);
+                if (maxBytes && bytes > maxBytes) {
+                    response.unpipe(out);
+                    response.destroy();
+                    out.destroy();
+                    fail(tooLarge());
+                }
+            });
+            response.on("error", (err) => {
+                out.destroy();
+                fail(downloadError(`Download interrupted: ${err.message}`, err));
+            });
+            out.on("error", (err) => fail(downloadError(`Could not save download: ${err.message}`, err)));
+            out.on("finish", () => resolve({ bytes, sha256: hash.digest("hex") }));
+            response.pipe(out);
+        });
+
+        request.setTimeout(timeoutMs, () => {
+            request.destroy(downloadError(`Download timed out after ${Math.round(timeoutMs / 1000)}s`));
+        });
+        request.on("error", (err) => {
+            reject(err.errorType ? err : downloadError(`Download failed: ${err.message}`, err));
+        });
+    });
+}
+
+/** sha256 (hex) of a file on disk */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash("sha256");
+        fs.createReadStream(filePath)
+            .on("data", (chunk) => hash.update(chunk))
+            .on("error", reject)
+            .on("end", () => resolve(hash.digest("hex")));
+    });
+}
+
+module.exports = { downloadToFile, hashFile };
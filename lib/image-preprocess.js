@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+const { PNG } = require("pngjs");
+const UTIF = require("utif");
+const log = require("./logger").scope("image-preprocess");
+
+/**
+ * Image preprocessing before printing.
+ * Chromium cannot show HEIC or TIFF, so those are decoded here into PNGs. For JPEGs the EXIF
+ * orientation is read and reset to 1 in a copy, so the render window applies it itself and
+ * never rotates twice. The rest (orientation, auto-rotation, grayscale) happens on a canvas
+ * in the render window, see buildImageHtml() in index.js.
+ */
+const IMAGE_EXTENSIONS = ["jpg", "jpeg", "png", "gif", "webp", "bmp", "tif", "tiff", "heic", "heif"];
+const IMAGE_MIME_TYPES = [
+    "image/jpeg", "image/jpg", "image/png", "image/gif", "image/webp",
+    "image/bmp", "image/tiff", "image/heic", "image/heif",
+];
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+const HEIF_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"];
+
+/** Image format from the file's first bytes: 'jpeg', 'png', 'gif', 'webp', 'bmp', 'tiff', 'heic' or null */
+function detectImageFormat(buffer) {
+    if (buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "jpeg";
+    if (buffer.readUInt32BE(0) === 0x89504e47) return "png";
+    if (buffer.toString("ascii", 0, 4) === "GIF8") return "gif";
+    if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") return "webp";
+    if (buffer.toString("ascii", 0, 2) === "BM") return "bmp";
+    const tiffHeader = buffer.toString("ascii", 0, 4);
+    if (tiffHeader === "II*\0" || tiffHeader === "MM\0*") return "tiff";
+    if (buffer.toString("ascii", 4, 8) === "ftyp" && HEIF_BRANDS.includes(buffer.toString("ascii", 8, 12))) return "heic";
+    return null;
+}
+
+/**
+ * EXIF orientation (1-8) of a JPEG and the byte offset of its value, or null when the
+ * file has none. Only the APP1 segments before the image data are read.
+ */
+function readExifOrientation(buffer) {
+    try {
+        let pos = 2;
+        while (pos + 4 <= buffer.length && buffer[pos] === 0xff) {
+            const marker = buffer[pos + 1];
+            if (marker === 0xda || marker === 0xd9) return null; // start of image data / end
+            const length = buffer.readUInt16BE(pos + 2);
+            if (marker === 0xe1 && buffer.toString("ascii", pos + 4, pos + 10) === "Exif\0\0") {
+                const tiff = pos + 10;
+                const littleEndian = buffer.toString("ascii", tiff, tiff + 2) === "II";
+                const u16 = (at) => (littleEndian ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+                const u32 = (at) => (littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+                const ifd = tiff + u32(tiff + 4);
+                const entries = u16(ifd);
+                for (let i = 0; i < entries; i++) {
+                    const entry = ifd + 2 + i * 12;
+                    if (u16(entry) !== EXIF_ORIENTATION_TAG) continue;
+                    const orientation = u16(entry + 8);
+                    return orientation >= 1 && orientation <= 8 ? { orientation, offset: entry + 8, littleEndian } : null;
+                }
+                return null;
+            }
+            pos += 2 + length;
+        }
+    } catch (e) {
+        // Truncated or malformed EXIF: print the image as stored
+    }
+    return null;
+}
+
+function decodeFailed(format, err) {
+    const error = new Error(`Could not decode the ${format.toUpperCase()} image: ${err.message}`);
+    error.errorType = "image_decode_failed";
+    return error;
+}
+
+/** First page of a TIFF as PNG bytes, with its orientation tag */
+function decodeTiff(buffer) {
+    const ifds = UTIF.decode(buffer);
+    if (!ifds.length) throw new Error("no images in file");
+    UTIF.decodeImage(buffer, ifds[0], ifds);
+    const page = ifds[0];
+    const png = PNG.sync.write({ width: page.width, height: page.height, data: Buffer.from(UTIF.toRGBA8(page)) });
+    return { png, orientation: page.t274 ? page.t274[0] : 1 };
+}
+
+/** HEIC/HEIF as PNG bytes; libheif applies the file's rotation while decoding (and is only loaded when needed) */
+async function decodeHeic(buffer) {
+    const convert = require("heic-convert");
+    return Buffer.from(await convert({ buffer, format: "PNG" }));
+}
+
+/**
+ * Make the image at `localPath` printable. New files are written to `workDir`;
+ * `onConvert` is called before a slow decode (HEIC, TIFF).
+ * Resolves with { path, format, orientation } where orientation is the EXIF orientation (1-8)
+ * the render window still has to apply.
+ */
+async function prepareImage(localPath, workDir, onConvert) {
+    const buffer = fs.readFileSync(localPath);
+    const format = detectImageFormat(buffer);
+
+    if (format === "jpeg") {
+        const exif = readExifOrientation(buffer);
+        if (!exif || exif.orientation === 1) return { path: localPath, format, orientation: 1 };
+        // A copy with the tag reset, so the orientation is applied exactly once
+        const copy = Buffer.from(buffer);
+        if (exif.littleEndian) copy.writeUInt16LE(1, exif.offset);
+        else copy.writeUInt16BE(1, exif.offset);
+        const copyPath = path.join(workDir, "image.jpg");
+        fs.writeFileSync(copyPath, copy);
+        return { path: copyPath, format, orientation: exif.orientation };
+    }
+
+    if (format === "tiff" || format === "heic") {
+        if (onConvert) onConvert(format);
+        const started = Date.now();
+        let png;
+        let orientation = 1;
+        try {
+            if (format === "tiff") ({ png, orientation } = decodeTiff(buffer));
+            else png = await decodeHeic(buffer);
+        } catch (err) {
+            throw decodeFailed(format, err);
+        }
+        const pngPath = path.join(workDir, "image.png");
+        fs.writeFileSync(pngPath, png);
+        log.info("Decoded image for printing", { format, ms: Date.now() - started });
+        return { path: pngPath, format, orientation: orientation >= 1 && orientation <= 8 ? orientation : 1 };
+    }
+
+    // PNG, GIF, WebP, BMP (and anything else Chromium may know) are shown as they are
+    return { path: localPath, format, orientation: 1 };
+}
+
+module.exports = {
+    IMAGE_EXTENSIONS,
+    IMAGE_MIME_TYPES,
+    detectImageFormat,
+    readExifOrientation,
+    prepareImage,
+};
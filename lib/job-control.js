@@ -0,0 +1,78 @@
+/**
+ * Cancel / pause / resume switch for one print job.
+ * The print loop calls `checkpoint()` between files; cancel and pause take effect there.
+ * While a file waits for the operator, resume() means "retry" and cancel() "cancel".
+ */
+function createJobControl() {
+    let cancelled = false;
+    let paused = false;
+    let waiters = [];
+    let decisionWaiters = [];
+
+    function decide(decision) {
+        const pending = decisionWaiters;
+        decisionWaiters = [];
+        pending.forEach((resolve) => resolve(decision));
+    }
+
+    function release() {
+        const pending = waiters;
+        waiters = [];
+        pending.forEach((resolve) => resolve());
+    }
+
+    function cancelledError() {
+        const error = new Error("Print job was cancelled.");
+        error.errorType = "cancelled";
+        return error;
+    }
+
+    return {
+        get cancelled() {
+            return cancelled;
+        },
+        get paused() {
+            return paused;
+        },
+
+        cancel() {
+            cancelled = true;
+            release();
+            decide("cancel");
+        },
+
+        pause() {
+            if (!cancelled) paused = true;
+        },
+
+        resume() {
+            paused = false;
+            release();
+            decide("retry");
+        },
+
+        /** Resolves with 'retry' (resume) or 'cancel' for a file waiting on the operator */
+        waitForDecision() {
+            if (cancelled) return Promise.resolve("cancel");
+            return new Promise((resolve) => decisionWaiters.push(resolve));
+        },
+
+        cancelledError,
+
+        /**
+         * Throws if the job was cancelled; waits while it is paused.
+         * `onPause` is called once each time the job actually stops here.
+         */
+        async checkpoint(onPause) {
+            if (cancelled) throw cancelledError();
+            if (!paused) return;
+            if (onPause) onPause();
+            while (paused && !cancelled) {
+                await new Promise((resolve) => waiters.push(resolve));
+            }
+            if (cancelled) throw cancelledError();
+        },
+    };
+}
+
+module.exports = { createJobControl };
@@ -0,0 +1,95 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const log = require("./logger").scope("job-history");
+
+/**
+ * Job history, kept as append-only JSONL (one finished job per line).
+ * Entries are loaded once at start and appended as jobs finish; a damaged line
+ * (e.g. from a crash mid-write) is skipped.
+ */
+const DEFAULT_LIMIT = 100;
+
+function createJobHistory(filePath) {
+    const entries = load();
+
+    function load() {
+        let text;
+        try {
+            text = fs.readFileSync(filePath, "utf8");
+        } catch (e) {
+            if (e.code !== "ENOENT") log.warn("Could not read job history", { error: e.message });
+            return [];
+        }
+        const loaded = [];
+        for (const line of text.split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                loaded.push(JSON.parse(line));
+            } catch (e) {
+                log.warn("Skipping damaged job history line");
+            }
+        }
+        return loaded;
+    }
+
+    /** Append a finished job; returns the stored entry with its historyId */
+    function record(data) {
+        const entry = { historyId: crypto.randomUUID(), recordedAt: new Date().toISOString(), ...data };
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.appendFileSync(filePath, JSON.stringify(entry) + "\n");
+        } catch (e) {
+            log.warn("Could not write job history", { error: e.message });
+        }
+        entries.push(entry);
+        return entry;
+    }
+
+    function get(historyId) {
+        return entries.find((e) => e.historyId === historyId) || null;
+    }
+
+    /**
+     * Entries matching `filter`, newest first:
+     *   { order_id, status, printer, errorType, from, to (dates), search (order_id, URLs,
+     *     printer or error text), limit (default 100), offset }
+     * Returns { total, entries }.
+     */
+    function query(filter = {}) {
+        const from = filter.from ? new Date(filter.from).getTime() : null;
+        const to = filter.to ? new Date(filter.to).getTime() : null;
+        const search = filter.search ? String(filter.search).toLowerCase() : "";
+
+        const matches = entries.filter((e) => {
+            const finished = new Date(e.finishedAt || e.recordedAt).getTime();
+            if (filter.order_id && String(e.order_id) !== String(filter.order_id)) return false;
+            if (filter.status && e.status !== filter.status) return false;
+            if (filter.printer && !(e.printers || []).includes(filter.printer)) return false;
+            if (filter.errorType && e.errorType !== filter.errorType && !(e.files || []).some((f) => f.errorType === filter.errorType)) {
+                return false;
+            }
+            if (from !== null && finished < from) return false;
+            if (to !== null && finished > to) return false;
+            if (search) {
+                const haystack = [e.order_id, e.error, ...(e.printers || []), ...(e.files || []).map((f) => f.url)]
+                    .filter(Boolean)
+                    .join(" ")
+                    .toLowerCase();
+                if (!haystack.includes(search)) return false;
+            }
+            return true;
+        });
+
+        const offset = Math.max(0, Number(filter.offset) || 0);
+        const limit = Math.max(1, Number(filter.limit) || DEFAULT_LIMIT);
+        return {
+            total: matches.length,
+            entries: matches.reverse().slice(offset, offset + limit),
+        };
+    }
+
+    return { record, get, query };
+}
+
+module.exports = { createJobHistory };
@@ -0,0 +1,207 @@
+const {
+    parsePageRanges,
+    normalizeDuplexMode,
+    normalizeCopies,
+    normalizePagesPerSheet,
+    normalizePaperSize,
+    normalizeOrientation,
+    normalizeFitMode,
+    normalizePageFooter,
+    normalizeWatermark,
+} = require("./print-options");
+const { normalizeChecksum } = require("./download-cache");
+const { normalizeOutputMode } = require("./pdf-export");
+
+/**
+ * Versioned schema of print jobs (the options of hostego.print(), documented in preload.js).
+ * validateJob() checks every field before a job is queued: types, per-file arrays that must
+ * match images_urls in length, and values (through the normalizers the job later prints with).
+ *
+ * API_VERSION is exposed to the web app as hostego.apiVersion; clients from before it existed
+ * are API 1. JOB_SCHEMA_VERSION goes up when job fields are added or change. A job may send
+ * `schema_version`, and one newer than this client is refused with code 'unsupported_schema_version'.
+ */
+const API_VERSION = "2.0.0";
+const JOB_SCHEMA_VERSION = 2;
+// 1: jobs from web apps written before the schema was versioned
+const MIN_JOB_SCHEMA_VERSION = 1;
+
+const COLOR_MODES = ["color", "black", "bw", "grayscale", "greyscale", "monochrome"];
+const RETRY_POLICY_KEYS = ["max_attempts", "base_delay_ms", "max_delay_ms", "auto_retry", "wait_for_operator"];
+
+function normalizeColorMode(value) {
+    if (!COLOR_MODES.includes(String(value).toLowerCase())) {
+        throw new Error(`Invalid color mode "${value}". Use 'color' or 'black'.`);
+    }
+}
+
+function normalizeRetryPolicy(value) {
+    for (const key of RETRY_POLICY_KEYS) {
+        const option = value[key];
+        if (option === undefined || option === null) continue;
+        if (key === "auto_retry" || key === "wait_for_operator") {
+            if (!Array.isArray(option) || option.some((item) => typeof item !== "string")) {
+                throw new Error(`retry_policy.${key} must be an array of errorType strings.`);
+            }
+        } else if (typeof option !== "number" || !Number.isFinite(option) || option < 0) {
+            throw new Error(`retry_policy.${key} must be a number of at least 0.`);
+        }
+    }
+}
+
+/**
+ * Job fields.
+ *   types    – accepted JSON types ('integer' is a whole number)
+ *   perFile  – an array parallel to images_urls, or one value for every file ('array': the array only)
+ *   check    – throws for a bad value (per file, for perFile fields)
+ */
+const JOB_FIELDS = {
+    schema_version: { types: ["integer"] },
+    images_urls: { types: ["array"], required: true },
+    order_id: { types: ["string", "number"] },
+    customer_name: { types: ["string"] },
+    quantity: { types: ["number"] },
+    color_mode: { types: ["string"], check: normalizeColorMode },
+    color_modes: { perFile: true, types: ["string"], check: normalizeColorMode },
+    page_ranges: { perFile: true, types: ["string", "number", "array"], check: parsePageRanges },
+    duplex_modes: { perFile: true, types: ["string", "boolean"], check: normalizeDuplexMode },
+    copies: { perFile: true, types: ["integer", "string"], check: normalizeCopies },
+    pages_per_sheet: { perFile: true, types: ["integer", "string"], check: normalizePagesPerSheet },
+    paper_sizes: { perFile: true, types: ["string"], check: normalizePaperSize },
+    orientations: { perFile: true, types: ["string"], check: normalizeOrientation },
+    fit_modes: { perFile: true, types: ["string"], check: normalizeFitMode },
+    checksums: { perFile: true, types: ["string"], check: normalizeChecksum },
+    page_footers: { perFile: true, types: ["boolean", "string"], check: normalizePageFooter },
+    page_footer: { types: ["boolean", "string"], check: normalizePageFooter },
+    watermarks: { perFile: true, types: ["string", "boolean"], check: normalizeWatermark },
+    watermark: { types: ["string", "boolean"], check: normalizeWatermark },
+    // Extensions or MIME types; unknown ones fall back to the URL, so any string is accepted
+    file_types: { perFile: "array", types: ["string"] },
+    separator_page: { types: ["boolean"] },
+    continue_on_error: { types: ["boolean"] },
+    retry_policy: { types: ["object"], check: normalizeRetryPolicy },
+    output_mode: { types: ["string"], check: normalizeOutputMode },
+    deviceName: { types: ["string"] },
+    printerName: { types: ["string"] },
+};
+
+function schemaError(code, field, message, fileIndex) {
+    const error = new Error(message);
+    error.errorType = "invalid_print_options";
+    error.code = code;
+    error.field = field;
+    if (fileIndex !== undefined) error.fileIndex = fileIndex;
+    return error;
+}
+
+function jsonType(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    if (typeof value === "number" && Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+function typeMatches(value, types) {
+    const type = jsonType(value);
+    return types.includes(type) || (type === "integer" && types.includes("number"));
+}
+
+/** Check one value of `field`; `fileIndex` is set for per-file values */
+function checkValue(spec, value, field, fileIndex) {
+    if (!typeMatches(value, spec.types)) {
+        throw schemaError("invalid_type", field, `${field} must be ${spec.types.join(" or ")}, not ${jsonType(value)}.`, fileIndex);
+    }
+    if (!spec.check) return;
+    try {
+        spec.check(value, fileIndex);
+    } catch (err) {
+        throw schemaError("invalid_value", field, `${field}: ${err.message}`, fileIndex);
+    }
+}
+
+/**
+ * Validate a job against the schema. Throws an errorType 'invalid_print_options' error with
+ * `code` ('missing_field' | 'invalid_type' | 'length_mismatch' | 'invalid_value' |
+ * 'unsupported_schema_version'), `field` (e.g. 'color_modes[2]') and, for per-file values, `fileIndex`.
+ * Unknown fields are ignored, so newer web apps can send extra data.
+ */
+function validateJob(job) {
+    if (!job || typeof job !== "object" || Array.isArray(job)) {
+        throw schemaError("invalid_type", "", "The print job must be an object.");
+    }
+
+    const version = job.schema_version;
+    if (version !== undefined && (!Number.isInteger(version) || version < MIN_JOB_SCHEMA_VERSION || version > JOB_SCHEMA_VERSION)) {
+        throw schemaError(
+            "unsupported_schema_version",
+            "schema_version",
+            `Job schema version ${version} is not supported; this desktop app accepts ${MIN_JOB_SCHEMA_VERSION} to ${JOB_SCHEMA_VERSION}. Update Hostego Print.`
+        );
+    }
+
+    const urls = job.images_urls;
+    if (urls === undefined || urls === null) {
+        throw schemaError("missing_field", "images_urls", "images_urls is required and must be a non-empty array.");
+    }
+    if (!Array.isArray(urls) || urls.length === 0) {
+        throw schemaError("invalid_type", "images_urls", "images_urls is required and must be a non-empty array.");
+    }
+    urls.forEach((url, index) => {
+        if (typeof url !== "string" || !url.trim()) {
+            throw schemaError("invalid_type", `images_urls[${index}]`, `images_urls[${index}] must be a non-empty string.`, index);
+        }
+    });
+
+    for (const [name, spec] of Object.entries(JOB_FIELDS)) {
+        const value = job[name];
+        if (name === "images_urls" || name === "schema_version" || value === undefined || value === null) continue;
+
+        if (spec.perFile === "array" && !Array.isArray(value)) {
+            throw schemaError("invalid_type", name, `${name} must be an array with one entry per file.`);
+        }
+        if (spec.perFile && Array.isArray(value)) {
+            if (value.length !== urls.length) {
+                throw schemaError(
+                    "length_mismatch",
+                    name,
+                    `${name} has ${value.length} entries but images_urls has ${urls.length}; send one per file or a single value.`
+                );
+            }
+            value.forEach((item, index) => {
+                if (item !== null && item !== "") checkValue(spec, item, `${name}[${index}]`, index);
+            });
+        } else {
+            checkValue(spec, value, name);
+        }
+    }
+}
+
+/**
+ * Schema handshake for GET_CAPABILITIES. `client` is what the web app sends:
+ * { apiVersion?, schemaVersions?: number[] } (the job schema versions it can produce).
+ * `negotiatedSchemaVersion` is the newest version both sides support, or null when none is.
+ */
+function negotiateSchema(client) {
+    const offered = client && Array.isArray(client.schemaVersions) ? client.schemaVersions.filter(Number.isInteger) : null;
+    const supported = offered
+        ? offered.filter((version) => version >= MIN_JOB_SCHEMA_VERSION && version <= JOB_SCHEMA_VERSION)
+        : [JOB_SCHEMA_VERSION];
+    const negotiated = supported.length > 0 ? Math.max(...supported) : null;
+    return {
+        apiVersion: API_VERSION,
+        schemaVersion: JOB_SCHEMA_VERSION,
+        minSchemaVersion: MIN_JOB_SCHEMA_VERSION,
+        negotiatedSchemaVersion: negotiated,
+        compatible: negotiated !== null,
+        jobFields: Object.keys(JOB_FIELDS),
+    };
+}
+
+module.exports = {
+    API_VERSION,
+    JOB_SCHEMA_VERSION,
+    MIN_JOB_SCHEMA_VERSION,
+    JOB_FIELDS,
+    validateJob,
+    negotiateSchema,
+};
@@ -0,0 +1,77 @@
+const { app } = require("electron");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Start the app when the user logs in, straight to the tray (print stations run unattended).
+ *   Windows / macOS – the OS login items (app.setLoginItemSettings)
+ *   Linux           – an XDG autostart entry in ~/.config/autostart
+ * Logins start the app with LAUNCHED_HIDDEN_ARG, so the main window stays hidden until opened.
+ */
+const LAUNCHED_HIDDEN_ARG = "--hidden";
+const AUTOSTART_FILE = "hostego-print.desktop";
+
+function autostartPath() {
+    const configDir = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+    return path.join(configDir, "autostart", AUTOSTART_FILE);
+}
+
+/** Executable and arguments that start this app (in development, electron plus the app folder) */
+function launchCommand() {
+    // AppImage builds run from a temporary mount; the AppImage file itself must be started
+    const executable = process.env.APPIMAGE || process.execPath;
+    return app.isPackaged ? [executable, LAUNCHED_HIDDEN_ARG] : [executable, app.getAppPath(), LAUNCHED_HIDDEN_ARG];
+}
+
+/** Login item options; Windows matches entries by path and args */
+function loginItemOptions() {
+    const [executable, ...args] = launchCommand();
+    return { path: executable, args };
+}
+
+/** Quote an Exec= argument as the desktop entry spec requires */
+function desktopExecArg(arg) {
+    return `"${String(arg).replace(/(["`$\\])/g, "\\$1")}"`;
+}
+
+function isLaunchAtLoginEnabled() {
+    if (process.platform === "linux") return fs.existsSync(autostartPath());
+    return app.getLoginItemSettings(loginItemOptions()).openAtLogin;
+}
+
+/** Turn launching at login on or off; throws if the autostart entry cannot be written */
+function setLaunchAtLogin(enabled) {
+    if (process.platform !== "linux") {
+        app.setLoginItemSettings({ ...loginItemOptions(), openAtLogin: enabled, openAsHidden: true });
+        return;
+    }
+    const file = autostartPath();
+    if (!enabled) {
+        fs.rmSync(file, { force: true });
+        return;
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const entry = [
+        "[Desktop Entry]",
+        "Type=Application",
+        `Name=${app.getName()}`,
+        `Exec=${launchCommand().map(desktopExecArg).join(" ")}`,
+        "X-GNOME-Autostart-enabled=true",
+        "",
+    ].join("\n");
+    fs.writeFileSync(file, entry);
+}
+
+/** Whether this run was started by the login item (so the main window should start hidden) */
+function wasLaunchedAtLogin() {
+    if (process.argv.includes(LAUNCHED_HIDDEN_ARG)) return true;
+    return process.platform === "darwin" && app.getLoginItemSettings().wasOpenedAsHidden;
+}
+
+module.exports = {
+    LAUNCHED_HIDDEN_ARG,
+    isLaunchAtLoginEnabled,
+    setLaunchAtLogin,
+    wasLaunchedAtLogin,
+};
@@ -0,0 +1,292 @@
+const fs = require("fs");
+const http = require("http");
+const crypto = require("crypto");
+const { WebSocketServer } = require("ws");
+const log = require("./logger").scope("local-api");
+
+/**
+ * Optional local HTTP/WebSocket print API for clients outside the Electron window
+ * (POS tablets, internal tools on the LAN). Off by default; configured in a local JSON file:
+ * {
+ *   "enabled": true,
+ *   "host": "127.0.0.1",     // interface to listen on ("0.0.0.0" for every interface)
+ *   "port": 17821,
+ *   "token": "..."           // generated and saved on first start when missing
+ * }
+ * Every request needs the token, as `Authorization: Bearer <token>` or `?token=<token>`
+ * (browsers cannot set headers on WebSockets).
+ *
+ *   GET  /api/v1/printers               printers with normalised status
+ *   GET  /api/v1/capabilities           same as hostego.getCapabilities()
+ *   POST /api/v1/jobs                   job (same schema as hostego.print) → 202 { jobId }, or 400
+ *                                       { success: false, code, field, message } for an invalid job
+ *   GET  /api/v1/jobs/:jobId            last known status, progress and result
+ *   POST /api/v1/jobs/:jobId/cancel     also /pause and /resume
+ *   WS   /api/v1/events[?jobId=]        { type, data } for PRINT_PROGRESS, PRINT_SUCCESSFULLY_DONE,
+ *                                       PRINT_ERROR and PRINTER_STATUS_CHANGED
+ */
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 17821;
+const API_PREFIX = "/api/v1";
+const MAX_BODY_BYTES = 1024 * 1024;
+// Finished jobs kept for GET /jobs/:jobId
+const MAX_TRACKED_JOBS = 200;
+const JOB_EVENTS = ["PRINT_PROGRESS", "PRINT_SUCCESSFULLY_DONE", "PRINT_ERROR"];
+// Job statuses later progress events must not overwrite (runPrintJob sends one after the result)
+const FINAL_JOB_STATUSES = ["completed", "failed", "cancelled"];
+
+function configError(message) {
+    const error = new Error(`Local API config: ${message}`);
+    error.errorType = "invalid_local_api_config";
+    return error;
+}
+
+function requestError(status, message, errorType) {
+    const error = new Error(message);
+    error.status = status;
+    error.errorType = errorType;
+    return error;
+}
+
+/**
+ * Read and validate the local API config. Returns null when the file does not exist or the
+ * API is not enabled; a missing token is generated and written back to the file.
+ * Throws an errorType 'invalid_local_api_config' error if the file is malformed.
+ */
+function loadLocalApiConfig(filePath) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw configError(e.message);
+    }
+    if (!data || typeof data !== "object") throw configError("expected a JSON object");
+    if (data.enabled !== true) return null;
+
+    const host = data.host === undefined ? DEFAULT_HOST : data.host;
+    if (typeof host !== "string" || !host) throw configError(`invalid host "${host}"`);
+    const port = data.port === undefined ? DEFAULT_PORT : Number(data.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw configError(`invalid port "${data.port}"`);
+
+    let token = data.token;
+    if (token !== undefined && (typeof token !== "string" || token.length < 16)) {
+        throw configError("token must be a string of at least 16 characters");
+    }
+    if (!token) {
+        token = crypto.randomBytes(24).toString("hex");
+        fs.writeFileSync(filePath, JSON.stringify({ ...data, token }, null, 2));
+        log.info("Generated a local API token", { file: filePath });
+    }
+    return { host, port, token };
+}
+
+/** Constant-time token check */
+function tokenMatches(expected, given) {
+    if (typeof given !== "string") return false;
+    const a = crypto.createHash("sha256").update(expected).digest();
+    const b = crypto.createHash("sha256").update(given).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+function requestToken(req, url) {
+    const header = req.headers.authorization || "";
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    return match ? match[1].trim() : url.searchParams.get("token");
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(requestError(413, "Request body is too large", "invalid_request"));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+            } catch (e) {
+                reject(requestError(400, `Invalid JSON: ${e.message}`, "invalid_request"));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Local API server.
+ *   config       – { host, port, token } from loadLocalApiConfig()
+ *   submitJob    – (job) => jobId; queues the job and reports through `target`. Throws with
+ *                  errorType for a job that is rejected up front.
+ *   controlJob   – (jobId, 'cancel' | 'pause' | 'resume') => { success, error? }
+ *   getPrinters  – async () => printers
+ *   getCapabilities – async () => capabilities
+ * `target` is a runPrintJob() target that streams job events to WebSocket clients;
+ * `broadcast(type, data)` sends any other event (e.g. PRINTER_STATUS_CHANGED).
+ */
+function createLocalApi({ config, submitJob, controlJob, getPrinters, getCapabilities }) {
+    const jobs = new Map();
+    const wss = new WebSocketServer({ noServer: true });
+    let server = null;
+
+    /** Keep the last known state of API jobs for GET /jobs/:jobId */
+    function track(type, data) {
+        const jobId = String(data.jobId);
+        const job = jobs.get(jobId);
+        if (!job) return;
+        job.updatedAt = new Date().toISOString();
+        if (type === "PRINT_PROGRESS") {
+            job.progress = data;
+            if (!FINAL_JOB_STATUSES.includes(job.status)) {
+                job.status = data.status === "queued" || data.status === "cancelled" ? data.status : "running";
+            }
+        } else if (type === "PRINT_SUCCESSFULLY_DONE") {
+            job.status = "completed";
+            job.result = data;
+        } else if (type === "PRINT_ERROR") {
+            job.status = data.errorType === "cancelled" ? "cancelled" : "failed";
+            job.result = data;
+        }
+    }
+
+    function broadcast(type, data) {
+        if (JOB_EVENTS.includes(type)) track(type, data);
+        const message = JSON.stringify({ type, data });
+        for (const client of wss.clients) {
+            if (client.readyState !== client.OPEN) continue;
+            if (client.jobFilter && JOB_EVENTS.includes(type) && String(data.jobId) !== client.jobFilter) continue;
+            client.send(message);
+        }
+    }
+
+    const target = {
+        send: (channel, data) => broadcast(channel, data),
+        isDestroyed: () => false,
+    };
+
+    async function route(req, url) {
+        const parts = url.pathname.slice(API_PREFIX.length).split("/").filter(Boolean);
+
+        if (req.method === "GET" && parts.length === 1 && parts[0] === "printers") {
+            return [200, { success: true, printers: await getPrinters() }];
+        }
+        if (req.method === "GET" && parts.length === 1 && parts[0] === "capabilities") {
+            return [200, { success: true, ...(await getCapabilities()) }];
+        }
+        if (req.method === "POST" && parts.length === 1 && parts[0] === "jobs") {
+            const job = await readJsonBody(req);
+            let jobId;
+            try {
+                jobId = submitJob(job);
+            } catch (err) {
+                // Schema errors keep their code and field (see lib/job-schema.js)
+                throw Object.assign(requestError(400, err.message, err.errorType || "invalid_print_options"), {
+                    code: err.code,
+                    field: err.field,
+                });
+            }
+            const now = new Date().toISOString();
+            jobs.set(String(jobId), { jobId, order_id: job.order_id, status: "queued", createdAt: now, updatedAt: now });
+            while (jobs.size > MAX_TRACKED_JOBS) jobs.delete(jobs.keys().next().value);
+            log.info("Job submitted over the local API", { jobId, order_id: job.order_id });
+            return [202, { success: true, jobId }];
+        }
+        if (parts[0] === "jobs" && parts.length === 2 && req.method === "GET") {
+            const job = jobs.get(parts[1]);
+            if (!job) throw requestError(404, `Print job ${parts[1]} is not known to the local API.`, "job_not_found");
+            return [200, { success: true, ...job }];
+        }
+        if (parts[0] === "jobs" && parts.length === 3 && req.method === "POST" && ["cancel", "pause", "resume"].includes(parts[2])) {
+            const job = jobs.get(parts[1]);
+            const result = controlJob(job ? job.jobId : parts[1], parts[2]);
+            return [result.success ? 200 : 409, result];
+        }
+        throw requestError(404, `No such endpoint: ${req.method} ${url.pathname}`, "not_found");
+    }
+
+    async function handleRequest(req, res) {
+        // Browser-based tools on other origins authenticate with the token, not cookies
+        res.setHeader("Access-Control-Allow-Origin", "*");
+        res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type");
+        res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+        if (req.method === "OPTIONS") {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, "http://localhost");
+        try {
+            if (!url.pathname.startsWith(API_PREFIX + "/")) throw requestError(404, "Not found", "not_found");
+            if (!tokenMatches(config.token, requestToken(req, url))) {
+                throw requestError(401, "Missing or invalid API token", "unauthorized");
+            }
+            const [status, body] = await route(req, url);
+            sendJson(res, status, body);
+        } catch (err) {
+            const status = err.status || 500;
+            if (status >= 500) log.error("Local API request failed", { method: req.method, path: url.pathname, error: err });
+            else log.warn("Local API request rejected", { method: req.method, path: url.pathname, status, errorType: err.errorType });
+            const body = { success: false, error: err.message, errorType: err.errorType || "internal_error" };
+            if (err.field !== undefined) Object.assign(body, { code: err.code, field: err.field, message: err.message });
+            sendJson(res, status, body);
+        }
+    }
+
+    function handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, "http://localhost");
+        if (url.pathname !== `${API_PREFIX}/events` || !tokenMatches(config.token, requestToken(req, url))) {
+            log.warn("Local API WebSocket rejected", { path: url.pathname });
+            socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, (client) => {
+            client.jobFilter = url.searchParams.get("jobId") || null;
+            client.on("error", (err) => log.warn("Local API WebSocket error", { error: err.message }));
+            log.info("Local API WebSocket client connected", { remote: req.socket.remoteAddress, jobId: client.jobFilter });
+        });
+    }
+
+    /** Start listening; resolves with the bound { address, port } */
+    function start() {
+        return new Promise((resolve, reject) => {
+            server = http.createServer((req, res) => {
+                handleRequest(req, res);
+            });
+            server.on("upgrade", handleUpgrade);
+            server.once("error", reject);
+            server.listen(config.port, config.host, () => {
+                server.off("error", reject);
+                server.on("error", (err) => log.error("Local API server error", { error: err }));
+                const address = server.address();
+                log.info("Local API listening", { host: address.address, port: address.port });
+                resolve(address);
+            });
+        });
+    }
+
+    function stop() {
+        for (const client of wss.clients) client.terminate();
+        if (server) server.close();
+        server = null;
+    }
+
+    return { start, stop, target, broadcast };
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    loadLocalApiConfig,
+    createLocalApi,
+};
@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Structured logging: one JSON object per line, written to rotating files in the logs folder
+ * (<userData>/logs/main.log, main.1.log, ...) and echoed to the console.
+ * Customer file URLs and anything that looks like a token are masked before a record is written,
+ * so log files and diagnostics bundles can be shared safely.
+ *
+ * Modules log through a scope: `const log = require("./logger").scope("spooler")`, then
+ * `log.warn("Spooler query failed", { printer, error: e.message })`.
+ * Until configure() is called (on app start) records only go to the console.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FILE = "main.log";
+
+const settings = {
+    dir: null,
+    level: "info",
+    maxBytes: 5 * 1024 * 1024, // rotate when the current file reaches this size
+    maxFiles: 5, // main.log plus this many minus one rotated files are kept
+    console: true,
+};
+let currentSize = null;
+
+// Keys whose values are never logged
+const SENSITIVE_KEY = /token|secret|password|passwd|authorization|cookie|api[-_]?key|signature|credential/i;
+const URL_PATTERN = /\b(?:https?|file):\/\/[^\s"'<>`]+/gi;
+const BEARER_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g;
+const SECRET_PARAM_PATTERN = /\b([\w-]*(?:token|secret|password|signature|api[-_]?key)[\w-]*)=[^\s&"']+/gi;
+const MASKED = "[masked]";
+
+/**
+ * URL with its path and query hidden: host and file extension are kept, the rest is replaced by a
+ * short hash so the same file can still be followed through the log.
+ */
+function maskUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return value;
+    }
+    const digest = crypto.createHash("sha256").update(value).digest("hex").slice(0, 10);
+    const ext = path.posix.extname(url.pathname).slice(0, 8);
+    return `${url.protocol}//${url.host}/[masked:${digest}${ext}]`;
+}
+
+/** String with URLs, Authorization values and token=... parameters masked */
+function maskString(text) {
+    return String(text)
+        .replace(URL_PATTERN, maskUrl)
+        .replace(BEARER_PATTERN, `$1 ${MASKED}`)
+        .replace(SECRET_PARAM_PATTERN, `$1=${MASKED}`);
+}
+
+/** Deep copy of `value` with sensitive keys and strings masked; Errors become plain objects */
+function mask(value, depth = 0) {
+    if (typeof value === "string") return maskString(value);
+    if (value === null || typeof value !== "object") return value;
+    if (depth > 6) return "[nested]";
+    if (value instanceof Error) {
+        const error = { message: maskString(value.message) };
+        if (value.errorType) error.errorType = value.errorType;
+        if (value.code) error.code = value.code;
+        if (value.stack) error.stack = maskString(value.stack);
+        return error;
+    }
+    if (Array.isArray(value)) return value.map((item) => mask(item, depth + 1));
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SENSITIVE_KEY.test(key) && item !== null && item !== undefined ? MASKED : mask(item, depth + 1);
+    }
+    return copy;
+}
+
+function filePath(index) {
+    return path.join(settings.dir, index === 0 ? LOG_FILE : LOG_FILE.replace(/\.log$/, `.${index}.log`));
+}
+
+/** main.log → main.1.log → main.2.log ...; the oldest file is dropped */
+function rotate() {
+    const keep = Math.max(1, settings.maxFiles);
+    fs.rmSync(filePath(keep - 1), { force: true });
+    for (let i = keep - 1; i >= 1; i--) {
+        if (fs.existsSync(filePath(i - 1))) fs.renameSync(filePath(i - 1), filePath(i));
+    }
+    currentSize = 0;
+}
+
+function writeLine(line) {
+    if (!settings.dir) return;
+    try {
+        if (currentSize === null) {
+            fs.mkdirSync(settings.dir, { recursive: true });
+            currentSize = fs.existsSync(filePath(0)) ? fs.statSync(filePath(0)).size : 0;
+        }
+        const bytes = Buffer.byteLength(line);
+        if (currentSize > 0 && currentSize + bytes > settings.maxBytes) rotate();
+        fs.appendFileSync(filePath(0), line);
+        currentSize += bytes;
+    } catch (e) {
+        // Logging must never break printing; fall back to the console only
+        currentSize = null;
+        if (settings.console) console.error("Could not write log file:", e.message);
+    }
+}
+
+function write(level, scopeName, message, fields) {
+    if (LEVELS[level] < (LEVELS[settings.level] || LEVELS.info)) return;
+
+    const record = { time: new Date().toISOString(), level, scope: scopeName, msg: maskString(message) };
+    if (fields instanceof Error) {
+        record.error = mask(fields);
+    } else if (fields && typeof fields === "object") {
+        Object.assign(record, mask(fields));
+    }
+    writeLine(JSON.stringify(record) + "\n");
+
+    if (settings.console) {
+        const method = level === "debug" ? "log" : level;
+        const extra = fields === undefined ? [] : [fields instanceof Error ? record.error : mask(fields)];
+        console[method](`[${scopeName}] ${record.msg}`, ...extra);
+    }
+}
+
+/** Logger for one part of the app: debug/info/warn/error(message, fields?) */
+function scope(name) {
+    const logger = {};
+    for (const level of Object.keys(LEVELS)) {
+        logger[level] = (message, fields) => write(level, name, message, fields);
+    }
+    return logger;
+}
+
+/** Start writing log files: { dir, level, maxBytes, maxFiles, console } */
+function configure(options = {}) {
+    Object.assign(settings, options);
+    if (!LEVELS[settings.level]) settings.level = "info";
+    currentSize = null;
+}
+
+/** Existing log files, newest first */
+function logFiles() {
+    if (!settings.dir) return [];
+    const files = [];
+    for (let i = 0; i < settings.maxFiles; i++) {
+        if (fs.existsSync(filePath(i))) files.push(filePath(i));
+    }
+    return files;
+}
+
+module.exports = {
+    LEVELS,
+    configure,
+    scope,
+    logFiles,
+    mask,
+    maskUrl,
+};
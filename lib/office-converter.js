@@ -0,0 +1,169 @@
+const { execFile } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const log = require("./logger").scope("office-converter");
+
+/** Office formats converted to PDF with LibreOffice before printing */
+const OFFICE_EXTENSIONS = ["doc", "docx", "xls", "xlsx", "ppt", "pptx", "odt", "ods", "odp", "rtf"];
+
+const OFFICE_MIME_TYPES = [
+    "application/msword",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "application/vnd.ms-excel",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "application/vnd.ms-powerpoint",
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    "application/vnd.oasis.opendocument.text",
+    "application/vnd.oasis.opendocument.spreadsheet",
+    "application/vnd.oasis.opendocument.presentation",
+    "application/rtf",
+];
+
+const CONVERT_TIMEOUT_MS = 120000;
+
+// Conversions share one LibreOffice profile, which only one soffice process can use at a time,
+// so they run one after another (an analysis can convert while a print job does)
+let conversionTail = Promise.resolve();
+
+/** Extension of a URL's path (without query/hash), lower-cased */
+function urlExtension(url) {
+    const match = /\.([a-z0-9]+)(?:$|[?#])/i.exec(String(url || ""));
+    return match ? match[1].toLowerCase() : "";
+}
+
+/**
+ * Office extension for file `index` of a job, or null if it is not an Office document.
+ * Uses file_types (extension or MIME type) when given, otherwise the URL.
+ */
+function officeExtension(job, url, index) {
+    const ft = job.file_types && Array.isArray(job.file_types) ? String(job.file_types[index] || "").toLowerCase() : "";
+    if (ft) {
+        if (OFFICE_EXTENSIONS.includes(ft)) return ft;
+        const mimeIndex = OFFICE_MIME_TYPES.indexOf(ft);
+        if (mimeIndex !== -1) return OFFICE_EXTENSIONS[mimeIndex];
+        return null;
+    }
+    const ext = urlExtension(url);
+    return OFFICE_EXTENSIONS.includes(ext) ? ext : null;
+}
+
+/** Places LibreOffice is usually installed, checked before PATH */
+function candidatePaths() {
+    if (process.platform === "win32") {
+        const roots = [process.env.ProgramFiles, process.env["ProgramFiles(x86)"], "C:\\Program Files", "C:\\Program Files (x86)"];
+        return [...new Set(roots.filter(Boolean))].map((root) => path.join(root, "LibreOffice", "program", "soffice.exe"));
+    }
+    if (process.platform === "darwin") {
+        return ["/Applications/LibreOffice.app/Contents/MacOS/soffice"];
+    }
+    return ["/usr/bin/soffice", "/usr/bin/libreoffice", "/usr/local/bin/soffice", "/usr/lib/libreoffice/program/soffice", "/opt/libreoffice/program/soffice", "/snap/bin/libreoffice"];
+}
+
+function findOnPath() {
+    const names = process.platform === "win32" ? ["soffice.exe"] : ["soffice", "libreoffice"];
+    const dirs = String(process.env.PATH || "").split(path.delimiter).filter(Boolean);
+    for (const dir of dirs) {
+        for (const name of names) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate)) return candidate;
+        }
+    }
+    return null;
+}
+
+function run(file, args, timeout) {
+    return new Promise((resolve, reject) => {
+        execFile(file, args, { timeout, windowsHide: true }, (err, stdout, stderr) => {
+            if (err) {
+                err.stderr = String(stderr || "");
+                return reject(err);
+            }
+            resolve(String(stdout || ""));
+        });
+    });
+}
+
+let detection = null;
+
+/**
+ * Find a working headless LibreOffice.
+ * Resolves to { path, version } or null; the result is cached for the app's lifetime.
+ */
+function detectConverter() {
+    if (detection) return detection;
+    detection = (async () => {
+        const found = candidatePaths().find((p) => fs.existsSync(p)) || findOnPath();
+        if (!found) {
+            log.warn("LibreOffice (soffice) not found; Office documents cannot be printed");
+            return null;
+        }
+        try {
+            const version = (await run(found, ["--headless", "--version"], 30000)).trim();
+            log.info("LibreOffice found", { path: found, version });
+            return { path: found, version };
+        } catch (e) {
+            log.warn("LibreOffice did not start", { path: found, error: e.message });
+            return null;
+        }
+    })();
+    return detection;
+}
+
+/**
+ * Convert an Office document to PDF in `outDir`. Resolves with the PDF path.
+ * A private LibreOffice profile is used so a running LibreOffice window does not block conversion.
+ */
+function convertToPdf(inputPath, outDir) {
+    const result = conversionTail.then(() => convertNow(inputPath, outDir));
+    conversionTail = result.catch(() => {});
+    return result;
+}
+
+async function convertNow(inputPath, outDir) {
+    const converter = await detectConverter();
+    if (!converter) {
+        const error = new Error("LibreOffice is not installed. Install LibreOffice to print Word, Excel and PowerPoint files.");
+        error.errorType = "converter_unavailable";
+        throw error;
+    }
+
+    const profileDir = path.join(os.tmpdir(), "hostego-print-lo-profile");
+    const args = [
+        "--headless",
+        "--norestore",
+        "--nolockcheck",
+        `-env:UserInstallation=${pathToFileURL(profileDir).href}`,
+        "--convert-to",
+        "pdf",
+        "--outdir",
+        outDir,
+        inputPath,
+    ];
+
+    try {
+        await run(converter.path, args, CONVERT_TIMEOUT_MS);
+    } catch (e) {
+        const error = new Error(`Could not convert document to PDF: ${e.killed ? "conversion timed out" : e.stderr || e.message}`);
+        error.errorType = "conversion_failed";
+        throw error;
+    }
+
+    const pdfPath = path.join(outDir, path.basename(inputPath, path.extname(inputPath)) + ".pdf");
+    if (!fs.existsSync(pdfPath)) {
+        const error = new Error("Could not convert document to PDF: LibreOffice produced no output.");
+        error.errorType = "conversion_failed";
+        throw error;
+    }
+    return pdfPath;
+}
+
+module.exports = {
+    OFFICE_EXTENSIONS,
+    OFFICE_MIME_TYPES,
+    urlExtension,
+    officeExtension,
+    detectConverter,
+    convertToPdf,
+};
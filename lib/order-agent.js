@@ -0,0 +1,391 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const log = require("./logger").scope("order-agent");
+
+/**
+ * Order agent: prints orders pulled from a backend, so orders keep printing when the partner's
+ * browser tab is closed or logged out. Configured in a local JSON file:
+ * {
+ *   "enabled": true,
+ *   "endpoint": "https://api.example.com/print-agent",
+ *   "token": "...",                 // sent as Authorization: Bearer <token>
+ *   "station_id": "counter-1",      // default: the computer name
+ *   "poll_interval_ms": 5000,       // pause between polls (and after an error, doubled up to 60s)
+ *   "long_poll_seconds": 0          // > 0: the server may hold GET /orders open this long
+ * }
+ *
+ * Backend protocol (JSON):
+ *   GET  <endpoint>/orders?station=<id>&wait=<seconds>  → { orders: [{ order_id, job }] }
+ *        (job has the same schema as hostego.print(); a flat job with order_id also works)
+ *   POST <endpoint>/orders/<order_id>/claim   { station }  → 200 { claim_id? } | 409 taken elsewhere
+ *   POST <endpoint>/orders/<order_id>/result  { station, claim_id, jobId, status: 'completed' |
+ *        'failed' | 'cancelled', error?, errorType?, summary?, files?, finishedAt }
+ *
+ * Every order_id is recorded in a local ledger before it prints, so an order is never printed
+ * twice by this station, even after a restart; results that could not be posted are retried.
+ */
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const MIN_POLL_INTERVAL_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+const REQUEST_TIMEOUT_MS = 30000;
+// Ledger entries are kept this long, then forgotten
+const LEDGER_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const AGENT_STATES = {
+    STOPPED: "stopped",
+    IDLE: "idle",
+    PRINTING: "printing",
+    PAUSED: "paused",
+    ERROR: "error",
+};
+
+function configError(message) {
+    const error = new Error(`Order agent config: ${message}`);
+    error.errorType = "invalid_agent_config";
+    return error;
+}
+
+function agentError(message, status) {
+    const error = new Error(message);
+    error.errorType = "agent_request_failed";
+    if (status) error.status = status;
+    return error;
+}
+
+/**
+ * Read and validate the agent config. Returns null when the file does not exist or the agent
+ * is not enabled; throws an errorType 'invalid_agent_config' error if it is malformed.
+ */
+function loadAgentConfig(filePath) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw configError(e.message);
+    }
+    if (!data || typeof data !== "object") throw configError("expected a JSON object");
+    if (data.enabled !== true) return null;
+
+    let endpoint;
+    try {
+        endpoint = new URL(data.endpoint);
+    } catch (e) {
+        throw configError(`invalid endpoint "${data.endpoint}"`);
+    }
+    if (endpoint.protocol !== "https:" && endpoint.protocol !== "http:") {
+        throw configError("endpoint must be an http(s) URL");
+    }
+    if (data.token !== undefined && typeof data.token !== "string") throw configError("token must be a string");
+
+    const pollIntervalMs = data.poll_interval_ms === undefined ? DEFAULT_POLL_INTERVAL_MS : Number(data.poll_interval_ms);
+    if (!Number.isFinite(pollIntervalMs) || pollIntervalMs < MIN_POLL_INTERVAL_MS) {
+        throw configError(`poll_interval_ms must be at least ${MIN_POLL_INTERVAL_MS}`);
+    }
+    const longPollSeconds = data.long_poll_seconds === undefined ? 0 : Number(data.long_poll_seconds);
+    if (!Number.isInteger(longPollSeconds) || longPollSeconds < 0 || longPollSeconds > 300) {
+        throw configError("long_poll_seconds must be a whole number from 0 to 300");
+    }
+
+    return {
+        endpoint: endpoint.href.replace(/\/+$/, ""),
+        token: data.token || null,
+        stationId: String(data.station_id || os.hostname()),
+        pollIntervalMs,
+        longPollSeconds,
+    };
+}
+
+/**
+ * Orders this station has taken, by order_id, saved as JSON:
+ *   { state: 'printing' | 'done', claimId, jobId, result, reported, updatedAt }
+ */
+function createOrderLedger(filePath) {
+    const entries = load();
+
+    function load() {
+        let data = {};
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        } catch (e) {
+            if (e.code !== "ENOENT") log.warn("Could not read order ledger", { error: e.message });
+        }
+        const cutoff = Date.now() - LEDGER_RETENTION_MS;
+        const kept = new Map();
+        for (const [orderId, entry] of Object.entries(data || {})) {
+            if (new Date(entry.updatedAt).getTime() >= cutoff || !entry.reported) kept.set(orderId, entry);
+        }
+        return kept;
+    }
+
+    function save() {
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(entries), null, 2));
+            fs.renameSync(tmpPath, filePath);
+        } catch (e) {
+            log.warn("Could not write order ledger", { error: e.message });
+        }
+    }
+
+    return {
+        get: (orderId) => entries.get(String(orderId)) || null,
+        /** Merge `update` into the order's entry and save */
+        set(orderId, update) {
+            const entry = { ...entries.get(String(orderId)), ...update, updatedAt: new Date().toISOString() };
+            entries.set(String(orderId), entry);
+            save();
+            return entry;
+        },
+        entries: () => [...entries.entries()].map(([orderId, entry]) => ({ orderId, ...entry })),
+    };
+}
+
+/** JSON request to the backend; resolves with { status, body } */
+function requestJson(method, url, { token, body, timeoutMs = REQUEST_TIMEOUT_MS, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        const parsed = new URL(url);
+        const client = parsed.protocol === "https:" ? https : http;
+        const payload = body === undefined ? null : Buffer.from(JSON.stringify(body));
+        const headers = { Accept: "application/json" };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (payload) {
+            headers["Content-Type"] = "application/json";
+            headers["Content-Length"] = payload.length;
+        }
+
+        const request = client.request(parsed, { method, headers, signal }, (response) => {
+            const chunks = [];
+            response.on("data", (chunk) => chunks.push(chunk));
+            response.on("end", () => {
+                const text = Buffer.concat(chunks).toString("utf8");
+                let data = null;
+                try {
+                    data = text ? JSON.parse(text) : null;
+                } catch (e) {
+                    // Non-JSON error pages are reported by status only
+                }
+                resolve({ status: response.statusCode, body: data });
+            });
+            response.on("error", (err) => reject(agentError(`Order backend response failed: ${err.message}`)));
+        });
+        request.setTimeout(timeoutMs, () => request.destroy(agentError("Order backend request timed out")));
+        request.on("error", (err) => reject(err.errorType ? err : agentError(`Order backend request failed: ${err.message}`)));
+        if (payload) request.write(payload);
+        request.end();
+    });
+}
+
+/**
+ * The polling agent.
+ *   config         – from loadAgentConfig()
+ *   ledger         – from createOrderLedger()
+ *   runJob         – async (job) => { jobId, status: 'completed' | 'failed' | 'cancelled', error?, errorType?, summary?, files? }
+ *   onStateChange  – (status) => void, called whenever status() changes
+ */
+function createOrderAgent({ config, ledger, runJob, onStateChange }) {
+    const status = { state: AGENT_STATES.STOPPED, currentOrder: null, lastPollAt: null, lastError: null, printed: 0 };
+    let running = false;
+    let paused = false;
+    let abort = null;
+    let wake = null;
+
+    function setStatus(update) {
+        const changed = ["state", "currentOrder", "lastError"].some((key) => key in update && update[key] !== status[key]);
+        Object.assign(status, update);
+        if (changed && onStateChange) onStateChange({ ...status });
+    }
+
+    /** State between orders: pause() or stop() while an order printed or a poll ran still count */
+    const restingState = () => (!running ? AGENT_STATES.STOPPED : paused ? AGENT_STATES.PAUSED : AGENT_STATES.IDLE);
+
+    const url = (suffix) => `${config.endpoint}${suffix}`;
+    const orderUrl = (orderId, action) => url(`/orders/${encodeURIComponent(orderId)}/${action}`);
+
+    function sleep(ms) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(resolve, ms);
+            wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    async function fetchOrders() {
+        const query = new URLSearchParams({ station: config.stationId, wait: String(config.longPollSeconds) });
+        abort = new AbortController();
+        try {
+            const { status: code, body } = await requestJson("GET", url(`/orders?${query}`), {
+                token: config.token,
+                timeoutMs: REQUEST_TIMEOUT_MS + config.longPollSeconds * 1000,
+                signal: abort.signal,
+            });
+            if (code !== 200) throw agentError(`Order backend returned HTTP ${code} for GET /orders`, code);
+            return Array.isArray(body && body.orders) ? body.orders : [];
+        } finally {
+            abort = null;
+        }
+    }
+
+    /** Claim an order; resolves with its claim ID (or null), or false if another station has it */
+    async function claim(orderId) {
+        const { status: code, body } = await requestJson("POST", orderUrl(orderId, "claim"), {
+            token: config.token,
+            body: { station: config.stationId },
+        });
+        if (code === 409) return false;
+        if (code < 200 || code >= 300) throw agentError(`Order backend returned HTTP ${code} claiming order ${orderId}`, code);
+        return (body && body.claim_id) || null;
+    }
+
+    /** Post a finished order's result; a rejected result (4xx) is not retried */
+    async function report(orderId, entry) {
+        const { status: code } = await requestJson("POST", orderUrl(orderId, "result"), {
+            token: config.token,
+            body: { station: config.stationId, claim_id: entry.claimId, ...entry.result },
+        });
+        if (code >= 200 && code < 300) {
+            ledger.set(orderId, { reported: true });
+        } else if (code >= 400 && code < 500 && code !== 408 && code !== 429) {
+            log.warn("Order backend rejected the result", { order_id: orderId, status: code });
+            ledger.set(orderId, { reported: true, rejected: code });
+        } else {
+            throw agentError(`Order backend returned HTTP ${code} for the result of order ${orderId}`, code);
+        }
+    }
+
+    async function reportPending() {
+        for (const entry of ledger.entries()) {
+            if (entry.state === "done" && !entry.reported) await report(entry.orderId, entry);
+        }
+    }
+
+    /** Take one order from the backend; resolves true if it was printed here */
+    async function processOrder(order) {
+        const job = order && typeof order.job === "object" ? { ...order.job } : { ...order };
+        const orderId = order && order.order_id !== undefined ? order.order_id : job.order_id;
+        if (orderId === undefined || orderId === null || orderId === "") {
+            log.warn("Ignoring an order without order_id");
+            return false;
+        }
+        job.order_id = orderId;
+
+        // Never print an order this station has already taken
+        const known = ledger.get(orderId);
+        if (known) {
+            if (known.state === "done" && !known.reported) await report(orderId, known);
+            return false;
+        }
+
+        const claimId = await claim(orderId);
+        if (claimId === false) {
+            log.info("Order claimed by another station", { order_id: orderId });
+            return false;
+        }
+        ledger.set(orderId, { state: "printing", claimId, reported: false });
+        setStatus({ state: AGENT_STATES.PRINTING, currentOrder: orderId });
+        log.info("Printing order from the backend", { order_id: orderId });
+
+        let result;
+        try {
+            result = await runJob(job);
+        } catch (err) {
+            result = { jobId: null, status: "failed", error: err.message, errorType: err.errorType || "printer_error" };
+        }
+        const entry = ledger.set(orderId, {
+            state: "done",
+            jobId: result.jobId,
+            result: { ...result, finishedAt: new Date().toISOString() },
+        });
+        if (result.status === "completed") status.printed++;
+        setStatus({ state: restingState(), currentOrder: null });
+        await report(orderId, entry);
+        return true;
+    }
+
+    async function loop() {
+        let backoffMs = config.pollIntervalMs;
+        while (running) {
+            if (paused) {
+                await sleep(config.pollIntervalMs);
+                continue;
+            }
+            try {
+                await reportPending();
+                const orders = await fetchOrders();
+                setStatus({ state: restingState(), lastPollAt: new Date().toISOString(), lastError: null });
+                let printed = false;
+                for (const order of orders) {
+                    if (!running || paused) break;
+                    if (await processOrder(order)) printed = true;
+                }
+                backoffMs = config.pollIntervalMs;
+                // Poll again at once after printing or an empty long poll; otherwise (plain polling, or
+                // only orders that are already taken) wait, so the backend is not asked in a tight loop
+                const idleLongPoll = config.longPollSeconds > 0 && orders.length === 0;
+                if (running && !printed && !idleLongPoll) await sleep(config.pollIntervalMs);
+            } catch (err) {
+                if (!running) break;
+                // pause() aborts a long poll that is in flight
+                if (paused) continue;
+                log.warn("Order agent poll failed", { error: err.message, errorType: err.errorType });
+                setStatus({ state: AGENT_STATES.ERROR, currentOrder: null, lastError: err.message });
+                await sleep(backoffMs);
+                backoffMs = Math.min(backoffMs * 2, MAX_BACKOFF_MS);
+            }
+        }
+    }
+
+    return {
+        /** Start polling. Orders left 'printing' by a crash are reported as interrupted, never reprinted. */
+        start() {
+            if (running) return;
+            for (const entry of ledger.entries()) {
+                if (entry.state !== "printing") continue;
+                ledger.set(entry.orderId, {
+                    state: "done",
+                    result: {
+                        jobId: entry.jobId || null,
+                        status: "failed",
+                        errorType: "interrupted",
+                        error: "The app closed while this order was printing. Check the printed output before reprinting.",
+                        finishedAt: new Date().toISOString(),
+                    },
+                });
+            }
+            running = true;
+            setStatus({ state: AGENT_STATES.IDLE });
+            log.info("Order agent started", { endpoint: config.endpoint, station: config.stationId });
+            loop();
+        },
+        stop() {
+            running = false;
+            if (abort) abort.abort();
+            if (wake) wake();
+            setStatus({ state: AGENT_STATES.STOPPED, currentOrder: null });
+        },
+        pause() {
+            paused = true;
+            if (abort) abort.abort();
+            setStatus({ state: AGENT_STATES.PAUSED });
+        },
+        resume() {
+            paused = false;
+            if (wake) wake();
+            setStatus({ state: AGENT_STATES.IDLE });
+        },
+        status: () => ({ ...status }),
+    };
+}
+
+module.exports = {
+    AGENT_STATES,
+    loadAgentConfig,
+    createOrderLedger,
+    createOrderAgent,
+};
@@ -0,0 +1,198 @@
+const { selectPages } = require("./print-options");
+
+/**
+ * Page counting and colour analysis for hostego.analyze().
+ * Files are opened in a hidden window on the render session: PDFs with pdf.js, images
+ * with <img>. Each page is drawn small and its pixels are checked for colour.
+ */
+const MM_PER_POINT = 25.4 / 72;
+// Pages are sampled at this width (px) for colour analysis
+const SAMPLE_WIDTH = 200;
+// A pixel is colour when its RGB channels differ by more than this (scanned greys are not exact)
+const COLOR_CHANNEL_DELTA = 32;
+// A page is colour when more than this share of its pixels is colour
+const COLOR_PIXEL_RATIO = 0.002;
+const ANALYZE_TIMEOUT_MS = 60000;
+
+function buildAnalyzeHtml() {
+    const { PDFJS_SCRIPT_URL, PDFJS_WORKER_URL } = require("./render-protocol");
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <script src="${PDFJS_SCRIPT_URL}"></script>
+</head>
+<body>
+    <script>
+        pdfjsLib.GlobalWorkerOptions.workerSrc = '${PDFJS_WORKER_URL}';
+
+        /** Share of pixels in the drawn canvas whose channels differ by more than the threshold */
+        function colorRatio(canvas) {
+            const data = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+            let color = 0;
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] === 0) continue;
+                const max = Math.max(data[i], data[i + 1], data[i + 2]);
+                const min = Math.min(data[i], data[i + 1], data[i + 2]);
+                if (max - min > ${COLOR_CHANNEL_DELTA}) color++;
+            }
+            return color / (canvas.width * canvas.height || 1);
+        }
+
+        window.analyzePdf = async (url) => {
+            const pdf = await pdfjsLib.getDocument({ url }).promise;
+            const pages = [];
+            try {
+                for (let n = 1; n <= pdf.numPages; n++) {
+                    const page = await pdf.getPage(n);
+                    const viewport = page.getViewport({ scale: 1 });
+                    const sample = page.getViewport({ scale: Math.min(1, ${SAMPLE_WIDTH} / viewport.width) });
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.max(1, Math.round(sample.width));
+                    canvas.height = Math.max(1, Math.round(sample.height));
+                    const ctx = canvas.getContext('2d');
+                    ctx.fillStyle = 'white';
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+                    await page.render({ canvasContext: ctx, viewport: sample }).promise;
+                    pages.push({ width: viewport.width, height: viewport.height, colorRatio: colorRatio(canvas) });
+                    page.cleanup();
+                }
+            } finally {
+                pdf.destroy();
+            }
+            return pages;
+        };
+
+        window.analyzeImage = (url) => new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => {
+                const scale = Math.min(1, ${SAMPLE_WIDTH} / img.naturalWidth);
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+                canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                resolve([{ width: img.naturalWidth, height: img.naturalHeight, colorRatio: colorRatio(canvas) }]);
+            };
+            img.onerror = () => reject(new Error('Could not load image'));
+            img.src = url;
+        });
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Hidden window that analyses files served over hostego://.
+ * `analyze(renderUrl, isPdf)` resolves with the raw pages: [{ width, height, colorRatio }]
+ * (PDF sizes in points, image sizes in pixels). Call `close()` when done.
+ */
+async function openAnalyzer() {
+    // Loaded here so describeFile and summarizeAnalysis also work outside Electron (tests)
+    const { BrowserWindow } = require("electron");
+    const { getRenderSession } = require("./render-protocol");
+    const win = new BrowserWindow({
+        show: false,
+        webPreferences: { session: getRenderSession() },
+    });
+    await win.loadURL("data:text/html;charset=utf-8," + encodeURIComponent(buildAnalyzeHtml()));
+
+    return {
+        async analyze(renderUrl, isPdf) {
+            const script = `${isPdf ? "analyzePdf" : "analyzeImage"}(${JSON.stringify(renderUrl)})`;
+            let timer;
+            try {
+                return await Promise.race([
+                    win.webContents.executeJavaScript(script),
+                    new Promise((_, reject) => {
+                        timer = setTimeout(() => {
+                            const error = new Error("Analysing the file timed out");
+                            error.errorType = "render_timeout";
+                            reject(error);
+                        }, ANALYZE_TIMEOUT_MS);
+                    }),
+                ]);
+            } catch (err) {
+                if (!err.errorType) err.errorType = "render_failed";
+                throw err;
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+        close() {
+            if (!win.isDestroyed()) win.close();
+        },
+    };
+}
+
+/**
+ * Per-file analysis result from the raw pages and the file's resolved print options.
+ * Sides and sheets follow page_ranges, N-up, duplex and copies; colour sides are only
+ * counted for files printed in colour (a side is colour if any page on it is).
+ */
+function describeFile(rawPages, fileOpts, isPdf) {
+    const pages = rawPages.map((page, index) => {
+        const color = page.colorRatio > COLOR_PIXEL_RATIO;
+        const size = isPdf
+            ? { width: Math.round(page.width * MM_PER_POINT), height: Math.round(page.height * MM_PER_POINT), unit: "mm" }
+            : { width: page.width, height: page.height, unit: "px" };
+        return {
+            page: index + 1,
+            ...size,
+            orientation: page.width > page.height ? "landscape" : "portrait",
+            color,
+        };
+    });
+
+    const selected = isPdf ? selectPages(fileOpts.pageRanges, pages.length) : pages.map((p) => p.page);
+    const colorPages = selected.filter((n) => pages[n - 1].color).length;
+
+    // Each printed side holds pagesPerSheet consecutive pages (images always print one per side)
+    const perSide = isPdf ? fileOpts.pagesPerSheet : 1;
+    let colorSidesPerCopy = 0;
+    const sidesPerCopy = Math.ceil(selected.length / perSide);
+    for (let side = 0; side < sidesPerCopy; side++) {
+        const onSide = selected.slice(side * perSide, (side + 1) * perSide);
+        if (fileOpts.isColor && onSide.some((n) => pages[n - 1].color)) colorSidesPerCopy++;
+    }
+    const sheetsPerCopy = fileOpts.duplexMode === "simplex" ? sidesPerCopy : Math.ceil(sidesPerCopy / 2);
+
+    return {
+        pageCount: pages.length,
+        pages,
+        selectedPages: selected,
+        colorPages,
+        monoPages: selected.length - colorPages,
+        colorMode: fileOpts.colorMode,
+        copies: fileOpts.copies,
+        duplexMode: fileOpts.duplexMode,
+        pagesPerSheet: perSide,
+        sides: sidesPerCopy * fileOpts.copies,
+        colorSides: colorSidesPerCopy * fileOpts.copies,
+        monoSides: (sidesPerCopy - colorSidesPerCopy) * fileOpts.copies,
+        sheets: sheetsPerCopy * fileOpts.copies,
+    };
+}
+
+/** Order totals over the analysed files (failed files are left out) */
+function summarizeAnalysis(files) {
+    const totals = { files: files.length, failed: 0, pages: 0, sides: 0, colorSides: 0, monoSides: 0, sheets: 0 };
+    for (const file of files) {
+        if (file.error) {
+            totals.failed++;
+            continue;
+        }
+        totals.pages += file.selectedPages.length;
+        totals.sides += file.sides;
+        totals.colorSides += file.colorSides;
+        totals.monoSides += file.monoSides;
+        totals.sheets += file.sheets;
+    }
+    return totals;
+}
+
+module.exports = {
+    openAnalyzer,
+    describeFile,
+    summarizeAnalysis,
+};
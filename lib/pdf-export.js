@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+const { PDFDocument } = require("pdf-lib");
+
+/**
+ * PDF export of print jobs.
+ * Each rendered file is captured with webContents.printToPDF (the same sheets the printer gets)
+ * and the files of an order are merged into one PDF named after its order_id.
+ */
+const OUTPUT_MODES = {
+    PRINT: "print", // printer only (default)
+    PDF: "pdf", // PDF only – a virtual printer, no physical printer needed
+    PRINT_AND_PDF: "print_and_pdf", // print and keep a PDF record of what was printed
+};
+
+const OUTPUT_MODE_ALIASES = {
+    printer: OUTPUT_MODES.PRINT,
+    both: OUTPUT_MODES.PRINT_AND_PDF,
+};
+
+/** Job output_mode → one of OUTPUT_MODES; throws errorType 'invalid_print_options' if unknown */
+function normalizeOutputMode(value) {
+    if (value === undefined || value === null || value === "") return OUTPUT_MODES.PRINT;
+    const mode = String(value).trim().toLowerCase();
+    const resolved = OUTPUT_MODE_ALIASES[mode] || mode;
+    if (!Object.values(OUTPUT_MODES).includes(resolved)) {
+        const error = new Error(`Invalid output_mode "${value}". Use 'print', 'pdf' or 'print_and_pdf'.`);
+        error.errorType = "invalid_print_options";
+        throw error;
+    }
+    return resolved;
+}
+
+/** webContents.printToPDF options producing the sheets `printOpts` would print (inches, no margins) */
+function pdfOptionsFor(printOpts) {
+    return {
+        landscape: Boolean(printOpts.landscape),
+        printBackground: true,
+        pageSize: { width: printOpts.pageSize.width / 25400, height: printOpts.pageSize.height / 25400 },
+        margins: { top: 0, bottom: 0, left: 0, right: 0 },
+    };
+}
+
+/** Merge PDF buffers, in order, into one PDF; resolves with its bytes */
+async function mergePdfs(buffers) {
+    const merged = await PDFDocument.create();
+    for (const buffer of buffers) {
+        const doc = await PDFDocument.load(buffer);
+        const pages = await merged.copyPages(doc, doc.getPageIndices());
+        pages.forEach((page) => merged.addPage(page));
+    }
+    return merged.save();
+}
+
+/** File name for an order's PDF: the order_id made safe for every file system */
+function exportFileName(orderId) {
+    const base = String(orderId || "").replace(/[^a-zA-Z0-9._-]+/g, "_").replace(/^[._]+/, "");
+    return `${base || `job-${Date.now()}`}.pdf`;
+}
+
+/**
+ * Merge `buffers` and save them in `dir` as <order_id>.pdf. A reprinted order gets
+ * <order_id>-2.pdf, -3 and so on, so earlier records are kept. Resolves with the path.
+ */
+async function saveOrderPdf(dir, orderId, buffers) {
+    try {
+        const bytes = await mergePdfs(buffers);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const name = exportFileName(orderId);
+        const ext = path.extname(name);
+        let filePath = path.join(dir, name);
+        for (let n = 2; fs.existsSync(filePath); n++) {
+            filePath = path.join(dir, `${path.basename(name, ext)}-${n}${ext}`);
+        }
+        fs.writeFileSync(filePath, bytes);
+        return filePath;
+    } catch (e) {
+        const error = new Error(`Could not save PDF: ${e.message}`);
+        error.errorType = "pdf_export_failed";
+        throw error;
+    }
+}
+
+module.exports = {
+    OUTPUT_MODES,
+    normalizeOutputMode,
+    pdfOptionsFor,
+    mergePdfs,
+    saveOrderPdf,
+};
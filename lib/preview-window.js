@@ -0,0 +1,182 @@
+const { BrowserWindow, ipcMain } = require("electron");
+const path = require("path");
+const { PDFJS_SCRIPT_URL, PDFJS_WORKER_URL, getRenderSession } = require("./render-protocol");
+
+/**
+ * Print preview window.
+ * Shows every sheet a job will print as a thumbnail, rendered from the PDFs captured
+ * with printToPDF, so the operator can check the output before any paper is used.
+ */
+const DUPLEX_LABELS = {
+    simplex: "Single-sided",
+    longEdge: "Double-sided (long edge)",
+    shortEdge: "Double-sided (short edge)",
+};
+
+function buildPreviewHtml(files) {
+    const config = files.map((file) => ({
+        label: file.label,
+        pdfUrl: file.pdfUrl,
+        isColor: file.isColor,
+        details: [
+            `${file.paperName} ${file.landscape ? "landscape" : "portrait"}`,
+            file.isColor ? "Colour" : "Black & white",
+            `${file.copies} ${file.copies === 1 ? "copy" : "copies"}`,
+            DUPLEX_LABELS[file.duplexMode] || file.duplexMode,
+            file.pagesPerSheet > 1 ? `${file.pagesPerSheet} pages per sheet` : null,
+        ].filter(Boolean).join(" · "),
+    }));
+    // Keep the JSON from closing the script element
+    const configJson = JSON.stringify(config).replace(/</g, "\\u003c");
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Print Preview</title>
+    <script src="${PDFJS_SCRIPT_URL}"></script>
+    <style>
+        * { box-sizing: border-box; }
+        body { margin: 0; font-family: system-ui, sans-serif; background: #eceff1; color: #263238; }
+        header { position: sticky; top: 0; display: flex; align-items: center; gap: 12px; padding: 12px 20px;
+                 background: white; box-shadow: 0 1px 4px rgba(0,0,0,.15); z-index: 1; }
+        header h1 { flex: 1; margin: 0; font-size: 18px; }
+        button { padding: 8px 20px; font-size: 14px; border-radius: 4px; border: 1px solid #90a4ae; background: white; cursor: pointer; }
+        button.approve { background: #2e7d32; border-color: #2e7d32; color: white; }
+        button:disabled { opacity: .5; cursor: default; }
+        section { padding: 16px 20px; }
+        section h2 { margin: 0 0 4px; font-size: 15px; word-break: break-all; }
+        section p { margin: 0 0 12px; font-size: 13px; color: #546e7a; }
+        .sheets { display: flex; flex-wrap: wrap; gap: 16px; }
+        .sheet { text-align: center; font-size: 12px; color: #546e7a; }
+        .sheet canvas { display: block; margin-bottom: 4px; background: white; box-shadow: 0 1px 4px rgba(0,0,0,.3); cursor: zoom-in; }
+        .mono canvas { filter: grayscale(1); }
+        .error { color: #c62828; }
+        #zoom { position: fixed; inset: 0; display: none; align-items: center; justify-content: center;
+                background: rgba(0,0,0,.7); z-index: 2; cursor: zoom-out; }
+        #zoom canvas { max-width: 95vw; max-height: 95vh; background: white; }
+        #zoom.mono canvas { filter: grayscale(1); }
+    </style>
+</head>
+<body>
+    <header>
+        <h1 id="summary">Rendering preview...</h1>
+        <button id="cancel">Cancel</button>
+        <button id="approve" class="approve" disabled>Print</button>
+    </header>
+    <main id="files"></main>
+    <div id="zoom"></div>
+    <script>
+        const FILES = ${configJson};
+        pdfjsLib.GlobalWorkerOptions.workerSrc = '${PDFJS_WORKER_URL}';
+
+        document.getElementById('approve').onclick = () => window.hostegoPreview.decide('approve');
+        document.getElementById('cancel').onclick = () => window.hostegoPreview.decide('cancel');
+
+        const zoom = document.getElementById('zoom');
+        zoom.onclick = () => { zoom.style.display = 'none'; zoom.innerHTML = ''; };
+
+        async function renderPage(page, width) {
+            const base = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: width / base.width });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(viewport.width);
+            canvas.height = Math.round(viewport.height);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            return canvas;
+        }
+
+        async function showFile(file, index) {
+            const section = document.createElement('section');
+            if (!file.isColor) section.className = 'mono';
+            const title = document.createElement('h2');
+            title.textContent = (index + 1) + '. ' + file.label;
+            const details = document.createElement('p');
+            details.textContent = file.details;
+            const sheets = document.createElement('div');
+            sheets.className = 'sheets';
+            section.append(title, details, sheets);
+            document.getElementById('files').appendChild(section);
+
+            const pdf = await pdfjsLib.getDocument({ url: file.pdfUrl }).promise;
+            for (let n = 1; n <= pdf.numPages; n++) {
+                const page = await pdf.getPage(n);
+                const sheet = document.createElement('div');
+                sheet.className = 'sheet';
+                const canvas = await renderPage(page, 160);
+                canvas.onclick = async () => {
+                    zoom.className = file.isColor ? '' : 'mono';
+                    zoom.innerHTML = '';
+                    zoom.appendChild(await renderPage(page, 900));
+                    zoom.style.display = 'flex';
+                };
+                const caption = document.createElement('div');
+                caption.textContent = 'Sheet ' + n;
+                sheet.append(canvas, caption);
+                sheets.appendChild(sheet);
+            }
+            return pdf.numPages;
+        }
+
+        (async () => {
+            let total = 0;
+            let failed = false;
+            for (let i = 0; i < FILES.length; i++) {
+                try {
+                    total += await showFile(FILES[i], i);
+                } catch (err) {
+                    failed = true;
+                    const message = document.createElement('p');
+                    message.className = 'error';
+                    message.textContent = 'Could not show file ' + (i + 1) + ': ' + (err && err.message || err);
+                    document.getElementById('files').appendChild(message);
+                }
+            }
+            document.getElementById('summary').textContent =
+                FILES.length + ' file(s), ' + total + ' sheet side(s) per copy' + (failed ? ' (some files could not be shown)' : '');
+            document.getElementById('approve').disabled = false;
+        })();
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Show the preview and wait for the operator.
+ *   files: [{ label, pdfUrl, isColor, copies, duplexMode, pagesPerSheet, paperName, landscape }]
+ * Resolves 'approve', or 'cancel' when cancelled or closed.
+ */
+function showPreview({ parent, files }) {
+    return new Promise((resolve) => {
+        const win = new BrowserWindow({
+            width: 1000,
+            height: 800,
+            parent: parent && !parent.isDestroyed() ? parent : undefined,
+            modal: Boolean(parent && !parent.isDestroyed()),
+            title: "Print Preview",
+            autoHideMenuBar: true,
+            webPreferences: {
+                preload: path.join(__dirname, "..", "preview-preload.js"),
+                session: getRenderSession(), // hostego:// (bundled pdf.js, preview PDFs)
+            },
+        });
+
+        let decided = false;
+        const finish = (decision) => {
+            if (decided) return;
+            decided = true;
+            ipcMain.removeListener("PREVIEW_DECISION", onDecision);
+            if (!win.isDestroyed()) win.close();
+            resolve(decision === "approve" ? "approve" : "cancel");
+        };
+        const onDecision = (event, decision) => {
+            if (event.sender === win.webContents) finish(decision);
+        };
+
+        ipcMain.on("PREVIEW_DECISION", onDecision);
+        win.on("closed", () => finish("cancel"));
+        win.loadURL("data:text/html;charset=utf-8," + encodeURIComponent(buildPreviewHtml(files)));
+    });
+}
+
+module.exports = { showPreview };
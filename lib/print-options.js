@@ -0,0 +1,230 @@
+/**
+ * Per-file print options.
+ * Jobs may pass arrays parallel to images_urls (color_modes, page_ranges, duplex_modes,
+ * copies, pages_per_sheet, paper_sizes, orientations, fit_modes, page_footers, watermarks);
+ * a missing entry falls back to the job-wide value or the default.
+ */
+
+/** Supported paper sizes in millimetres (portrait); `name` is valid in CSS @page size */
+const PAPER_SIZES = {
+    A3: { name: "A3", width: 297, height: 420 },
+    A4: { name: "A4", width: 210, height: 297 },
+    A5: { name: "A5", width: 148, height: 210 },
+    LETTER: { name: "letter", width: 215.9, height: 279.4 },
+    LEGAL: { name: "legal", width: 215.9, height: 355.6 },
+};
+
+const ORIENTATIONS = ["portrait", "landscape", "auto"];
+
+/** fit: whole page visible, fill: cover the sheet (crops), actual: 100% scale (crops if larger) */
+const FIT_MODES = ["fit", "fill", "actual"];
+
+// Longest watermark text; longer text would not fit across the sheet
+const MAX_WATERMARK_LENGTH = 40;
+
+/** Supported pages-per-sheet values and their grid layout on the sheet */
+const N_UP_LAYOUTS = {
+    1: { columns: 1, rows: 1, landscape: false },
+    2: { columns: 2, rows: 1, landscape: true },
+    4: { columns: 2, rows: 2, landscape: false },
+    6: { columns: 3, rows: 2, landscape: true },
+    9: { columns: 3, rows: 3, landscape: false },
+    16: { columns: 4, rows: 4, landscape: false },
+};
+
+/** Accepted spellings for Electron's duplexMode values */
+const DUPLEX_ALIASES = {
+    simplex: "simplex",
+    single: "simplex",
+    single_sided: "simplex",
+    none: "simplex",
+    longedge: "longEdge",
+    long_edge: "longEdge",
+    double: "longEdge",
+    double_sided: "longEdge",
+    duplex: "longEdge",
+    shortedge: "shortEdge",
+    short_edge: "shortEdge",
+};
+
+function invalidOption(message, fileIndex) {
+    const error = new Error(message);
+    error.errorType = "invalid_print_options";
+    error.fileIndex = fileIndex;
+    return error;
+}
+
+/**
+ * Value for file `index` from a per-file array. A non-array value applies to every file;
+ * otherwise falls back to the job-wide `globalKey` (e.g. color_mode for color_modes).
+ */
+function getFileOption(job, key, index, globalKey) {
+    const values = job[key];
+    if (Array.isArray(values)) {
+        if (values[index] !== undefined && values[index] !== null && values[index] !== "") return values[index];
+    } else if (values !== undefined && values !== null && values !== "") {
+        return values;
+    }
+    return globalKey ? job[globalKey] : undefined;
+}
+
+/**
+ * Parse a page range into [{ from, to }] (1-based, inclusive), or null for all pages.
+ * Accepts "3-10", "1,3,5-7", "5-" (to the end), a page number, or an array of
+ * numbers / { from, to } objects.
+ */
+function parsePageRanges(value, fileIndex = -1) {
+    if (value === undefined || value === null || value === "" || value === "all") return null;
+
+    const parts = Array.isArray(value) ? value : String(value).split(",");
+    const ranges = parts.map((part) => {
+        if (typeof part === "number") return { from: part, to: part };
+        if (part && typeof part === "object") return { from: Number(part.from), to: part.to === undefined ? Infinity : Number(part.to) };
+
+        const match = /^\s*(\d+)\s*(?:-\s*(\d*)\s*)?$/.exec(String(part));
+        if (!match) throw invalidOption(`Invalid page range "${value}". Use a format like "1-3,5".`, fileIndex);
+        const from = Number(match[1]);
+        let to = from;
+        if (match[2] !== undefined) to = match[2] === "" ? Infinity : Number(match[2]);
+        return { from, to };
+    });
+
+    for (const range of ranges) {
+        if (!Number.isInteger(range.from) || range.from < 1 || !(range.to >= range.from)) {
+            throw invalidOption(`Invalid page range "${JSON.stringify(value)}".`, fileIndex);
+        }
+    }
+    return ranges;
+}
+
+/** 1-based page numbers selected by `ranges` in a document of `pageCount` pages */
+function selectPages(ranges, pageCount) {
+    const pages = [];
+    if (!ranges) {
+        for (let p = 1; p <= pageCount; p++) pages.push(p);
+        return pages;
+    }
+    for (const range of ranges) {
+        for (let p = range.from; p <= Math.min(range.to, pageCount); p++) pages.push(p);
+    }
+    return pages;
+}
+
+function normalizeDuplexMode(value, fileIndex = -1) {
+    if (value === undefined || value === null || value === "") return "simplex";
+    if (value === true) return "longEdge";
+    if (value === false) return "simplex";
+    const mode = DUPLEX_ALIASES[String(value).toLowerCase().replace(/[\s-]/g, "_")];
+    if (!mode) throw invalidOption(`Invalid duplex mode "${value}". Use simplex, long_edge or short_edge.`, fileIndex);
+    return mode;
+}
+
+function normalizeCopies(value, fileIndex = -1) {
+    if (value === undefined || value === null || value === "") return 1;
+    const copies = Number(value);
+    if (!Number.isInteger(copies) || copies < 1) throw invalidOption(`Invalid copies "${value}". Must be a whole number of at least 1.`, fileIndex);
+    return copies;
+}
+
+function normalizePagesPerSheet(value, fileIndex = -1) {
+    if (value === undefined || value === null || value === "") return 1;
+    const perSheet = Number(value);
+    if (!N_UP_LAYOUTS[perSheet]) {
+        throw invalidOption(`Invalid pages per sheet "${value}". Use one of ${Object.keys(N_UP_LAYOUTS).join(", ")}.`, fileIndex);
+    }
+    return perSheet;
+}
+
+function normalizePaperSize(value, fileIndex = -1) {
+    if (value === undefined || value === null || value === "") return PAPER_SIZES.A4;
+    const paper = PAPER_SIZES[String(value).toUpperCase()];
+    if (!paper) throw invalidOption(`Unsupported paper size "${value}". Use one of ${Object.values(PAPER_SIZES).map((p) => p.name).join(", ")}.`, fileIndex);
+    return paper;
+}
+
+function normalizeOrientation(value, fileIndex = -1) {
+    if (value === undefined || value === null || value === "") return "auto";
+    const orientation = String(value).toLowerCase();
+    if (!ORIENTATIONS.includes(orientation)) throw invalidOption(`Invalid orientation "${value}". Use ${ORIENTATIONS.join(", ")}.`, fileIndex);
+    return orientation;
+}
+
+function normalizeFitMode(value, fileIndex = -1) {
+    if (value === undefined || value === null || value === "") return "fit";
+    const fitMode = String(value).toLowerCase().replace(/[\s-]/g, "_");
+    if (fitMode === "crop" || fitMode === "cover") return "fill";
+    if (fitMode === "actual_size" || fitMode === "none") return "actual";
+    if (fitMode === "contain") return "fit";
+    if (!FIT_MODES.includes(fitMode)) throw invalidOption(`Invalid fit mode "${value}". Use ${FIT_MODES.join(", ")}.`, fileIndex);
+    return fitMode;
+}
+
+function normalizePageFooter(value, fileIndex = -1) {
+    if (value === undefined || value === null || value === "") return false;
+    if (typeof value === "boolean") return value;
+    const flag = String(value).toLowerCase();
+    if (["true", "1", "yes", "on"].includes(flag)) return true;
+    if (["false", "0", "no", "off"].includes(flag)) return false;
+    throw invalidOption(`Invalid page footer "${value}". Use true or false.`, fileIndex);
+}
+
+/** Watermark text printed across every page (e.g. "COPY"), or null for none */
+function normalizeWatermark(value, fileIndex = -1) {
+    if (value === undefined || value === null || value === "" || value === false) return null;
+    if (typeof value !== "string" || !value.trim()) {
+        throw invalidOption(`Invalid watermark "${value}". Use a short text such as "COPY".`, fileIndex);
+    }
+    const text = value.trim();
+    if (text.length > MAX_WATERMARK_LENGTH) {
+        throw invalidOption(`Watermark "${text}" is too long (at most ${MAX_WATERMARK_LENGTH} characters).`, fileIndex);
+    }
+    return text;
+}
+
+/** Electron pageSize (microns, portrait) for a paper size; orientation is set with `landscape` */
+function pageSizeMicrons(paper) {
+    return { width: Math.round(paper.width * 1000), height: Math.round(paper.height * 1000) };
+}
+
+/**
+ * Resolve every print option for file `index` of `job`.
+ * `defaults.paperSize` replaces A4 for files whose job sends no paper size (station setting).
+ */
+function resolveFileOptions(job, index, defaults = {}) {
+    const colorMode = String(getFileOption(job, "color_modes", index, "color_mode") || "color").toLowerCase();
+    const pagesPerSheet = normalizePagesPerSheet(getFileOption(job, "pages_per_sheet", index), index);
+    return {
+        colorMode,
+        isColor: colorMode === "color",
+        pageRanges: parsePageRanges(getFileOption(job, "page_ranges", index), index),
+        duplexMode: normalizeDuplexMode(getFileOption(job, "duplex_modes", index), index),
+        copies: normalizeCopies(getFileOption(job, "copies", index), index),
+        pagesPerSheet,
+        nUp: N_UP_LAYOUTS[pagesPerSheet],
+        paperSize: normalizePaperSize(getFileOption(job, "paper_sizes", index) || defaults.paperSize, index),
+        orientation: normalizeOrientation(getFileOption(job, "orientations", index), index),
+        fitMode: normalizeFitMode(getFileOption(job, "fit_modes", index), index),
+        pageFooter: normalizePageFooter(getFileOption(job, "page_footers", index, "page_footer"), index),
+        watermark: normalizeWatermark(getFileOption(job, "watermarks", index, "watermark"), index),
+    };
+}
+
+module.exports = {
+    N_UP_LAYOUTS,
+    PAPER_SIZES,
+    ORIENTATIONS,
+    FIT_MODES,
+    getFileOption,
+    parsePageRanges,
+    selectPages,
+    normalizeDuplexMode,
+    normalizeCopies,
+    normalizePagesPerSheet,
+    normalizePaperSize,
+    normalizeOrientation,
+    normalizeFitMode,
+    normalizePageFooter,
+    normalizeWatermark,
+    pageSizeMicrons,
+    resolveFileOptions,
+};
@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const log = require("./logger").scope("print-queue");
+
+/** Per-file states recorded for every queued job */
+const FILE_STATES = {
+    PENDING: "pending",
+    RENDERING: "rendering",
+    PRINTED: "printed",
+    FAILED: "failed",
+    SKIPPED: "skipped",
+};
+
+/** Where a queued job came from; order agent jobs are recovered by the agent, not resumed */
+const JOB_SOURCES = {
+    APP: "app",
+    ORDER_AGENT: "order_agent",
+};
+
+/** Map PRINT_PROGRESS statuses onto the file state they imply */
+const FILE_STATE_BY_STATUS = {
+    rendering: FILE_STATES.RENDERING,
+    printing: FILE_STATES.RENDERING,
+    completed: FILE_STATES.PRINTED,
+    skipped: FILE_STATES.SKIPPED,
+    error: FILE_STATES.FAILED,
+};
+
+/**
+ * Persistent print queue.
+ * Every job and the state of each of its files is written to `filePath`, so a job
+ * interrupted by a crash or a closed window can be resumed on the next start.
+ * Jobs run strictly one after another.
+ */
+function createPrintQueue(filePath) {
+    let entries = load();
+    // Entries still on disk from a previous run were interrupted
+    const interrupted = new Set(entries.map((e) => e.queueId));
+    let tail = Promise.resolve();
+    let running = 0;
+
+    function load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+            return Array.isArray(data.jobs) ? data.jobs : [];
+        } catch (e) {
+            if (e.code !== "ENOENT") log.warn("Could not read print queue", { error: e.message });
+            return [];
+        }
+    }
+
+    function save() {
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            // Write then rename so a crash mid-write never leaves a truncated queue file
+            const tmpPath = filePath + ".tmp";
+            fs.writeFileSync(tmpPath, JSON.stringify({ jobs: entries }, null, 2));
+            fs.renameSync(tmpPath, filePath);
+        } catch (e) {
+            log.warn("Could not write print queue", { error: e.message });
+        }
+    }
+
+    function find(queueId) {
+        return entries.find((e) => e.queueId === queueId);
+    }
+
+    /** Record a new job (`source`: one of JOB_SOURCES); returns its queue entry */
+    function add(jobId, job, { source = JOB_SOURCES.APP } = {}) {
+        const urls = Array.isArray(job.images_urls) ? job.images_urls : [];
+        const entry = {
+            queueId: crypto.randomUUID(),
+            jobId,
+            job,
+            source,
+            status: "queued",
+            createdAt: new Date().toISOString(),
+            files: urls.map((url) => ({ url, state: FILE_STATES.PENDING })),
+        };
+        entries.push(entry);
+        save();
+        return entry;
+    }
+
+    function remove(queueId) {
+        entries = entries.filter((e) => e.queueId !== queueId);
+        interrupted.delete(queueId);
+        save();
+    }
+
+    function setFileState(queueId, fileIndex, state, error) {
+        const entry = find(queueId);
+        const file = entry && entry.files[fileIndex];
+        if (!file || file.state === state) return;
+        file.state = state;
+        file.updatedAt = new Date().toISOString();
+        if (error) file.error = error;
+        else delete file.error;
+        save();
+    }
+
+    /** Update file state from a PRINT_PROGRESS payload */
+    function recordProgress(queueId, progress) {
+        const state = FILE_STATE_BY_STATUS[progress.status];
+        if (state && progress.fileIndex >= 0) {
+            setFileState(queueId, progress.fileIndex, state, state === FILE_STATES.FAILED ? progress.message : undefined);
+        }
+    }
+
+    /**
+     * Run `task` once every earlier job has finished.
+     * The entry is removed from disk when the task settles, whatever the outcome.
+     */
+    function run(entry, task) {
+        running++;
+        const execute = async () => {
+            entry.status = "running";
+            entry.startedAt = new Date().toISOString();
+            save();
+            try {
+                return await task(entry);
+            } finally {
+                running--;
+                remove(entry.queueId);
+            }
+        };
+        const result = tail.then(execute);
+        tail = result.catch(() => {});
+        return result;
+    }
+
+    /** Jobs left over from a previous run that never finished */
+    function getInterrupted() {
+        return entries.filter((e) => interrupted.has(e.queueId));
+    }
+
+    /** Index of the first file that was not printed or skipped (files.length if none) */
+    function firstUnprintedIndex(entry) {
+        const index = entry.files.findIndex((f) => f.state !== FILE_STATES.PRINTED && f.state !== FILE_STATES.SKIPPED);
+        return index === -1 ? entry.files.length : index;
+    }
+
+    /** Number of jobs waiting or running */
+    function size() {
+        return running;
+    }
+
+    return {
+        add,
+        remove,
+        setFileState,
+        recordProgress,
+        run,
+        getInterrupted,
+        firstUnprintedIndex,
+        size,
+    };
+}
+
+module.exports = { createPrintQueue, FILE_STATES, JOB_SOURCES };
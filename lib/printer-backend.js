@@ -0,0 +1,148 @@
+const { createSpoolerTracker, JOB_STATES } = require("./spooler");
+const log = require("./logger").scope("printer-backend");
+
+/**
+ * Printer access for print jobs. index.js only reaches printers through the active backend:
+ *   getPrinters(webContents)     → Promise<printers> (Electron PrinterInfo objects)
+ *   print(webContents, options)  → Promise<{ success, failureReason }> (as webContents.print's callback)
+ *   spooler                      – { listJobs, snapshot, activeJobCount, findNewJob, waitForJob }
+ *                                  (see createSpoolerTracker() in lib/spooler.js)
+ * The Electron backend prints for real. createFakeBackend() is for tests: it records jobs and can
+ * simulate printer failures; install it with setPrinterBackend() before index.js is loaded.
+ */
+let activeBackend = null;
+
+function createElectronBackend() {
+    return {
+        name: "electron",
+        async getPrinters(webContents) {
+            if (!webContents) return [];
+            try {
+                if (typeof webContents.getPrintersAsync === "function") {
+                    return await webContents.getPrintersAsync();
+                }
+                if (typeof webContents.getPrinters === "function") {
+                    return webContents.getPrinters();
+                }
+            } catch (e) {
+                log.warn("getPrinters failed", { error: e?.message || String(e) });
+            }
+            return [];
+        },
+        print(webContents, options) {
+            return new Promise((resolve) => {
+                webContents.print(options, (success, failureReason) => resolve({ success, failureReason }));
+            });
+        },
+        spooler: createSpoolerTracker(),
+    };
+}
+
+/** Failure reasons the fake printer reports, worded like real driver messages (see classifyPrintFailure()) */
+const FAKE_FAILURES = {
+    no_paper: "Out of paper",
+    paper_jam: "Paper jam",
+    offline: "Printer is offline",
+    cover_open: "Cover open",
+    no_ink: "Toner cartridge empty",
+};
+
+/**
+ * Fake printers for tests; nothing reaches a real printer.
+ *   printers – [{ name, isDefault?, status?, reasons? }] (default: one 'Fake Printer')
+ * Every print() is recorded in `jobs` as { id, printerName, options, success, failureReason, printedAt }
+ * and succeeds unless a failure was queued with failNext('no_paper' | 'paper_jam' | 'offline' |
+ * 'cover_open' | 'no_ink' | any reason text, times = 1). setPrinterState(name, { status, reasons })
+ * changes what getPrinters() reports (CUPS-style status 3 idle / 5 stopped, state-reason keywords).
+ * Its spooler finishes every recorded job at once.
+ */
+function createFakeBackend({ printers = [{ name: "Fake Printer", isDefault: true }] } = {}) {
+    const state = printers.map((p) => ({ status: 3, reasons: [], ...p }));
+    const jobs = [];
+    const failures = [];
+
+    const spooler = {
+        async listJobs(printerName) {
+            return jobs
+                .filter((job) => job.success && job.printerName === printerName)
+                .map((job) => ({ id: job.id, state: JOB_STATES.COMPLETED, reasons: [], message: "" }));
+        },
+        async snapshot(printerName) {
+            return new Set((await spooler.listJobs(printerName)).map((job) => job.id));
+        },
+        async activeJobCount() {
+            return 0;
+        },
+        async findNewJob(printerName, before) {
+            if (!before) return null;
+            const fresh = (await spooler.listJobs(printerName)).filter((job) => !before.has(job.id));
+            return fresh.length ? fresh[fresh.length - 1].id : null;
+        },
+        async waitForJob(printerName, jobId) {
+            return { id: String(jobId), state: JOB_STATES.COMPLETED, reasons: [], message: "" };
+        },
+    };
+
+    return {
+        name: "fake",
+        jobs,
+        async getPrinters() {
+            return state.map((p) => ({
+                name: p.name,
+                displayName: p.name,
+                description: "Fake printer for tests",
+                status: p.status,
+                isDefault: Boolean(p.isDefault),
+                options: { "printer-state-reasons": p.reasons.length ? p.reasons.join(",") : "none" },
+            }));
+        },
+        async print(_webContents, options) {
+            const failureReason = failures.length ? failures.shift() : null;
+            const printerName = options.deviceName || (state.find((p) => p.isDefault) || state[0] || {}).name;
+            const job = {
+                id: String(jobs.length + 1),
+                printerName,
+                options: { ...options },
+                success: !failureReason,
+                failureReason,
+                printedAt: new Date().toISOString(),
+            };
+            jobs.push(job);
+            return { success: job.success, failureReason };
+        },
+        failNext(failure, times = 1) {
+            for (let i = 0; i < times; i++) failures.push(FAKE_FAILURES[failure] || failure);
+        },
+        setPrinterState(name, { status, reasons } = {}) {
+            const printer = state.find((p) => p.name === name);
+            if (!printer) throw new Error(`No fake printer named "${name}"`);
+            if (status !== undefined) printer.status = status;
+            if (reasons !== undefined) printer.reasons = reasons;
+        },
+        /** Forget recorded jobs and queued failures */
+        reset() {
+            jobs.length = 0;
+            failures.length = 0;
+        },
+        spooler,
+    };
+}
+
+/** Use `backend` for every print job from now on */
+function setPrinterBackend(backend) {
+    activeBackend = backend;
+}
+
+/** The active backend; the Electron one unless setPrinterBackend() installed another */
+function getPrinterBackend() {
+    if (!activeBackend) activeBackend = createElectronBackend();
+    return activeBackend;
+}
+
+module.exports = {
+    FAKE_FAILURES,
+    createElectronBackend,
+    createFakeBackend,
+    setPrinterBackend,
+    getPrinterBackend,
+};
@@ -0,0 +1,107 @@
+const fs = require("fs");
+const { describePrinter } = require("./printer-status");
+
+/**
+ * Per-file printer routing, configured in a local JSON file:
+ * {
+ *   "printers": [
+ *     { "name": "Epson_L3250", "color": true },
+ *     { "name": "Brother_HL_1", "color": false },
+ *     { "name": "Brother_HL_2", "color": false, "enabled": false }
+ *   ],
+ *   "strategy": "least_busy",          // or "first" (order of "printers")
+ *   "black_on_color_printers": true,   // B/W files may use a colour printer when no mono printer is available
+ *   "failover": true                   // re-route a file if its printer goes offline
+ * }
+ * Colour files go to colour printers; B/W files go to mono printers.
+ */
+const STRATEGIES = ["least_busy", "first"];
+
+/** Errors that mean the chosen printer itself is unusable, so another one should be tried */
+const FAILOVER_ERROR_TYPES = ["printer_offline", "printer_not_found", "printer_unavailable"];
+
+function configError(message) {
+    const error = new Error(`Printer routing config: ${message}`);
+    error.errorType = "invalid_routing_config";
+    return error;
+}
+
+/**
+ * Read and validate the routing config. Returns null when the file does not exist or lists
+ * no printers (routing disabled); throws an errorType 'invalid_routing_config' error if it is malformed.
+ */
+function loadRoutingConfig(filePath) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw configError(e.message);
+    }
+    if (!data || typeof data !== "object") throw configError("expected a JSON object");
+
+    const printers = Array.isArray(data.printers) ? data.printers : [];
+    const normalized = printers
+        .filter((p) => p && p.enabled !== false)
+        .map((p, index) => {
+            if (!p.name || typeof p.name !== "string") throw configError(`printers[${index}] needs a "name"`);
+            return { name: p.name, color: Boolean(p.color) };
+        });
+    if (normalized.length === 0) return null;
+
+    const strategy = data.strategy || "least_busy";
+    if (!STRATEGIES.includes(strategy)) throw configError(`unknown strategy "${strategy}"`);
+
+    return {
+        printers: normalized,
+        strategy,
+        blackOnColorPrinters: data.black_on_color_printers !== false,
+        failover: data.failover !== false,
+    };
+}
+
+/**
+ * Choose the printer for one file.
+ *   printers     – Electron printer objects currently known to the OS
+ *   isColor      – whether the file prints in colour
+ *   exclude      – printer names already failed for this file
+ *   activeJobs   – async (name) => number of unfinished spooler jobs (for least_busy)
+ * Resolves with the printer name; throws errorType 'no_printer_available' if none fits.
+ */
+async function routeFile(config, { printers, isColor, exclude = new Set(), activeJobs }) {
+    const available = new Map(
+        printers
+            .map((p) => describePrinter(p))
+            .filter((p) => p.isAvailable)
+            .map((p) => [p.name, p])
+    );
+    const usable = config.printers.filter((p) => available.has(p.name) && !exclude.has(p.name));
+
+    let candidates = usable.filter((p) => p.color === isColor);
+    if (!isColor && candidates.length === 0 && config.blackOnColorPrinters) {
+        candidates = usable.filter((p) => p.color);
+    }
+    if (candidates.length === 0) {
+        const error = new Error(`No ${isColor ? "colour" : "black & white"} printer is available. Please check that a suitable printer is connected and online.`);
+        error.errorType = "no_printer_available";
+        throw error;
+    }
+
+    if (config.strategy === "first" || candidates.length === 1 || !activeJobs) {
+        return candidates[0].name;
+    }
+
+    // Fewest unfinished spooler jobs wins; ties keep config order
+    const loads = await Promise.all(candidates.map((p) => activeJobs(p.name).catch(() => 0)));
+    let best = 0;
+    loads.forEach((load, index) => {
+        if (load < loads[best]) best = index;
+    });
+    return candidates[best].name;
+}
+
+module.exports = {
+    FAILOVER_ERROR_TYPES,
+    loadRoutingConfig,
+    routeFile,
+};
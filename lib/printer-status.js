@@ -0,0 +1,230 @@
+/**
+ * Printer status normalisation and a polling monitor.
+ * Electron's `printer.status` is the raw OS value: the CUPS printer-state (3 idle,
+ * 4 processing, 5 stopped) on Linux/macOS, or PRINTER_INFO_2 status flags on Windows.
+ */
+const log = require("./logger").scope("printer-status");
+
+const PRINTER_STATES = {
+    READY: "ready",
+    PRINTING: "printing",
+    PAUSED: "paused",
+    ERROR: "error",
+    OFFLINE: "offline",
+    UNKNOWN: "unknown",
+};
+
+const AVAILABLE_STATES = [PRINTER_STATES.READY, PRINTER_STATES.PRINTING];
+
+/** CUPS printer-state-reasons keywords (without -error/-warning/-report) → reason */
+const CUPS_REASONS = {
+    "media-empty": "no_paper",
+    "media-needed": "no_paper",
+    "media-jam": "paper_jam",
+    "marker-supply-empty": "no_ink",
+    "toner-empty": "no_ink",
+    "marker-supply-low": "low_ink",
+    "toner-low": "low_ink",
+    "door-open": "cover_open",
+    "cover-open": "cover_open",
+    "output-area-full": "output_bin_full",
+    offline: "offline",
+    shutdown: "offline",
+    "connecting-to-device": "offline",
+    paused: "paused",
+};
+
+/** Windows PRINTER_STATUS_* flags → reason */
+const WINDOWS_FLAGS = [
+    [0x00000001, "paused"],
+    [0x00000002, "error"],
+    [0x00000008, "paper_jam"],
+    [0x00000010, "no_paper"],
+    [0x00000040, "paper_problem"],
+    [0x00000080, "offline"],
+    [0x00000800, "output_bin_full"],
+    [0x00001000, "offline"],
+    [0x00020000, "low_ink"],
+    [0x00040000, "no_ink"],
+    [0x00100000, "user_intervention"],
+    [0x00200000, "error"],
+    [0x00400000, "cover_open"],
+    [0x00800000, "offline"],
+];
+const WINDOWS_BUSY_FLAGS = 0x00000100 | 0x00000200 | 0x00000400 | 0x00004000;
+
+/** Reasons that stop a printer from printing (low_ink is only a warning) */
+const BLOCKING_REASONS = ["no_paper", "paper_jam", "no_ink", "cover_open", "output_bin_full", "paper_problem", "user_intervention", "error"];
+
+function cupsReasons(printer) {
+    const raw = printer.options && printer.options["printer-state-reasons"];
+    const keywords = String(raw || "")
+        .split(/[,\s]+/)
+        .filter((r) => r && r !== "none");
+    const reasons = [];
+    for (const keyword of keywords) {
+        const base = keyword.replace(/-(error|warning|report)$/, "");
+        const reason = CUPS_REASONS[base] || (keyword.endsWith("-error") ? "error" : null);
+        if (reason && !reasons.includes(reason)) reasons.push(reason);
+    }
+    return { keywords, reasons };
+}
+
+function windowsReasons(flags) {
+    const reasons = [];
+    for (const [flag, reason] of WINDOWS_FLAGS) {
+        if (flags & flag && !reasons.includes(reason)) reasons.push(reason);
+    }
+    return reasons;
+}
+
+/**
+ * Structured status for an Electron printer object:
+ * { state, reasons, isAvailable, raw: { status, stateReasons? } }
+ */
+function normalizePrinterStatus(printer, platform = process.platform) {
+    const status = printer ? printer.status : undefined;
+    let state = PRINTER_STATES.UNKNOWN;
+    let reasons = [];
+    const raw = { status };
+
+    if (typeof status === "string" && status && !/^\d+$/.test(status)) {
+        // Some drivers report a text status
+        const text = status.toLowerCase();
+        if (text.includes("offline") || text.includes("unavailable")) state = PRINTER_STATES.OFFLINE;
+        else if (text.includes("error")) state = PRINTER_STATES.ERROR;
+        else if (text.includes("paused")) state = PRINTER_STATES.PAUSED;
+        else if (text.includes("printing")) state = PRINTER_STATES.PRINTING;
+        else state = PRINTER_STATES.READY;
+    } else if (status !== undefined && status !== null && status !== "") {
+        const code = Number(status);
+        if (platform === "win32") {
+            reasons = windowsReasons(code);
+            if (reasons.includes("offline")) state = PRINTER_STATES.OFFLINE;
+            else if (reasons.includes("paused")) state = PRINTER_STATES.PAUSED;
+            else if (reasons.some((r) => BLOCKING_REASONS.includes(r))) state = PRINTER_STATES.ERROR;
+            else if (code & WINDOWS_BUSY_FLAGS) state = PRINTER_STATES.PRINTING;
+            else state = PRINTER_STATES.READY;
+        } else {
+            const cups = cupsReasons(printer);
+            reasons = cups.reasons;
+            if (cups.keywords.length) raw.stateReasons = cups.keywords;
+            if (reasons.includes("offline")) state = PRINTER_STATES.OFFLINE;
+            else if (code === 5) state = reasons.includes("paused") || !reasons.length ? PRINTER_STATES.PAUSED : PRINTER_STATES.ERROR;
+            else if (reasons.some((r) => BLOCKING_REASONS.includes(r))) state = PRINTER_STATES.ERROR;
+            else if (code === 4) state = PRINTER_STATES.PRINTING;
+            else if (code === 3 || code === 0) state = PRINTER_STATES.READY;
+        }
+    }
+
+    return { state, reasons, isAvailable: AVAILABLE_STATES.includes(state), raw };
+}
+
+/** Printer object as returned by GET_PRINTERS: Electron's fields plus the normalised status */
+function describePrinter(printer, platform) {
+    const { state, reasons, isAvailable, raw } = normalizePrinterStatus(printer, platform);
+    return { ...printer, state, reasons, isAvailable, rawStatus: raw };
+}
+
+/**
+ * Poll `getPrinters()` every `intervalMs` and call `onChange(event)` for each printer whose
+ * state or reasons changed, appeared or disappeared:
+ *   { name, state, previousState, reasons, isAvailable, printer }
+ * A printer that disappeared has state 'offline' and printer null.
+ * `getPrinters` may resolve null to skip a poll (e.g. no window to query).
+ */
+function createPrinterMonitor({ getPrinters, onChange, intervalMs = 10000, platform }) {
+    let known = new Map();
+    let timer = null;
+    let polling = false;
+
+    async function poll() {
+        if (polling) return;
+        polling = true;
+        try {
+            const list = await getPrinters();
+            if (!list) return;
+            const printers = list.map((p) => describePrinter(p, platform));
+            const next = new Map(printers.map((p) => [p.name, p]));
+
+            for (const printer of printers) {
+                const previous = known.get(printer.name);
+                if (previous && previous.state === printer.state && previous.reasons.join() === printer.reasons.join()) continue;
+                onChange({
+                    name: printer.name,
+                    state: printer.state,
+                    previousState: previous ? previous.state : null,
+                    reasons: printer.reasons,
+                    isAvailable: printer.isAvailable,
+                    printer,
+                });
+            }
+            for (const [name, previous] of known) {
+                if (next.has(name)) continue;
+                onChange({
+                    name,
+                    state: PRINTER_STATES.OFFLINE,
+                    previousState: previous.state,
+                    reasons: ["removed"],
+                    isAvailable: false,
+                    printer: null,
+                });
+            }
+            known = next;
+        } catch (e) {
+            log.warn("Printer status poll failed", { error: e.message });
+        } finally {
+            polling = false;
+        }
+    }
+
+    return {
+        start() {
+            if (timer) return;
+            poll();
+            timer = setInterval(poll, intervalMs);
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        poll,
+        /** Last known printers, as described by describePrinter */
+        current() {
+            return [...known.values()];
+        },
+    };
+}
+
+/**
+ * errorType and operator message for the reason a driver gave for a failed print.
+ * "jam" is checked before "paper", since drivers report jams as "Paper jam".
+ */
+function classifyPrintFailure(reason) {
+    const message = reason || "Print failed";
+    const lowerReason = String(message).toLowerCase();
+    if (lowerReason.includes("jam")) {
+        return { errorType: "paper_jam", message: "Paper jam detected. Please clear the paper jam and try again." };
+    }
+    if (lowerReason.includes("paper") || lowerReason.includes("sheet")) {
+        return { errorType: "no_paper", message: "No paper/sheets present in the printer. Please add paper and try again." };
+    }
+    if (lowerReason.includes("ink") || lowerReason.includes("toner") || lowerReason.includes("cartridge")) {
+        return { errorType: "no_ink", message: "Printer ink/toner is low or empty. Please check your printer." };
+    }
+    if (lowerReason.includes("offline") || lowerReason.includes("not connected") || lowerReason.includes("unavailable")) {
+        return { errorType: "printer_offline", message: "Printer is offline or not connected. Please check the printer connection and try again." };
+    }
+    if (lowerReason.includes("cover") || lowerReason.includes("open")) {
+        return { errorType: "printer_cover_open", message: "Printer cover is open. Please close the cover and try again." };
+    }
+    return { errorType: "printer_error", message };
+}
+
+module.exports = {
+    PRINTER_STATES,
+    normalizePrinterStatus,
+    describePrinter,
+    createPrinterMonitor,
+    classifyPrintFailure,
+};
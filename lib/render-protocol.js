@@ -0,0 +1,128 @@
+const { protocol, session } = require("electron");
+const path = require("path");
+const crypto = require("crypto");
+const { fileURLToPath } = require("url");
+
+/**
+ * `hostego://` protocol for the print render window.
+ *   hostego://pdfjs/<file>        – bundled pdf.js build (no CDN needed)
+ *   hostego://file/<token>/<name> – a local file exposed for the current job
+ * It is only registered on the render session, so the partner web app cannot reach it.
+ * Render pages never use the network: every file is downloaded first and served from here.
+ */
+const RENDER_SCHEME = "hostego";
+const RENDER_PARTITION = "hostego-render";
+
+const PDFJS_BUILD_DIR = path.join(path.dirname(require.resolve("pdfjs-dist/package.json")), "build");
+const PDFJS_SCRIPT_URL = `${RENDER_SCHEME}://pdfjs/pdf.min.js`;
+const PDFJS_WORKER_URL = `${RENDER_SCHEME}://pdfjs/pdf.worker.min.js`;
+
+// token -> absolute file path
+const localFiles = new Map();
+let renderSession = null;
+
+/** Register the scheme as privileged. Must be called before the app is ready. */
+function registerRenderScheme() {
+    protocol.registerSchemesAsPrivileged([
+        {
+            scheme: RENDER_SCHEME,
+            privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true },
+        },
+    ]);
+}
+
+/** Session used by print render windows, with the protocol handler attached */
+function getRenderSession() {
+    if (renderSession) return renderSession;
+
+    renderSession = session.fromPartition(RENDER_PARTITION);
+    renderSession.protocol.registerFileProtocol(RENDER_SCHEME, (request, callback) => {
+        // Render pages are data: URLs, so responses must allow any origin
+        const headers = { "Access-Control-Allow-Origin": "*" };
+        let url;
+        try {
+            url = new URL(request.url);
+        } catch (e) {
+            return callback({ error: -300 }); // net::ERR_INVALID_URL
+        }
+
+        if (url.host === "pdfjs") {
+            // Only files directly inside pdf.js's build folder
+            const fileName = path.basename(decodeURIComponent(url.pathname));
+            return callback({ path: path.join(PDFJS_BUILD_DIR, fileName), headers });
+        }
+
+        if (url.host === "file") {
+            const token = url.pathname.split("/")[1];
+            const filePath = localFiles.get(token);
+            if (filePath) return callback({ path: filePath, headers });
+        }
+
+        callback({ error: -6 }); // net::ERR_FILE_NOT_FOUND
+    });
+    // A render page that tries to reach the network (e.g. a crafted SVG or PDF link) gets nothing
+    renderSession.webRequest.onBeforeRequest({ urls: ["http://*/*", "https://*/*", "ws://*/*", "wss://*/*"] }, (_details, callback) => {
+        callback({ cancel: true });
+    });
+    return renderSession;
+}
+
+/**
+ * Content-Security-Policy <meta> for a render page: resources only from hostego://, and only
+ * inline scripts carrying `nonce` (pdf.js runs its worker from a blob: wrapper).
+ */
+function renderCsp(nonce) {
+    const policy = [
+        "default-src 'none'",
+        `script-src 'nonce-${nonce}' ${RENDER_SCHEME}:`,
+        `worker-src blob: ${RENDER_SCHEME}:`,
+        `connect-src ${RENDER_SCHEME}:`,
+        `img-src ${RENDER_SCHEME}: data: blob:`,
+        `font-src ${RENDER_SCHEME}: data:`,
+        "style-src 'unsafe-inline'",
+    ].join("; ");
+    return `<meta http-equiv="Content-Security-Policy" content="${policy}">`;
+}
+
+/** Local path for a file:// URL or absolute path, otherwise null */
+function toLocalPath(url) {
+    const value = String(url || "");
+    if (/^file:/i.test(value)) return fileURLToPath(value);
+    if (path.isAbsolute(value)) return value;
+    return null;
+}
+
+/** Make a local file loadable from the render window; returns its hostego:// URL */
+function exposeLocalFile(filePath) {
+    const token = crypto.randomBytes(16).toString("hex");
+    localFiles.set(token, filePath);
+    return `${RENDER_SCHEME}://file/${token}/${encodeURIComponent(path.basename(filePath))}`;
+}
+
+/** Stop serving a file exposed with exposeLocalFile() */
+function revokeLocalFile(renderUrl) {
+    const match = /^hostego:\/\/file\/([^/]+)/i.exec(String(renderUrl || ""));
+    if (match) localFiles.delete(match[1]);
+}
+
+/**
+ * URL the render window should load for a job URL.
+ * Local files are served through the protocol; remote URLs are returned unchanged.
+ */
+function toRenderUrl(url) {
+    const localPath = toLocalPath(url);
+    return localPath ? exposeLocalFile(localPath) : url;
+}
+
+module.exports = {
+    RENDER_SCHEME,
+    PDFJS_SCRIPT_URL,
+    PDFJS_WORKER_URL,
+    registerRenderScheme,
+    getRenderSession,
+    renderCsp,
+    toLocalPath,
+    exposeLocalFile,
+    revokeLocalFile,
+    toRenderUrl,
+};
@@ -0,0 +1,58 @@
+/**
+ * Per-file retry policy, chosen by a failed file's errorType:
+ *   autoRetry        – retried automatically with exponential backoff, up to maxAttempts
+ *   waitForOperator  – the job waits until the operator retries, skips the file or cancels
+ *   anything else    – the file fails immediately
+ */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelayMs: 2000,
+    maxDelayMs: 30000,
+    autoRetry: ["printer_verification_failed", "download_failed", "render_timeout"],
+    waitForOperator: ["no_paper", "paper_jam", "printer_cover_open", "no_ink", "printer_offline"],
+};
+
+/** Job option names (snake_case, as sent by the web app) for each policy field */
+const JOB_OPTION_KEYS = {
+    max_attempts: "maxAttempts",
+    base_delay_ms: "baseDelayMs",
+    max_delay_ms: "maxDelayMs",
+    auto_retry: "autoRetry",
+    wait_for_operator: "waitForOperator",
+};
+
+/** Merge a job's retry_policy option over the defaults */
+function resolveRetryPolicy(jobPolicy) {
+    const policy = { ...DEFAULT_RETRY_POLICY };
+    if (!jobPolicy || typeof jobPolicy !== "object") return policy;
+
+    for (const [jobKey, key] of Object.entries(JOB_OPTION_KEYS)) {
+        const value = jobPolicy[jobKey] !== undefined ? jobPolicy[jobKey] : jobPolicy[key];
+        if (value === undefined || value === null) continue;
+        if (Array.isArray(DEFAULT_RETRY_POLICY[key])) {
+            if (Array.isArray(value)) policy[key] = value.map(String);
+        } else if (Number.isFinite(Number(value)) && Number(value) >= 0) {
+            policy[key] = Number(value);
+        }
+    }
+    policy.maxAttempts = Math.max(1, Math.floor(policy.maxAttempts));
+    return policy;
+}
+
+/**
+ * What to do after `attempt` (1-based) failed with `error`:
+ *   { action: 'retry', delayMs } | { action: 'operator' } | { action: 'fail' }
+ */
+function decideRetry(policy, error, attempt) {
+    const errorType = (error && error.errorType) || "printer_error";
+    if (policy.waitForOperator.includes(errorType)) {
+        return { action: "operator" };
+    }
+    if (policy.autoRetry.includes(errorType) && attempt < policy.maxAttempts) {
+        const delayMs = Math.min(policy.baseDelayMs * Math.pow(2, attempt - 1), policy.maxDelayMs);
+        return { action: "retry", delayMs };
+    }
+    return { action: "fail" };
+}
+
+module.exports = { DEFAULT_RETRY_POLICY, resolveRetryPolicy, decideRetry };
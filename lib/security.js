@@ -0,0 +1,173 @@
+const path = require("path");
+const { fileURLToPath } = require("url");
+const log = require("./logger").scope("security");
+
+/**
+ * Which pages may use the print API, where the main window may navigate, and which file
+ * URLs a job may print.
+ *   - IPC calls are accepted from the partner web app (production, or the page chosen in
+ *     Settings with setPartnerUrl()) and the app's own pages (test page, Print History),
+ *     checked against the calling frame's URL.
+ *   - The main window stays on hostego.in; other links open in the default browser.
+ *   - Job files must be http(s), file:// or absolute local paths, without credentials in the
+ *     URL and, when HOSTEGO_ALLOWED_FILE_HOSTS is set, on one of those hosts.
+ */
+const PARTNER_URL = "https://hostego.in/printego-partner";
+const PARTNER_DOMAIN = new URL(PARTNER_URL).hostname;
+let partnerOrigin = new URL(PARTNER_URL).origin;
+const FILE_URL_SCHEMES = ["http:", "https:", "file:"];
+
+function urlError(message, fileIndex) {
+    const error = new Error(message);
+    error.errorType = "url_not_allowed";
+    error.code = "invalid_value";
+    error.field = `images_urls[${fileIndex}]`;
+    error.fileIndex = fileIndex;
+    return error;
+}
+
+/** Host patterns from a comma-separated list, e.g. "cdn.hostego.in,*.amazonaws.com" */
+function parseHostList(value) {
+    return String(value || "")
+        .split(",")
+        .map((host) => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/** `*.example.com` matches any subdomain of example.com; other patterns match exactly */
+function hostAllowed(hostname, patterns) {
+    const host = hostname.toLowerCase();
+    return patterns.some((pattern) => (pattern.startsWith("*.") ? host.endsWith(pattern.slice(1)) : host === pattern));
+}
+
+/**
+ * Check job file `fileIndex` before anything is downloaded; throws an errorType
+ * 'url_not_allowed' error. `allowedHosts` (from parseHostList) limits remote files to those hosts.
+ */
+function checkFileUrl(url, fileIndex, { allowedHosts = [] } = {}) {
+    const value = typeof url === "string" ? url.trim() : "";
+    const label = `File ${fileIndex + 1}`;
+    if (!value) throw urlError(`${label} has no URL.`, fileIndex);
+    // Absolute local paths (C:\..., /Users/...) print offline like file:// URLs
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(value) || /^[a-z]:[\\/]/i.test(value)) {
+        if (path.isAbsolute(value)) return;
+        throw urlError(`${label} is not a URL or an absolute file path.`, fileIndex);
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(value);
+    } catch (e) {
+        throw urlError(`${label} has an invalid URL.`, fileIndex);
+    }
+    if (!FILE_URL_SCHEMES.includes(parsed.protocol)) {
+        throw urlError(`${label} uses an unsupported URL scheme (${parsed.protocol}); use http(s) or a local file.`, fileIndex);
+    }
+    if (parsed.protocol === "file:") return;
+    if (parsed.username || parsed.password) {
+        throw urlError(`${label} has a user name or password in its URL.`, fileIndex);
+    }
+    if (allowedHosts.length > 0 && !hostAllowed(parsed.hostname, allowedHosts)) {
+        throw urlError(`${label} is on ${parsed.hostname}, which is not an allowed file host.`, fileIndex);
+    }
+}
+
+/** Whether `url` is an https page on hostego.in or one of its subdomains (e.g. staging) */
+function isPartnerDomainUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === "https:" && (parsed.hostname === PARTNER_DOMAIN || parsed.hostname.endsWith(`.${PARTNER_DOMAIN}`));
+    } catch (e) {
+        return false;
+    }
+}
+
+/** Trust the web app at `url` instead of production; throws for pages outside hostego.in */
+function setPartnerUrl(url) {
+    if (!isPartnerDomainUrl(url)) {
+        throw new Error(`The partner web app must be an https:// page on ${PARTNER_DOMAIN}.`);
+    }
+    partnerOrigin = new URL(url).origin;
+}
+
+/** Whether `url` is one of `files` (absolute paths of the app's own pages) */
+function isAppPage(url, files) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return false;
+    }
+    if (parsed.protocol !== "file:") return false;
+    const filePath = path.normalize(fileURLToPath(parsed));
+    return files.some((file) => path.normalize(file) === filePath);
+}
+
+/** Whether `url` is the partner web app or one of `trustedFiles` (absolute paths of the app's pages) */
+function isTrustedUrl(url, trustedFiles) {
+    try {
+        if (new URL(url).origin === partnerOrigin) return true;
+    } catch (e) {
+        return false;
+    }
+    return isAppPage(url, trustedFiles);
+}
+
+/** Whether an IPC call comes from a trusted page; the calling frame counts, not just its window */
+function isTrustedSender(event, trustedFiles) {
+    const frame = event.senderFrame;
+    return Boolean(frame) && isTrustedUrl(frame.url, trustedFiles);
+}
+
+/** Whether an IPC call comes from one of the app's own `pages`; the web app does not count */
+function isAppPageSender(event, pages) {
+    const frame = event.senderFrame;
+    return Boolean(frame) && isAppPage(frame.url, pages);
+}
+
+/** Main window navigation: hostego.in (and its subdomains, for sign-in) over https, or the app's pages */
+function isAllowedNavigation(url, trustedFiles) {
+    return isTrustedUrl(url, trustedFiles) || isPartnerDomainUrl(url);
+}
+
+function openInBrowser(url) {
+    if (/^https?:\/\//i.test(url)) {
+        // Loaded here so the URL checks above also work outside Electron (tests)
+        const { shell } = require("electron");
+        shell.openExternal(url).catch((err) => log.warn("Could not open link in the browser", { error: err.message }));
+    }
+}
+
+/**
+ * Navigation guard for a webContents. Pages the app loads itself (loadURL/loadFile) are not
+ * affected; links to pages `isAllowed` rejects are blocked (by default, every link), and new
+ * windows are never opened. When `openExternally()` is true, blocked http(s) links open in the
+ * default browser instead.
+ */
+function guardNavigation(contents, { isAllowed = () => false, openExternally = () => false } = {}) {
+    contents.on("will-navigate", (event, url) => {
+        if (isAllowed(url)) return;
+        event.preventDefault();
+        log.warn("Blocked navigation", { url, window: contents.getType() });
+        if (openExternally()) openInBrowser(url);
+    });
+    contents.on("will-attach-webview", (event) => event.preventDefault());
+    contents.setWindowOpenHandler(({ url }) => {
+        if (openExternally()) openInBrowser(url);
+        else log.warn("Blocked new window", { url });
+        return { action: "deny" };
+    });
+}
+
+module.exports = {
+    PARTNER_URL,
+    parseHostList,
+    checkFileUrl,
+    isPartnerDomainUrl,
+    setPartnerUrl,
+    isTrustedUrl,
+    isTrustedSender,
+    isAppPageSender,
+    isAllowedNavigation,
+    guardNavigation,
+};
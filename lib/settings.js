@@ -0,0 +1,149 @@
+const fs = require("fs");
+const path = require("path");
+const log = require("./logger").scope("settings");
+const { PAPER_SIZES, normalizePaperSize } = require("./print-options");
+const { PARTNER_URL, isPartnerDomainUrl } = require("./security");
+
+/**
+ * Per-station settings, edited in the Settings window and saved as JSON in the userData folder:
+ * {
+ *   "partner_url": "https://hostego.in/printego-partner",   // web app in the main window (production or staging)
+ *   "default_printers": { "color": "Epson_L3250", "black": "Brother_HL" },  // null: the system default
+ *   "default_paper_size": "A4",        // for files whose job sends no paper size
+ *   "page_load_timeout_ms": 15000,     // image and separator pages
+ *   "pdf_load_timeout_ms": 30000,
+ *   "render_dpi": 144,                 // resolution PDF pages are rendered at for printing
+ *   "pdf_render_wait_ms": 1000,        // pause after a page has rendered, before it is printed
+ *   "image_render_wait_ms": 300,
+ *   "download_cache_retention_hours": 24,  // downloaded files are deleted this long after their last use
+ *   "pdf_export_dir": "D:\\Orders"          // output_mode 'pdf' / 'print_and_pdf' PDFs; null: Documents/Hostego Print
+ * }
+ * A job's own deviceName, paper size etc. always win over these defaults. Values that are
+ * missing or invalid in the file fall back to the defaults, so the app still starts.
+ */
+const SETTINGS = {
+    partnerUrl: { key: "partner_url", default: PARTNER_URL, normalize: normalizePartnerUrl },
+    defaultPrinters: { key: "default_printers", default: { color: null, black: null }, normalize: normalizeDefaultPrinters },
+    defaultPaperSize: { key: "default_paper_size", default: "A4", normalize: normalizeDefaultPaperSize },
+    pageLoadTimeoutMs: { key: "page_load_timeout_ms", default: 15000, normalize: wholeNumber(1000, 10 * 60 * 1000) },
+    pdfLoadTimeoutMs: { key: "pdf_load_timeout_ms", default: 30000, normalize: wholeNumber(1000, 10 * 60 * 1000) },
+    renderDpi: { key: "render_dpi", default: 144, normalize: wholeNumber(72, 600) },
+    pdfRenderWaitMs: { key: "pdf_render_wait_ms", default: 1000, normalize: wholeNumber(0, 60 * 1000) },
+    imageRenderWaitMs: { key: "image_render_wait_ms", default: 300, normalize: wholeNumber(0, 60 * 1000) },
+    downloadCacheRetentionHours: { key: "download_cache_retention_hours", default: 24, normalize: wholeNumber(1, 30 * 24) },
+    pdfExportDir: { key: "pdf_export_dir", default: null, normalize: normalizeFolder },
+};
+
+const DEFAULT_SETTINGS = Object.fromEntries(Object.entries(SETTINGS).map(([name, spec]) => [name, spec.default]));
+
+function settingsError(field, message) {
+    const error = new Error(`${field}: ${message}`);
+    error.errorType = "invalid_settings";
+    error.field = field;
+    return error;
+}
+
+function normalizePartnerUrl(value) {
+    if (typeof value !== "string" || !isPartnerDomainUrl(value.trim())) {
+        throw new Error("must be an https:// page on hostego.in (e.g. the staging or production partner app)");
+    }
+    return value.trim();
+}
+
+function normalizeDefaultPrinters(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error("must be an object with color and black");
+    const printers = {};
+    for (const mode of ["color", "black"]) {
+        const name = value[mode];
+        if (name !== undefined && name !== null && typeof name !== "string") throw new Error(`${mode} must be a printer name`);
+        printers[mode] = name && name.trim() ? name.trim() : null;
+    }
+    return printers;
+}
+
+/** Absolute folder path, or null for the default folder */
+function normalizeFolder(value) {
+    if (value === null || value === undefined || (typeof value === "string" && !value.trim())) return null;
+    if (typeof value !== "string" || !path.isAbsolute(value.trim())) throw new Error("must be a full folder path");
+    return path.normalize(value.trim());
+}
+
+/** Paper size key (e.g. 'A4', 'LETTER') */
+function normalizeDefaultPaperSize(value) {
+    const paper = normalizePaperSize(String(value || ""));
+    return Object.keys(PAPER_SIZES).find((key) => PAPER_SIZES[key] === paper);
+}
+
+function wholeNumber(min, max) {
+    return (value) => {
+        const number = Number(value);
+        if (value === "" || value === null || !Number.isInteger(number) || number < min || number > max) {
+            throw new Error(`must be a whole number from ${min} to ${max}`);
+        }
+        return number;
+    };
+}
+
+/**
+ * The settings store. get() returns every setting (camelCase, see SETTINGS); update(changes)
+ * validates the given ones, saves the file and returns the new settings. An invalid value throws
+ * an errorType 'invalid_settings' error whose `field` is the setting's key in the file.
+ */
+function createSettingsStore(filePath) {
+    let current = load();
+
+    function load() {
+        let data = {};
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, "utf8")) || {};
+        } catch (e) {
+            if (e.code !== "ENOENT") log.warn("Could not read settings; using the defaults", { error: e.message });
+        }
+        const settings = {};
+        for (const [name, spec] of Object.entries(SETTINGS)) {
+            settings[name] = spec.default;
+            if (data[spec.key] === undefined) continue;
+            try {
+                settings[name] = spec.normalize(data[spec.key]);
+            } catch (e) {
+                log.warn("Invalid setting ignored", { setting: spec.key, error: e.message });
+            }
+        }
+        return settings;
+    }
+
+    function save(settings) {
+        const data = Object.fromEntries(Object.entries(SETTINGS).map(([name, spec]) => [spec.key, settings[name]]));
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    const get = () => ({ ...current, defaultPrinters: { ...current.defaultPrinters } });
+
+    return {
+        get,
+        update(changes) {
+            const next = { ...current };
+            for (const [name, value] of Object.entries(changes || {})) {
+                const spec = SETTINGS[name];
+                if (!spec) throw settingsError(name, "unknown setting");
+                try {
+                    next[name] = spec.normalize(value);
+                } catch (e) {
+                    throw settingsError(spec.key, e.message);
+                }
+            }
+            save(next);
+            current = next;
+            log.info("Settings saved", { changed: Object.keys(changes || {}) });
+            return get();
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    createSettingsStore,
+};
@@ -0,0 +1,218 @@
+const { execFile } = require("child_process");
+const log = require("./logger").scope("spooler");
+
+/**
+ * OS print-spooler job tracking.
+ * Electron's print callback only says the job was handed to the OS; this follows the
+ * spooler job until it completes, is aborted/cancelled, or is held.
+ *   Linux / macOS – CUPS `lpstat`
+ *   Windows       – PowerShell `Get-PrintJob`
+ */
+const JOB_STATES = {
+    PENDING: "pending",
+    PRINTING: "printing",
+    HELD: "held",
+    COMPLETED: "completed",
+    ABORTED: "aborted",
+    CANCELLED: "cancelled",
+    UNKNOWN: "unknown",
+};
+
+const FINAL_STATES = [JOB_STATES.COMPLETED, JOB_STATES.ABORTED, JOB_STATES.CANCELLED, JOB_STATES.HELD];
+
+function execFileText(file, args, timeout = 15000) {
+    return new Promise((resolve, reject) => {
+        execFile(file, args, { timeout, windowsHide: true, env: { ...process.env, LC_ALL: "C", LANG: "C" } }, (err, stdout) => {
+            if (err) return reject(err);
+            resolve(String(stdout || ""));
+        });
+    });
+}
+
+/** Job state implied by CUPS job-state-reasons, or null if they are not conclusive */
+function stateFromCupsReasons(reasons) {
+    const has = (prefix) => reasons.some((r) => r.startsWith(prefix));
+    if (has("job-completed-successfully") || has("job-completed-with-warnings")) return JOB_STATES.COMPLETED;
+    if (has("job-canceled")) return JOB_STATES.CANCELLED;
+    if (has("aborted-by-system") || has("job-completed-with-errors") || has("document-format-error") || has("job-aborted")) {
+        return JOB_STATES.ABORTED;
+    }
+    if (has("job-hold-until") || has("job-held")) return JOB_STATES.HELD;
+    if (has("job-printing")) return JOB_STATES.PRINTING;
+    return null;
+}
+
+/**
+ * Parse `lpstat -l -o <printer>` output into [{ id, reasons, message }].
+ * Job lines look like "<printer>-<id>  user  size  date"; detail lines are tab-indented.
+ */
+function parseLpstat(output) {
+    const jobs = [];
+    let current = null;
+    for (const line of String(output || "").split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        if (/^\s/.test(line)) {
+            if (!current) continue;
+            const detail = line.trim();
+            if (detail.startsWith("Alerts:")) {
+                current.reasons = detail.slice("Alerts:".length).trim().split(/\s+/).filter(Boolean);
+            } else if (detail.startsWith("Status:")) {
+                current.message = detail.slice("Status:".length).trim();
+            }
+            continue;
+        }
+        const match = /^(\S+)-(\d+)\s/.exec(line);
+        current = match ? { id: match[2], reasons: [], message: "" } : null;
+        if (current) jobs.push(current);
+    }
+    return jobs;
+}
+
+// JOB_STATUS_* bits of a Windows print job; ConvertTo-Json emits the JobStatus enum as this number
+const WINDOWS_JOB_STATUS_FLAGS = [
+    [0x1, "paused"],
+    [0x2, "error"],
+    [0x4, "deleting"],
+    [0x8, "spooling"],
+    [0x10, "printing"],
+    [0x20, "offline"],
+    [0x40, "paperout"],
+    [0x80, "printed"],
+    [0x100, "deleted"],
+    [0x200, "blocked"],
+    [0x400, "userintervention"],
+    [0x800, "restart"],
+    [0x1000, "complete"],
+    [0x2000, "retained"],
+    [0x4000, "renderinglocally"],
+];
+
+/** Flag names of a Windows JobStatus: the number (4112) or its text ("Printing, Retained") */
+function windowsStatusFlags(status) {
+    if (typeof status === "number" || /^\d+$/.test(String(status || "").trim())) {
+        const bits = Number(status);
+        return WINDOWS_JOB_STATUS_FLAGS.filter(([bit]) => (bits & bit) !== 0).map(([, name]) => name);
+    }
+    return String(status || "").toLowerCase().split(",").map((flag) => flag.trim()).filter(Boolean);
+}
+
+/** Map a Windows JobStatus (number or flag string) onto a job state */
+function stateFromWindowsStatus(status) {
+    const flags = windowsStatusFlags(status);
+    const has = (...names) => names.some((name) => flags.includes(name));
+    if (has("deleted", "deleting")) return JOB_STATES.CANCELLED;
+    if (has("error", "blocked", "userintervention", "paused", "offline", "paperout")) return JOB_STATES.HELD;
+    if (has("printed", "complete")) return JOB_STATES.COMPLETED;
+    if (has("printing", "spooling")) return JOB_STATES.PRINTING;
+    return JOB_STATES.PENDING;
+}
+
+/**
+ * Create a tracker. `exec(file, args)` resolves with stdout; it is injectable for tests.
+ */
+function createSpoolerTracker(options = {}) {
+    const platform = options.platform || process.platform;
+    const exec = options.exec || execFileText;
+
+    /** All jobs the spooler knows for `printerName`: [{ id, state, reasons, message }], or null if unavailable */
+    async function listJobs(printerName) {
+        try {
+            if (platform === "win32") {
+                const name = String(printerName).replace(/'/g, "''");
+                const script = `Get-PrintJob -PrinterName '${name}' | Select-Object Id,JobStatus | ConvertTo-Json -Compress`;
+                const output = (await exec("powershell.exe", ["-NoProfile", "-NonInteractive", "-Command", script])).trim();
+                if (!output) return [];
+                const parsed = JSON.parse(output);
+                return (Array.isArray(parsed) ? parsed : [parsed]).map((job) => ({
+                    id: String(job.Id),
+                    state: stateFromWindowsStatus(job.JobStatus),
+                    reasons: windowsStatusFlags(job.JobStatus),
+                    message: "",
+                }));
+            }
+
+            const [all, pending] = await Promise.all([
+                exec("lpstat", ["-l", "-W", "all", "-o", printerName]),
+                exec("lpstat", ["-W", "not-completed", "-o", printerName]),
+            ]);
+            const pendingIds = new Set(parseLpstat(pending).map((job) => job.id));
+            return parseLpstat(all).map((job) => {
+                // Reasons decide when they can; otherwise a job no longer pending has completed
+                const state = stateFromCupsReasons(job.reasons) || (pendingIds.has(job.id) ? JOB_STATES.PENDING : JOB_STATES.COMPLETED);
+                return { ...job, state };
+            });
+        } catch (e) {
+            log.warn("Spooler query failed", { printer: printerName, error: e.message });
+            return null;
+        }
+    }
+
+    /** IDs of the jobs currently known for `printerName` (null if the spooler can't be queried) */
+    async function snapshot(printerName) {
+        const jobs = await listJobs(printerName);
+        return jobs ? new Set(jobs.map((job) => job.id)) : null;
+    }
+
+    /** Number of unfinished (pending, printing or held) jobs for `printerName`; 0 if unknown */
+    async function activeJobCount(printerName) {
+        const jobs = await listJobs(printerName);
+        return jobs ? jobs.filter((job) => !FINAL_STATES.includes(job.state) || job.state === JOB_STATES.HELD).length : 0;
+    }
+
+    /**
+     * ID of the job submitted since `before` was taken, or null if none appeared in time.
+     * The highest new ID wins when several appear (jobs are serialised, so this is ours).
+     */
+    async function findNewJob(printerName, before, opts = {}) {
+        if (!before) return null;
+        const timeoutMs = opts.timeoutMs || 5000;
+        const intervalMs = opts.intervalMs || 250;
+        const deadline = Date.now() + timeoutMs;
+        do {
+            const jobs = await listJobs(printerName);
+            const fresh = (jobs || []).filter((job) => !before.has(job.id));
+            if (fresh.length) {
+                return fresh.map((job) => job.id).sort((a, b) => Number(b) - Number(a))[0];
+            }
+            await new Promise((r) => setTimeout(r, intervalMs));
+        } while (Date.now() < deadline);
+        return null;
+    }
+
+    /**
+     * Poll job `jobId` until it reaches a final state (completed, aborted, cancelled, held).
+     * A job that disappears from the queue has completed (Windows, or CUPS without job history).
+     * Resolves with { id, state, reasons, message }; state 'unknown' if still unfinished at the
+     * timeout or when `opts.shouldStop()` returns true.
+     */
+    async function waitForJob(printerName, jobId, opts = {}) {
+        const timeoutMs = opts.timeoutMs || 15 * 60 * 1000;
+        const intervalMs = opts.intervalMs || 2000;
+        const deadline = Date.now() + timeoutMs;
+        let last = { id: jobId, state: JOB_STATES.UNKNOWN, reasons: [], message: "" };
+
+        while (Date.now() < deadline && !(opts.shouldStop && opts.shouldStop())) {
+            const jobs = await listJobs(printerName);
+            if (jobs) {
+                const job = jobs.find((j) => j.id === String(jobId));
+                if (!job) return { ...last, state: JOB_STATES.COMPLETED };
+                if (job.state !== last.state && opts.onUpdate) opts.onUpdate(job);
+                last = job;
+                if (FINAL_STATES.includes(job.state)) return job;
+            }
+            await new Promise((r) => setTimeout(r, intervalMs));
+        }
+        return { ...last, state: FINAL_STATES.includes(last.state) ? last.state : JOB_STATES.UNKNOWN };
+    }
+
+    return { listJobs, snapshot, activeJobCount, findNewJob, waitForJob };
+}
+
+module.exports = {
+    JOB_STATES,
+    FINAL_STATES,
+    parseLpstat,
+    stateFromCupsReasons,
+    stateFromWindowsStatus,
+    createSpoolerTracker,
+};
@@ -0,0 +1,66 @@
+/**
+ * Text for the tray icon: what the station is printing, how many jobs wait, printer health and
+ * the order agent's state, so an unattended station can be checked at a glance.
+ */
+// Windows truncates tray tooltips longer than this
+const MAX_TOOLTIP_LENGTH = 127;
+
+function jobLabel(job) {
+    if (!job) return "No print job running";
+    const subject = job.order_id !== undefined && job.order_id !== null ? `Order ${job.order_id}` : `Job ${job.jobId}`;
+    if (job.status === "waiting") return `${subject} – needs attention (${job.errorType || "printer problem"})`;
+    if (job.fileIndex >= 0) return `${subject} – ${job.status} file ${job.fileIndex + 1} of ${job.totalFiles}`;
+    return `${subject} – ${job.status}`;
+}
+
+function queueLabel(queued) {
+    if (!queued) return "No jobs waiting";
+    return queued === 1 ? "1 job waiting" : `${queued} jobs waiting`;
+}
+
+function printerLine(printer) {
+    const reasons = printer.reasons && printer.reasons.length ? ` (${printer.reasons.join(", ")})` : "";
+    return `${printer.name} – ${printer.state}${reasons}`;
+}
+
+function printersLabel(printers) {
+    if (printers.length === 0) return "No printers found";
+    const ready = printers.filter((p) => p.isAvailable).length;
+    const blocked = printers.length - ready;
+    return blocked ? `Printers: ${ready} ready, ${blocked} need attention` : `Printers: ${ready} ready`;
+}
+
+function agentLabel(agent) {
+    if (!agent) return null;
+    return agent.currentOrder ? `Order agent: printing order ${agent.currentOrder}` : `Order agent: ${agent.state}`;
+}
+
+/**
+ * Summary of the station.
+ *   activeJob – last progress event of the running job ({ jobId, order_id, fileIndex, totalFiles,
+ *               status, errorType? }), or null
+ *   queued    – jobs waiting behind it
+ *   printers  – printers as described by describePrinter() (from the printer monitor)
+ *   agent     – the order agent's status(), or null when it is not enabled
+ * Returns { tooltip, job, queue, printers: { label, items }, agent, needsAttention }.
+ */
+function summarizeStation({ activeJob = null, queued = 0, printers = [], agent = null } = {}) {
+    const job = jobLabel(activeJob);
+    const queue = queueLabel(queued);
+    const needsAttention =
+        Boolean(activeJob && activeJob.status === "waiting") ||
+        printers.some((p) => !p.isAvailable) ||
+        Boolean(agent && agent.state === "error");
+
+    const tooltip = `Hostego Print – ${needsAttention ? "needs attention – " : ""}${activeJob ? job : queue}`;
+    return {
+        tooltip: tooltip.length > MAX_TOOLTIP_LENGTH ? `${tooltip.slice(0, MAX_TOOLTIP_LENGTH - 1)}…` : tooltip,
+        job,
+        queue,
+        printers: { label: printersLabel(printers), items: printers.map(printerLine) },
+        agent: agentLabel(agent),
+        needsAttention,
+    };
+}
+
+module.exports = { summarizeStation };
@@ -2,56 +2,179 @@ const { contextBridge, ipcRenderer } = require("electron");
 
 // Store progress callbacks
 let printProgressCallbacks = new Map();
-let printJobIdCounter = 0;
+// Seeded from the clock so job IDs stay unique across page reloads
+let printJobIdCounter = Date.now();
+
+// Desktop print API version (API_VERSION in lib/job-schema.js; the sandboxed preload cannot require it)
+const API_VERSION = "2.0.0";
+
+// Main-process events the page may listen to (whitelisted for security)
+const EVENT_CHANNELS = ['PRINT_PROGRESS', 'PRINT_SUCCESSFULLY_DONE', 'PRINT_ERROR', 'PRINTER_STATUS_CHANGED'];
+
+/**
+ * Send a print or preview job to the main process, wiring up onJobId and onProgress.
+ */
+function startJob(channel, options) {
+    const jobId = ++printJobIdCounter;
+    const { onProgress, onJobId, ...printOptions } = options;
+
+    if (onJobId && typeof onJobId === 'function') {
+        onJobId(jobId);
+    }
+    
+    // Store progress callback if provided
+    if (onProgress && typeof onProgress === 'function') {
+        printProgressCallbacks.set(jobId, onProgress);
+        
+        // Listen for progress events
+        const progressListener = (_event, progress) => {
+            if (progress.jobId === jobId && printProgressCallbacks.has(jobId)) {
+                const callback = printProgressCallbacks.get(jobId);
+                callback(progress);
+                
+                // Remove callback once the whole job (fileIndex -1) has finished
+                const finished = ['completed', 'cancelled', 'error'].includes(progress.status);
+                if (progress.fileIndex === -1 && finished) {
+                    printProgressCallbacks.delete(jobId);
+                    ipcRenderer.removeListener('PRINT_PROGRESS', progressListener);
+                }
+            }
+        };
+        
+        ipcRenderer.on('PRINT_PROGRESS', progressListener);
+    }
+    
+    // Send job with jobId
+    return ipcRenderer.invoke(channel, { ...printOptions, _jobId: jobId });
+}
 
 contextBridge.exposeInMainWorld("hostego", {
-    /** Returns list of printers: { name, displayName, description, status, isDefault } */
+    /**
+     * Version of this desktop print API, e.g. "2.0.0". Desktop clients without it are API 1
+     * (no job schema validation). Use getCapabilities() to agree on a job schema version.
+     */
+    apiVersion: API_VERSION,
+
+    /**
+     * Returns list of printers: { name, displayName, description, status, isDefault,
+     *   state: 'ready' | 'printing' | 'paused' | 'error' | 'offline' | 'unknown',
+     *   reasons: string[] (e.g. 'no_paper', 'paper_jam', 'no_ink', 'low_ink', 'cover_open', 'offline'),
+     *   isAvailable, rawStatus: { status, stateReasons? } }
+     * Changes are pushed as PRINTER_STATUS_CHANGED: { name, state, previousState, reasons, isAvailable, printer }
+     */
     getPrinters: () => ipcRenderer.invoke("GET_PRINTERS"),
     /**
      * Print job. Matches Printego Partner frontend API.
      * options: {
+     *   schema_version?: number – job schema version the options are written for (default: the newest this client supports)
      *   images_urls: string[]   (required) – image, PDF, and document URLs from print_files
-     *   quantity: number        (default 1) – copies
+     *                           (http(s), file:// or absolute local paths; local files print offline)
+     *   quantity: number        – ignored; use copies
      *   color_mode: 'color'|'black'  (default 'color')
-     *   deviceName?: string    – printer name (or use printerName)
+     *   color_modes?: string[]  – per-file color_mode, same length as images_urls
+     *   page_ranges?: string[]  – per-file page range, e.g. '3-10', '1,3,5-7', '5-' (default all pages)
+     *   duplex_modes?: string[] – per-file 'simplex' | 'long_edge' | 'short_edge' (default 'simplex')
+     *   copies?: number[]       – per-file number of copies (default 1)
+     *   pages_per_sheet?: number[] – per-file N-up: 1, 2, 4, 6, 9 or 16 (default 1)
+     *   paper_sizes?: string[]  – per-file 'A3' | 'A4' | 'A5' | 'letter' | 'legal' (default 'A4')
+     *   orientations?: string[] – per-file 'portrait' | 'landscape' | 'auto' (default 'auto': from the PDF page shape; landscape images are turned to fit a portrait sheet)
+     *   fit_modes?: string[]    – per-file 'fit' | 'fill' (crop to cover the sheet) | 'actual' (100% size) (default 'fit')
+     *   checksums?: string[]    – per-file sha256 (hex, optionally 'sha256:'-prefixed); a mismatch fails with errorType 'checksum_mismatch'
+     *   page_footers?: boolean[] – per-file footer on every sheet: "Order <order_id> · File n of N · Page n of N" (or page_footer for all files)
+     *   watermarks?: string[]   – per-file watermark text across every sheet, e.g. 'COPY' (at most 40 characters; or watermark for all files)
+     *   (each per-file option also accepts a single value applied to every file)
+     *   separator_page?: boolean – print a separator sheet (order_id, customer_name, file count, time) before the order (default false)
+     *   customer_name?: string  – shown on the separator sheet
+     *   continue_on_error?: boolean – keep printing the remaining files after one fails (default false)
+     *   retry_policy?: { max_attempts, base_delay_ms, max_delay_ms, auto_retry: string[], wait_for_operator: string[] }
+     *                  – errorTypes in auto_retry are retried with backoff (default printer_verification_failed,
+     *                    download_failed, render_timeout); wait_for_operator ones (default no_paper, paper_jam,
+     *                    printer_cover_open, no_ink, printer_offline) wait for Retry / Skip / Cancel
+     *   output_mode?: 'print' | 'pdf' | 'print_and_pdf' – 'pdf' saves the rendered order as <order_id>.pdf instead of
+     *                            printing (no printer needed); 'print_and_pdf' prints and keeps that PDF (default 'print')
+     *   deviceName?: string    – printer name (or use printerName); without one, files are routed by the
+     *                            printer-routing.json rules (if present) or sent to the default printer
      *   printerName?: string   – alias for deviceName
      *   file_types?: string[]  – optional, same length as images_urls; e.g. 'image','pdf','doc','docx','xls','xlsx' – improves file type detection
      *   onProgress?: (progress) => void  – optional callback for print progress
+     *   onJobId?: (jobId) => void        – optional, called immediately with the job's ID
+     *                                      (use it with cancel/pause/resume)
      * }
-     * Returns { success, message? } or { success: false, error }
+     * Returns { success, jobId, message? } (PRINT_SUCCESSFULLY_DONE also carries outputMode and pdfPath) or { success: false, jobId, cancelled?, error, errorType, files }
+     * Options are checked against the job schema before the job is queued. An invalid job returns (and sends as
+     * PRINT_ERROR) { success: false, jobId, code, field, message, error, errorType: 'invalid_print_options', fileIndex? }
+     * where code is 'missing_field' | 'invalid_type' | 'length_mismatch' | 'invalid_value' | 'unsupported_schema_version'
+     * and field names the option, e.g. 'color_modes' or 'copies[2]'. Per-file arrays must have one entry per file.
+     * PRINT_SUCCESSFULLY_DONE / PRINT_ERROR carry `files` (one { fileIndex, url, status: 'printed' | 'failed' |
+     * 'skipped' | 'pending', attempts, error?, errorType?, spoolerJobId?, spoolerState? } per file) and `summary`
+     * ({ printed, failed, skipped, pending }). PRINT_SUCCESSFULLY_DONE is sent once the OS spooler has finished every job.
      * 
-     * Progress callback receives: { fileIndex, totalFiles, status, message, url }
-     * status: 'downloading' | 'converting' | 'rendering' | 'printing' | 'completed' | 'error'
+     * Progress callback receives: { jobId, fileIndex, totalFiles, status, message, url, printerName? }
+     * (printerName is the printer chosen for that file, once known)
+     * status: 'queued' | 'downloading' | 'converting' | 'rendering' | 'printing' | 'retrying' | 'waiting' | 'paused'
+     *         | 'completed' | 'confirming' | 'skipped' | 'cancelled' | 'error'
+     * ('queued' is sent with fileIndex -1 while an earlier job is still printing;
+     *  'confirming' with fileIndex -1 while waiting for the spooler to finish the submitted jobs;
+     *  'waiting' means the operator must fix the printer – hostego.resume(jobId) retries the file)
      */
-    print: (options) => {
-        const jobId = ++printJobIdCounter;
-        const { onProgress, ...printOptions } = options;
-        
-        // Store progress callback if provided
-        if (onProgress && typeof onProgress === 'function') {
-            printProgressCallbacks.set(jobId, onProgress);
-            
-            // Listen for progress events
-            const progressListener = (_event, progress) => {
-                if (progress.jobId === jobId && printProgressCallbacks.has(jobId)) {
-                    const callback = printProgressCallbacks.get(jobId);
-                    callback(progress);
-                    
-                    // Remove callback if job is completed or errored
-                    if (progress.status === 'completed' || progress.status === 'error') {
-                        printProgressCallbacks.delete(jobId);
-                        ipcRenderer.removeListener('PRINT_PROGRESS', progressListener);
-                    }
-                }
-            };
-            
-            ipcRenderer.on('PRINT_PROGRESS', progressListener);
-        }
-        
-        // Send print job with jobId
-        return ipcRenderer.invoke("PRINT_JOB", { ...printOptions, _jobId: jobId });
+    print: (options) => startJob("PRINT_JOB", options),
+
+    /**
+     * Preview a print job before printing. Takes the same options as print(); the files are
+     * rendered exactly as they would print and shown in a preview window with sheet thumbnails.
+     * Approving sends the job to the printer (same events as print()); closing the window cancels it.
+     * Returns { approved: true, ...print() result } or { success: false, approved: false, cancelled?, jobId, error? }
+     */
+    preview: (options) => startJob("PREVIEW_JOB", options),
+
+    /**
+     * Past print jobs, newest first. filter: { order_id?, status?: 'completed' | 'failed' | 'cancelled',
+     *   printer?, errorType?, from?, to? (dates), search? (order id, file URL, printer or error text),
+     *   limit? (default 100), offset? }
+     * Returns { total, entries: [{ historyId, jobId, order_id, status, createdAt, startedAt, finishedAt,
+     *   durationMs, printers, files: [{ ...report entry, settings: { colorMode, copies, duplexMode,
+     *   pagesPerSheet, pageRanges, paperSize, orientation, fitMode } }], summary, error?, errorType?,
+     *   outputMode?, pdfPath?, reprintOf?, job }] }
+     */
+    getHistory: (filter) => ipcRenderer.invoke("GET_HISTORY", filter),
+
+    /**
+     * Print a job from the history again with the same files and settings.
+     * options: { onProgress?, onJobId? } as for print(). Returns the same result as print().
+     */
+    reprint: (historyId, options = {}) => startJob("REPRINT_JOB", { ...options, historyId }),
+
+    /**
+     * Analyse a job without printing. Takes the same options as print().
+     * Returns { success, files, totals } where each file is
+     *   { fileIndex, url, type: 'pdf' | 'image' | 'office', pageCount,
+     *     pages: [{ page, width, height, unit: 'mm' | 'px', orientation, color }],
+     *     selectedPages, colorPages, monoPages, colorMode, copies, duplexMode, pagesPerSheet,
+     *     sides, colorSides, monoSides, sheets }   (sides/sheets include copies, N-up and duplex)
+     *   or { fileIndex, url, error, errorType } if it could not be analysed,
+     * and totals is { files, failed, pages, sides, colorSides, monoSides, sheets }.
+     */
+    analyze: (options) => {
+        const { onProgress, onJobId, ...jobOptions } = options;
+        return ipcRenderer.invoke("ANALYZE_JOB", jobOptions);
     },
     
+    /**
+     * Cancel a queued or running print job. Files already sent to the printer are not recalled.
+     * The job ends with a 'cancelled' progress event and a PRINT_ERROR with errorType 'cancelled'.
+     * Returns { success, jobId, error? }
+     */
+    cancel: (jobId) => ipcRenderer.invoke("CANCEL_JOB", jobId),
+
+    /**
+     * Pause a print job before its next file. A 'paused' progress event is sent when it stops.
+     * Returns { success, jobId, error? }
+     */
+    pause: (jobId) => ipcRenderer.invoke("PAUSE_JOB", jobId),
+
+    /** Resume a paused print job. Returns { success, jobId, error? } */
+    resume: (jobId) => ipcRenderer.invoke("RESUME_JOB", jobId),
+
     /**
      * Get supported file types for printing
      * Returns array of supported file extensions and MIME types
@@ -60,32 +183,30 @@ contextBridge.exposeInMainWorld("hostego", {
     
     /**
      * Get app capabilities
-     * Returns object with capability flags
+     * client?: { apiVersion?, schemaVersions?: number[] } – the job schema versions the web app can send
+     * Returns object with capability flags, apiVersion and schema: { apiVersion, schemaVersion, minSchemaVersion,
+     *   negotiatedSchemaVersion (newest version both sides support, or null), compatible, jobFields }
      */
-    getCapabilities: () => ipcRenderer.invoke("GET_CAPABILITIES"),
+    getCapabilities: (client) => ipcRenderer.invoke("GET_CAPABILITIES", client),
 });
 
-// Expose IPC event listeners for print success and error callbacks
+// Expose IPC event listeners for print success/error callbacks and printer status changes
 contextBridge.exposeInMainWorld("electron", {
     ipcRenderer: {
         on: (channel, callback) => {
-            // Whitelist allowed channels for security
-            const validChannels = ['PRINT_PROGRESS', 'PRINT_SUCCESSFULLY_DONE', 'PRINT_ERROR'];
-            if (validChannels.includes(channel)) {
+            if (EVENT_CHANNELS.includes(channel)) {
                 ipcRenderer.on(channel, callback);
             } else {
                 console.warn(`Channel ${channel} is not allowed`);
             }
         },
         removeListener: (channel, callback) => {
-            const validChannels = ['PRINT_PROGRESS', 'PRINT_SUCCESSFULLY_DONE', 'PRINT_ERROR'];
-            if (validChannels.includes(channel)) {
+            if (EVENT_CHANNELS.includes(channel)) {
                 ipcRenderer.removeListener(channel, callback);
             }
         },
         removeAllListeners: (channel) => {
-            const validChannels = ['PRINT_PROGRESS', 'PRINT_SUCCESSFULLY_DONE', 'PRINT_ERROR'];
-            if (validChannels.includes(channel)) {
+            if (EVENT_CHANNELS.includes(channel)) {
                 ipcRenderer.removeAllListeners(channel);
             }
         }
@@ -95,22 +216,19 @@ contextBridge.exposeInMainWorld("electron", {
 // Also expose as electronAPI for compatibility
 contextBridge.exposeInMainWorld("electronAPI", {
     on: (channel, callback) => {
-        const validChannels = ['PRINT_PROGRESS', 'PRINT_SUCCESSFULLY_DONE', 'PRINT_ERROR'];
-        if (validChannels.includes(channel)) {
+        if (EVENT_CHANNELS.includes(channel)) {
             ipcRenderer.on(channel, callback);
         } else {
             console.warn(`Channel ${channel} is not allowed`);
         }
     },
     removeListener: (channel, callback) => {
-        const validChannels = ['PRINT_PROGRESS', 'PRINT_SUCCESSFULLY_DONE', 'PRINT_ERROR'];
-        if (validChannels.includes(channel)) {
+        if (EVENT_CHANNELS.includes(channel)) {
             ipcRenderer.removeListener(channel, callback);
         }
     },
     removeAllListeners: (channel) => {
-        const validChannels = ['PRINT_PROGRESS', 'PRINT_SUCCESSFULLY_DONE', 'PRINT_ERROR'];
-        if (validChannels.includes(channel)) {
+        if (EVENT_CHANNELS.includes(channel)) {
             ipcRenderer.removeAllListeners(channel);
         }
     }
@@ -0,0 +1,7 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+// Print preview window: the operator approves or cancels the job
+contextBridge.exposeInMainWorld("hostegoPreview", {
+    /** decision: 'approve' | 'cancel' */
+    decide: (decision) => ipcRenderer.send("PREVIEW_DECISION", decision),
+});
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Mock order backend for trying the order agent (lib/order-agent.js) locally.
+ *
+ *   npm run mock:orders -- [orders.json] [--port 17830] [--token secret]
+ *
+ * `--port 0` picks a free port (the tests do this); the address is printed on start.
+ *
+ * orders.json is an array of { order_id, job } (job as for hostego.print()). More orders can be
+ * added while it runs with POST /orders { order_id, job }. Point order-agent.json at it:
+ *   { "enabled": true, "endpoint": "http://127.0.0.1:17830", "token": "secret" }
+ * Claims and results are printed to the console; GET /results lists the results received.
+ */
+const fs = require("fs");
+const http = require("http");
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    if (index === -1) return fallback;
+    const value = args[index + 1];
+    args.splice(index, 2);
+    return value;
+};
+const port = Number(option("--port", 17830));
+const token = option("--token", process.env.MOCK_ORDER_TOKEN || "");
+const ordersFile = args[0];
+
+// order_id -> { order_id, job, claimedBy, claimId, result }
+const orders = new Map();
+const waiters = new Set();
+let claimCounter = 0;
+
+function addOrder(order) {
+    const orderId = String(order.order_id);
+    if (orders.has(orderId)) return false;
+    orders.set(orderId, { order_id: order.order_id, job: order.job || order, claimedBy: null, claimId: null, result: null });
+    console.log(`[mock] order ${orderId} added`);
+    for (const wake of waiters) wake();
+    return true;
+}
+
+if (ordersFile) {
+    for (const order of JSON.parse(fs.readFileSync(ordersFile, "utf8"))) addOrder(order);
+}
+
+const openOrders = () => [...orders.values()].filter((o) => !o.claimedBy).map(({ order_id, job }) => ({ order_id, job }));
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+}
+
+/** Hold GET /orders open until an order arrives or `wait` seconds pass */
+function waitForOrders(req, seconds) {
+    return new Promise((resolve) => {
+        const done = () => {
+            clearTimeout(timer);
+            waiters.delete(done);
+            resolve();
+        };
+        const timer = setTimeout(done, seconds * 1000);
+        waiters.add(done);
+        req.on("close", done);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { error: "unauthorized" });
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    try {
+        if (req.method === "GET" && url.pathname === "/orders") {
+            const wait = Number(url.searchParams.get("wait")) || 0;
+            if (wait > 0 && openOrders().length === 0) await waitForOrders(req, wait);
+            return send(res, 200, { orders: openOrders() });
+        }
+        if (req.method === "POST" && url.pathname === "/orders") {
+            const order = await readBody(req);
+            if (order.order_id === undefined) return send(res, 400, { error: "order_id is required" });
+            return send(res, addOrder(order) ? 201 : 409, { order_id: order.order_id });
+        }
+        if (req.method === "GET" && url.pathname === "/results") {
+            return send(res, 200, { results: [...orders.values()].filter((o) => o.result).map((o) => ({ order_id: o.order_id, ...o.result })) });
+        }
+        if (req.method === "POST" && parts[0] === "orders" && parts.length === 3) {
+            const order = orders.get(decodeURIComponent(parts[1]));
+            if (!order) return send(res, 404, { error: "unknown order" });
+            const body = await readBody(req);
+            if (parts[2] === "claim") {
+                if (order.claimedBy && order.claimedBy !== body.station) return send(res, 409, { error: `claimed by ${order.claimedBy}` });
+                order.claimedBy = body.station;
+                order.claimId = order.claimId || `claim-${++claimCounter}`;
+                console.log(`[mock] order ${order.order_id} claimed by ${body.station}`);
+                return send(res, 200, { claim_id: order.claimId });
+            }
+            if (parts[2] === "result") {
+                if (body.claim_id !== order.claimId) return send(res, 409, { error: "claim_id does not match" });
+                order.result = body;
+                console.log(`[mock] order ${order.order_id} ${body.status}${body.errorType ? ` (${body.errorType}: ${body.error})` : ""}`);
+                return send(res, 200, { ok: true });
+            }
+        }
+        send(res, 404, { error: "not found" });
+    } catch (err) {
+        send(res, 400, { error: err.message });
+    }
+});
+
+server.listen(port, "127.0.0.1", () => {
+    console.log(`[mock] order backend on http://127.0.0.1:${server.address().port} with ${orders.size} order(s)${token ? " (token required)" : ""}`);
+});
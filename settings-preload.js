@@ -0,0 +1,13 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+// Settings window
+contextBridge.exposeInMainWorld("hostegoSettings", {
+    /** { settings, defaults, printers, paperSizes, defaultPdfExportDir, pdfExportDirOverride } */
+    get: () => ipcRenderer.invoke("GET_SETTINGS"),
+
+    /** Save changed settings: { success, settings } or { success: false, error, field } */
+    save: (changes) => ipcRenderer.invoke("SAVE_SETTINGS", changes),
+
+    /** Pick a folder; resolves with its path, or null if cancelled */
+    chooseFolder: (current) => ipcRenderer.invoke("CHOOSE_FOLDER", current),
+});
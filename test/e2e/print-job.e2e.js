@@ -0,0 +1,257 @@
+/**
+ * End-to-end PRINT_JOB test, run as Electron's main script (see run.js).
+ * The app starts with the fake printer backend and a throw-away userData folder, jobs are sent
+ * through window.hostego.print() from a trusted page, and the events the page receives are
+ * checked against the contract in PROGRESS-CALLBACKS-GUIDE.md.
+ */
+const { app } = require("electron");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PDFDocument, StandardFonts } = require("pdf-lib");
+const { PNG } = require("pngjs");
+const { createFakeBackend, setPrinterBackend } = require("../../lib/printer-backend");
+
+const ROOT = path.join(__dirname, "..", "..");
+const TEST_TIMEOUT_MS = 60000;
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "hostego-e2e-"));
+app.setPath("userData", path.join(workDir, "userData"));
+process.env.HOSTEGO_PDF_DIR = path.join(workDir, "pdf");
+
+const printer = createFakeBackend();
+setPrinterBackend(printer);
+
+// The first window the app opens is the main window with the hostego preload
+const mainWindowReady = new Promise((resolve) => app.once("browser-window-created", (_event, window) => resolve(window)));
+require("../../index.js");
+
+/** Progress statuses listed under "Status Values" in the guide */
+function documentedStatuses() {
+    const guide = fs.readFileSync(path.join(ROOT, "PROGRESS-CALLBACKS-GUIDE.md"), "utf8");
+    const section = guide.split("### Status Values")[1].split("\n### ")[0];
+    return [...section.matchAll(/^- `'(\w+)'`/gm)].map((match) => match[1]);
+}
+
+async function writeFixtures() {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    for (let i = 1; i <= 2; i++) {
+        pdf.addPage([595, 842]).drawText(`Hostego e2e page ${i}`, { x: 50, y: 780, size: 24, font });
+    }
+    const pdfPath = path.join(workDir, "document.pdf");
+    fs.writeFileSync(pdfPath, await pdf.save());
+
+    const png = new PNG({ width: 40, height: 40 });
+    png.data.fill(0x80);
+    const pngPath = path.join(workDir, "photo.png");
+    fs.writeFileSync(pngPath, PNG.sync.write(png));
+    return { pdfPath, pngPath };
+}
+
+async function waitFor(check, what, timeoutMs = TEST_TIMEOUT_MS) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+        await new Promise((r) => setTimeout(r, 100));
+    }
+}
+
+function createClient(window) {
+    const run = (code) => window.webContents.executeJavaScript(code);
+    const isFinal = (e) => e.channel === "PRINT_PROGRESS" && e.data.fileIndex === -1 && ["completed", "cancelled", "error"].includes(e.data.status);
+
+    return {
+        /** Record every job event the page receives */
+        async listen() {
+            await run(`
+                window.__events = [];
+                for (const channel of ["PRINT_PROGRESS", "PRINT_SUCCESSFULLY_DONE", "PRINT_ERROR"]) {
+                    window.electron.ipcRenderer.on(channel, (_event, data) => window.__events.push({ channel, data }));
+                }
+            `);
+        },
+        /** Start a job; resolves with its ID once print() has been called */
+        async start(job) {
+            await run(`
+                window.__events = [];
+                window.__jobId = null;
+                window.__result = null;
+                window.hostego.print({ ...${JSON.stringify(job)}, onJobId: (id) => { window.__jobId = id; } })
+                    .then((result) => { window.__result = result; });
+            `);
+            return run("window.__jobId");
+        },
+        events: (jobId) => run("window.__events").then((events) => events.filter((e) => e.data.jobId === jobId)),
+        /** Wait for the job to end; resolves with { result, events } */
+        async finish(jobId) {
+            const result = await waitFor(() => run("window.__result"), `job ${jobId} to return`);
+            const events = await waitFor(async () => {
+                const received = await this.events(jobId);
+                return received.some(isFinal) ? received : null;
+            }, `the last event of job ${jobId}`);
+            return { result, events };
+        },
+        resume: (jobId) => run(`window.hostego.resume(${JSON.stringify(jobId)})`),
+    };
+}
+
+/** Checks every job must pass, whatever its outcome */
+function checkContract({ result, events }, job, statuses) {
+    const progress = events.filter((e) => e.channel === "PRINT_PROGRESS").map((e) => e.data);
+    const totalFiles = job.images_urls.length;
+    assert.ok(progress.length > 0, "no PRINT_PROGRESS events");
+    for (const event of progress) {
+        assert.ok(statuses.includes(event.status), `undocumented status '${event.status}'`);
+        assert.ok(Number.isInteger(event.fileIndex) && event.fileIndex >= -1 && event.fileIndex < totalFiles, `bad fileIndex ${event.fileIndex}`);
+        assert.equal(event.totalFiles, totalFiles);
+        assert.equal(typeof event.message, "string");
+        if (event.fileIndex >= 0) assert.equal(event.url, job.images_urls[event.fileIndex]);
+    }
+
+    const last = progress[progress.length - 1];
+    assert.equal(last.fileIndex, -1, "the last event must describe the whole job");
+    assert.equal(last.status, result.success ? "completed" : result.cancelled ? "cancelled" : "error");
+    assert.equal(progress.filter((e) => e.fileIndex === -1 && ["completed", "cancelled", "error"].includes(e.status)).length, 1);
+
+    // Per file: rendering → printing → completed
+    for (let i = 0; i < totalFiles; i++) {
+        const steps = progress.filter((e) => e.fileIndex === i).map((e) => e.status);
+        const completed = steps.lastIndexOf("completed");
+        if (completed >= 0) {
+            assert.ok(steps.lastIndexOf("printing") < completed && steps.indexOf("rendering") < steps.indexOf("printing"), `file ${i}: ${steps.join(" → ")}`);
+        }
+    }
+
+    const done = events.filter((e) => e.channel === "PRINT_SUCCESSFULLY_DONE");
+    const failed = events.filter((e) => e.channel === "PRINT_ERROR");
+    assert.equal(done.length + failed.length, 1, "exactly one of PRINT_SUCCESSFULLY_DONE / PRINT_ERROR");
+    const outcome = (done[0] || failed[0]).data;
+    assert.equal(outcome.files.length, totalFiles);
+    const summary = { printed: 0, failed: 0, skipped: 0, pending: 0 };
+    for (const file of outcome.files) summary[file.status]++;
+    assert.deepEqual(outcome.summary, summary);
+    return { progress, outcome, succeeded: done.length === 1 };
+}
+
+const tests = [
+    {
+        name: "a PDF and an image print on the fake printer",
+        async run(client, fixtures, statuses) {
+            const job = { images_urls: [fixtures.pdfPath, fixtures.pngPath], copies: [2, 1], order_id: "E2E-1" };
+            const jobId = await client.start(job);
+            const ended = await client.finish(jobId);
+            const { progress, outcome, succeeded } = checkContract(ended, job, statuses);
+
+            assert.ok(succeeded && ended.result.success);
+            assert.equal(outcome.order_id, "E2E-1");
+            assert.deepEqual(outcome.summary, { printed: 2, failed: 0, skipped: 0, pending: 0 });
+            assert.ok(progress.some((e) => e.status === "confirming" && e.fileIndex === -1), "no 'confirming' event");
+            assert.deepEqual(printer.jobs.map((j) => [j.success, j.printerName, j.options.copies]), [
+                [true, "Fake Printer", 2],
+                [true, "Fake Printer", 1],
+            ]);
+        },
+    },
+    {
+        name: "paper out waits for the operator and hostego.resume() retries the file",
+        async run(client, fixtures, statuses) {
+            printer.failNext("no_paper");
+            const job = { images_urls: [fixtures.pdfPath] };
+            const jobId = await client.start(job);
+            await waitFor(async () => (await client.events(jobId)).some((e) => e.data.status === "waiting"), "a 'waiting' event");
+            await client.resume(jobId);
+            const ended = await client.finish(jobId);
+            const { progress, outcome, succeeded } = checkContract(ended, job, statuses);
+
+            assert.ok(succeeded);
+            assert.equal(progress.find((e) => e.status === "waiting").errorType, "no_paper");
+            assert.equal(outcome.files[0].attempts, 2);
+            assert.deepEqual(printer.jobs.map((j) => j.success), [false, true]);
+        },
+    },
+    {
+        name: "a paper jam fails one file and the job continues with continue_on_error",
+        async run(client, fixtures, statuses) {
+            printer.failNext("paper_jam");
+            const job = { images_urls: [fixtures.pngPath, fixtures.pdfPath], continue_on_error: true, retry_policy: { wait_for_operator: [] } };
+            const jobId = await client.start(job);
+            const ended = await client.finish(jobId);
+            const { outcome, succeeded } = checkContract(ended, job, statuses);
+
+            assert.ok(!succeeded && !ended.result.success);
+            assert.equal(outcome.errorType, "partial_failure");
+            assert.equal(outcome.files[0].status, "failed");
+            assert.equal(outcome.files[0].errorType, "paper_jam");
+            assert.equal(outcome.files[1].status, "printed");
+        },
+    },
+    {
+        name: "an offline printer fails the job",
+        async run(client, fixtures, statuses) {
+            printer.failNext("offline");
+            const job = { images_urls: [fixtures.pdfPath, fixtures.pngPath], retry_policy: { wait_for_operator: [] } };
+            const jobId = await client.start(job);
+            const ended = await client.finish(jobId);
+            const { outcome, succeeded } = checkContract(ended, job, statuses);
+
+            assert.ok(!succeeded);
+            assert.equal(ended.result.errorType, "printer_offline");
+            assert.deepEqual(outcome.summary, { printed: 0, failed: 1, skipped: 0, pending: 1 });
+            assert.equal(printer.jobs.length, 1, "the second file must not be printed");
+        },
+    },
+    {
+        name: "an invalid job is refused before anything prints",
+        async run(client, fixtures) {
+            const jobId = await client.start({ images_urls: [fixtures.pdfPath], copies: 0 });
+            const { result, events } = await client.finish(jobId);
+
+            assert.equal(result.success, false);
+            assert.equal(result.code, "invalid_value");
+            assert.equal(result.field, "copies");
+            const error = events.find((e) => e.channel === "PRINT_ERROR").data;
+            assert.equal(error.errorType, "invalid_print_options");
+            assert.equal(printer.jobs.length, 0);
+        },
+    },
+];
+
+async function main() {
+    const statuses = documentedStatuses();
+    assert.ok(statuses.includes("completed") && statuses.includes("waiting"), "could not read the statuses from the guide");
+    const fixtures = await writeFixtures();
+
+    await app.whenReady();
+    const window = await mainWindowReady;
+    await window.loadFile(path.join(ROOT, "test-document-print.html"));
+    const client = createClient(window);
+    await client.listen();
+
+    let failures = 0;
+    for (const { name, run } of tests) {
+        printer.reset();
+        try {
+            await run(client, fixtures, statuses);
+            console.log(`ok - ${name}`);
+        } catch (err) {
+            failures++;
+            console.log(`not ok - ${name}\n  ${String(err.stack || err).replace(/\n/g, "\n  ")}`);
+        }
+    }
+    console.log(`\n${tests.length - failures} of ${tests.length} passed`);
+    return failures;
+}
+
+main()
+    .catch((err) => {
+        console.error(err);
+        return 1;
+    })
+    .then((failures) => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+        app.exit(failures ? 1 : 0);
+    });
@@ -0,0 +1,22 @@
+/**
+ * Run the end-to-end print tests in Electron: `npm run test:e2e`.
+ * On Linux without a display the run is wrapped in `xvfb-run`, so it works on CI runners
+ * (install the xvfb package there). Exits with Electron's exit code.
+ */
+const { spawn } = require("child_process");
+const path = require("path");
+
+const electron = require("electron");
+const script = path.join(__dirname, "print-job.e2e.js");
+// Electron refuses to run as root without it (CI containers)
+const args = [script, ...(process.getuid && process.getuid() === 0 ? ["--no-sandbox"] : [])];
+
+const needsXvfb = process.platform === "linux" && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY;
+const [command, commandArgs] = needsXvfb ? ["xvfb-run", ["-a", electron, ...args]] : [electron, args];
+
+const child = spawn(command, commandArgs, { stdio: "inherit" });
+child.on("error", (err) => {
+    console.error(err.code === "ENOENT" && needsXvfb ? "xvfb-run not found: install xvfb or set DISPLAY." : err.message);
+    process.exit(1);
+});
+child.on("exit", (code, signal) => process.exit(signal ? 1 : code));
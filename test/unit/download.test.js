@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { downloadToFile } = require("../../lib/download");
+const { checkFileUrl } = require("../../lib/security");
+
+/** Server on a random port: /file serves a body, /local redirects to /file, /away redirects off-host */
+async function startServer(t) {
+    const server = http.createServer((req, res) => {
+        if (req.url === "/file") return res.end("hello");
+        if (req.url === "/local") return res.writeHead(302, { Location: "/file" }).end();
+        if (req.url === "/away") return res.writeHead(302, { Location: "http://files.example.com/file" }).end();
+        res.writeHead(404).end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hostego-download-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, "file.part");
+}
+
+const checkUrl = (url) => checkFileUrl(url, 0, { allowedHosts: ["127.0.0.1"] });
+
+test("redirects on an allowed host are followed", async (t) => {
+    const base = await startServer(t);
+    const dest = tempFile(t);
+    const { bytes } = await downloadToFile(`${base}/local`, dest, { checkUrl });
+    assert.equal(bytes, 5);
+    assert.equal(fs.readFileSync(dest, "utf8"), "hello");
+});
+
+test("a redirect to a host that is not allowed is refused", async (t) => {
+    const base = await startServer(t);
+    const dest = tempFile(t);
+    await assert.rejects(downloadToFile(`${base}/away`, dest, { checkUrl }), (err) => {
+        assert.equal(err.errorType, "url_not_allowed");
+        assert.equal(err.field, "images_urls[0]");
+        assert.match(err.message, /files\.example\.com/);
+        return true;
+    });
+    assert.equal(fs.existsSync(dest), false);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_VERSION, JOB_SCHEMA_VERSION, validateJob, negotiateSchema } = require("../../lib/job-schema");
+
+const urls = ["https://files.example.com/a.pdf", "https://files.example.com/b.png"];
+
+test("a valid job passes and unknown fields are ignored", () => {
+    validateJob({
+        schema_version: JOB_SCHEMA_VERSION,
+        images_urls: urls,
+        color_modes: ["color", "black"],
+        page_ranges: "1-2",
+        copies: [1, "2"],
+        retry_policy: { max_attempts: 2, wait_for_operator: [] },
+        future_option: { anything: true },
+    });
+});
+
+test("images_urls is required", () => {
+    assert.throws(() => validateJob({}), { code: "missing_field", field: "images_urls", errorType: "invalid_print_options" });
+    assert.throws(() => validateJob({ images_urls: [] }), { code: "invalid_type", field: "images_urls" });
+});
+
+test("per-file arrays must match images_urls", () => {
+    assert.throws(() => validateJob({ images_urls: urls, copies: [1] }), { code: "length_mismatch", field: "copies" });
+});
+
+test("bad values report the field and file index", () => {
+    assert.throws(() => validateJob({ images_urls: urls, duplex_modes: ["simplex", "sideways"] }), {
+        code: "invalid_value",
+        field: "duplex_modes[1]",
+        fileIndex: 1,
+    });
+    assert.throws(() => validateJob({ images_urls: urls, copies: 1.5 }), { code: "invalid_type", field: "copies" });
+    assert.throws(() => validateJob({ images_urls: urls, file_types: "pdf" }), { code: "invalid_type", field: "file_types" });
+});
+
+test("newer schema versions are refused", () => {
+    assert.throws(() => validateJob({ images_urls: urls, schema_version: JOB_SCHEMA_VERSION + 1 }), {
+        code: "unsupported_schema_version",
+        field: "schema_version",
+    });
+});
+
+test("negotiateSchema picks the newest common version", () => {
+    assert.equal(negotiateSchema().apiVersion, API_VERSION);
+    assert.equal(negotiateSchema().negotiatedSchemaVersion, JOB_SCHEMA_VERSION);
+    assert.equal(negotiateSchema({ schemaVersions: [1, JOB_SCHEMA_VERSION + 1] }).negotiatedSchemaVersion, 1);
+    const none = negotiateSchema({ schemaVersions: [JOB_SCHEMA_VERSION + 1] });
+    assert.equal(none.compatible, false);
+    assert.equal(none.negotiatedSchemaVersion, null);
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+const { loadLocalApiConfig, createLocalApi } = require("../../lib/local-api");
+
+require("../../lib/logger").configure({ console: false });
+
+const TOKEN = "test-token-0123456789abcdef";
+
+/**
+ * Local API on a random port with a fake print pipeline, stopped when test `t` ends;
+ * `api.submitted` and `api.controls` record calls
+ */
+async function startApi(t) {
+    const submitted = [];
+    const controls = [];
+    const api = createLocalApi({
+        config: { host: "127.0.0.1", port: 0, token: TOKEN },
+        submitJob: (job) => {
+            if (!Array.isArray(job.images_urls)) {
+                throw Object.assign(new Error("images_urls is required"), { errorType: "invalid_print_options", code: "required", field: "images_urls" });
+            }
+            submitted.push(job);
+            return `job-${submitted.length}`;
+        },
+        controlJob: (jobId, action) => {
+            controls.push([jobId, action]);
+            return jobId === "job-1" ? { success: true } : { success: false, error: "Job is not running" };
+        },
+        getPrinters: async () => [{ name: "Office_Laser", state: "ready", isAvailable: true }],
+        getCapabilities: async () => ({ apiVersion: 1 }),
+    });
+    const { port } = await api.start();
+    t.after(() => api.stop());
+    const base = `http://127.0.0.1:${port}/api/v1`;
+    const request = async (method, pathname, { body, token = TOKEN } = {}) => {
+        const headers = token ? { Authorization: `Bearer ${token}` } : {};
+        const res = await fetch(base + pathname, { method, headers, body: body && JSON.stringify(body) });
+        return { status: res.status, body: await res.json() };
+    };
+    return Object.assign(api, { port, request, submitted, controls });
+}
+
+test("loadLocalApiConfig generates and saves a token", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hostego-local-api-test-"));
+    const file = path.join(dir, "local-api.json");
+    assert.equal(loadLocalApiConfig(file), null);
+    fs.writeFileSync(file, JSON.stringify({ enabled: true, port: 18000 }));
+    const config = loadLocalApiConfig(file);
+    assert.equal(config.host, "127.0.0.1");
+    assert.equal(config.port, 18000);
+    assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).token, config.token);
+    fs.writeFileSync(file, JSON.stringify({ enabled: true, token: "short" }));
+    assert.throws(() => loadLocalApiConfig(file), { errorType: "invalid_local_api_config" });
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("every request needs the token", async (t) => {
+    const api = await startApi(t);
+    assert.equal((await api.request("GET", "/printers", { token: null })).status, 401);
+    assert.equal((await api.request("GET", "/printers", { token: "wrong-token-0123456789" })).body.errorType, "unauthorized");
+    const res = await fetch(`http://127.0.0.1:${api.port}/api/v1/printers?token=${TOKEN}`);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).printers[0].name, "Office_Laser");
+});
+
+test("a submitted job can be polled until it completes", async (t) => {
+    const api = await startApi(t);
+    const submit = await api.request("POST", "/jobs", { body: { order_id: "A1", images_urls: ["https://files.example.com/a.pdf"] } });
+    assert.equal(submit.status, 202);
+    assert.equal(submit.body.jobId, "job-1");
+    assert.equal((await api.request("GET", "/jobs/job-1")).body.status, "queued");
+
+    api.target.send("PRINT_PROGRESS", { jobId: "job-1", fileIndex: 0, totalFiles: 1, status: "printing" });
+    const running = (await api.request("GET", "/jobs/job-1")).body;
+    assert.equal(running.status, "running");
+    assert.equal(running.order_id, "A1");
+    assert.equal(running.progress.status, "printing");
+
+    api.target.send("PRINT_SUCCESSFULLY_DONE", { jobId: "job-1", success: true });
+    api.target.send("PRINT_PROGRESS", { jobId: "job-1", fileIndex: -1, totalFiles: 1, status: "completed" });
+    const done = (await api.request("GET", "/jobs/job-1")).body;
+    assert.equal(done.status, "completed");
+    assert.equal(done.result.success, true);
+
+    assert.equal((await api.request("GET", "/jobs/job-9")).status, 404);
+});
+
+test("invalid jobs are rejected with their code and field", async (t) => {
+    const api = await startApi(t);
+    const { status, body } = await api.request("POST", "/jobs", { body: { order_id: "B2" } });
+    assert.equal(status, 400);
+    assert.equal(body.code, "required");
+    assert.equal(body.field, "images_urls");
+    assert.equal(api.submitted.length, 0);
+});
+
+test("a cancelled job stays cancelled", async (t) => {
+    const api = await startApi(t);
+    await api.request("POST", "/jobs", { body: { images_urls: ["https://files.example.com/a.pdf"] } });
+    api.target.send("PRINT_PROGRESS", { jobId: "job-1", fileIndex: 0, totalFiles: 1, status: "rendering" });
+
+    const cancel = await api.request("POST", "/jobs/job-1/cancel");
+    assert.equal(cancel.status, 200);
+    assert.deepEqual(api.controls, [["job-1", "cancel"]]);
+    assert.equal((await api.request("POST", "/jobs/job-2/pause")).status, 409);
+
+    // runPrintJob reports the cancellation, then sends a last progress event
+    api.target.send("PRINT_ERROR", { jobId: "job-1", errorType: "cancelled", error: "Print job cancelled" });
+    api.target.send("PRINT_PROGRESS", { jobId: "job-1", fileIndex: -1, totalFiles: 1, status: "cancelled" });
+    assert.equal((await api.request("GET", "/jobs/job-1")).body.status, "cancelled");
+});
+
+test("WebSocket clients get the events of the job they follow", async (t) => {
+    const api = await startApi(t);
+    assert.equal((await new Promise((resolve) => {
+        const rejected = new WebSocket(`ws://127.0.0.1:${api.port}/api/v1/events`);
+        rejected.on("error", () => resolve("rejected"));
+        rejected.on("open", () => resolve("open"));
+    })), "rejected");
+
+    const client = new WebSocket(`ws://127.0.0.1:${api.port}/api/v1/events?jobId=job-2&token=${TOKEN}`);
+    await new Promise((resolve) => client.on("open", resolve));
+    const received = new Promise((resolve) => client.on("message", (message) => resolve(JSON.parse(message))));
+    api.target.send("PRINT_PROGRESS", { jobId: "job-1", status: "printing" });
+    api.target.send("PRINT_PROGRESS", { jobId: "job-2", status: "rendering" });
+    assert.deepEqual(await received, { type: "PRINT_PROGRESS", data: { jobId: "job-2", status: "rendering" } });
+    client.close();
+});
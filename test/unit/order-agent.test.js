@@ -0,0 +1,244 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { spawn } = require("child_process");
+const { createPrintQueue, FILE_STATES, JOB_SOURCES } = require("../../lib/print-queue");
+const { loadAgentConfig, createOrderLedger, createOrderAgent } = require("../../lib/order-agent");
+
+require("../../lib/logger").configure({ console: false });
+
+/** Order backend on a random port: serves `orders`, answers 409 for `taken`, records results */
+async function startBackend({ orders, taken = [] }) {
+    const backend = { orders, claims: [], results: [], authorization: [] };
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            backend.authorization.push(req.headers.authorization);
+            const send = (status, data) => {
+                res.writeHead(status, { "Content-Type": "application/json" });
+                res.end(JSON.stringify(data));
+            };
+            const match = /^\/orders\/([^/]+)\/(claim|result)$/.exec(req.url);
+            if (req.method === "GET" && req.url.startsWith("/orders?")) return send(200, { orders: backend.orders });
+            if (match && match[2] === "claim") {
+                if (taken.includes(match[1])) return send(409, {});
+                backend.claims.push(match[1]);
+                return send(200, { claim_id: `claim-${match[1]}` });
+            }
+            if (match && match[2] === "result") {
+                backend.results.push({ orderId: match[1], ...JSON.parse(body) });
+                return send(200, {});
+            }
+            send(404, {});
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    backend.endpoint = `http://127.0.0.1:${server.address().port}`;
+    backend.close = () => new Promise((resolve) => server.close(resolve));
+    return backend;
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error("Timed out waiting for the order agent");
+        await new Promise((r) => setTimeout(r, 10));
+    }
+}
+
+/** scripts/mock-order-server.js on a free port; resolves with { endpoint, request(method, path, body), stop() } */
+function startMockServer() {
+    const child = spawn(process.execPath, [path.join(__dirname, "../../scripts/mock-order-server.js"), "--port", "0"]);
+    const endpoint = new Promise((resolve, reject) => {
+        let output = "";
+        child.stdout.on("data", (chunk) => {
+            output += chunk;
+            const match = /order backend on (http:\/\/[\d.:]+)/.exec(output);
+            if (match) resolve(match[1]);
+        });
+        child.on("exit", (code) => reject(new Error(`mock order server exited (${code})`)));
+    });
+    return endpoint.then((url) => ({
+        endpoint: url,
+        request: async (method, pathname, body) => {
+            const res = await fetch(url + pathname, { method, body: body && JSON.stringify(body) });
+            return res.json();
+        },
+        stop: () => new Promise((resolve) => {
+            child.once("exit", resolve);
+            child.kill();
+        }),
+    }));
+}
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), "hostego-agent-test-"));
+}
+
+test("loadAgentConfig validates the config file", () => {
+    const dir = tempDir();
+    const file = path.join(dir, "order-agent.json");
+    assert.equal(loadAgentConfig(file), null);
+    fs.writeFileSync(file, JSON.stringify({ enabled: false, endpoint: "https://api.example.com" }));
+    assert.equal(loadAgentConfig(file), null);
+    fs.writeFileSync(file, JSON.stringify({ enabled: true, endpoint: "https://api.example.com/agent/", station_id: "counter-1" }));
+    assert.deepEqual(loadAgentConfig(file), {
+        endpoint: "https://api.example.com/agent",
+        token: null,
+        stationId: "counter-1",
+        pollIntervalMs: 5000,
+        longPollSeconds: 0,
+    });
+    fs.writeFileSync(file, JSON.stringify({ enabled: true, endpoint: "ftp://api.example.com" }));
+    assert.throws(() => loadAgentConfig(file), { errorType: "invalid_agent_config" });
+    fs.writeFileSync(file, JSON.stringify({ enabled: true, endpoint: "https://api.example.com", poll_interval_ms: 10 }));
+    assert.throws(() => loadAgentConfig(file), { errorType: "invalid_agent_config" });
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("orders are claimed, printed once and reported, even after a restart", async () => {
+    const dir = tempDir();
+    const ledgerPath = path.join(dir, "order-ledger.json");
+    const backend = await startBackend({
+        orders: [
+            { order_id: "A1", job: { images_urls: ["https://files.example.com/a.pdf"] } },
+            { order_id: "B2", job: { images_urls: ["https://files.example.com/b.pdf"] } },
+        ],
+        taken: ["B2"],
+    });
+    const config = { endpoint: backend.endpoint, token: "secret", stationId: "counter-1", pollIntervalMs: 20, longPollSeconds: 0 };
+    const printed = [];
+    const runJob = async (job) => {
+        printed.push(job.order_id);
+        return { jobId: printed.length, status: "completed", summary: { printed: 1, failed: 0, skipped: 0, pending: 0 } };
+    };
+
+    const agent = createOrderAgent({ config, ledger: createOrderLedger(ledgerPath), runJob });
+    agent.start();
+    await waitFor(() => backend.results.length === 1);
+    agent.stop();
+
+    assert.deepEqual(printed, ["A1"]);
+    assert.deepEqual(backend.claims, ["A1"]);
+    assert.equal(backend.results[0].orderId, "A1");
+    assert.equal(backend.results[0].claim_id, "claim-A1");
+    assert.equal(backend.results[0].status, "completed");
+    assert.ok(backend.authorization.every((value) => value === "Bearer secret"));
+    assert.equal(agent.status().printed, 1);
+
+    // A new agent on the same ledger sees A1 again but does not print it
+    const restarted = createOrderAgent({ config, ledger: createOrderLedger(ledgerPath), runJob });
+    restarted.start();
+    const polls = backend.authorization.length;
+    await waitFor(() => backend.authorization.length >= polls + 4);
+    restarted.stop();
+    assert.deepEqual(printed, ["A1"]);
+
+    await backend.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("an order left printing by a crash is reported as interrupted, not reprinted", async () => {
+    const dir = tempDir();
+    const ledgerPath = path.join(dir, "order-ledger.json");
+    createOrderLedger(ledgerPath).set("C3", { state: "printing", claimId: "claim-C3", jobId: 7, reported: false });
+    const backend = await startBackend({ orders: [{ order_id: "C3", images_urls: ["https://files.example.com/c.pdf"] }] });
+    const config = { endpoint: backend.endpoint, token: null, stationId: "counter-1", pollIntervalMs: 20, longPollSeconds: 0 };
+    let runs = 0;
+
+    const agent = createOrderAgent({ config, ledger: createOrderLedger(ledgerPath), runJob: async () => ({ status: "completed", jobId: ++runs }) });
+    agent.start();
+    await waitFor(() => backend.results.length === 1);
+    agent.stop();
+
+    assert.equal(runs, 0);
+    assert.equal(backend.results[0].orderId, "C3");
+    assert.equal(backend.results[0].status, "failed");
+    assert.equal(backend.results[0].errorType, "interrupted");
+
+    await backend.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("after a crash an agent order is reported as interrupted and left out of the resumable queue", async () => {
+    const dir = tempDir();
+    const ledgerPath = path.join(dir, "order-ledger.json");
+    const queuePath = path.join(dir, "print-queue.json");
+    const server = await startMockServer();
+    await server.request("POST", "/orders", { order_id: "D4", job: { images_urls: ["https://files.example.com/d1.pdf", "https://files.example.com/d2.pdf"] } });
+    const config = { endpoint: server.endpoint, token: null, stationId: "counter-1", pollIntervalMs: 20, longPollSeconds: 0 };
+
+    // The first file prints, then the app dies: runJob never settles
+    const queue = createPrintQueue(queuePath);
+    let runs = 0;
+    const crashingJob = (job) => {
+        runs++;
+        const entry = queue.add(runs, job, { source: JOB_SOURCES.ORDER_AGENT });
+        queue.setFileState(entry.queueId, 0, FILE_STATES.PRINTED);
+        return new Promise(() => {});
+    };
+    const agent = createOrderAgent({ config, ledger: createOrderLedger(ledgerPath), runJob: crashingJob });
+    agent.start();
+    await waitFor(() => runs === 1);
+    agent.stop();
+
+    // Next start: the queue still holds the job, marked as the agent's, so the app does not resume it...
+    const [interrupted] = createPrintQueue(queuePath).getInterrupted();
+    assert.equal(interrupted.source, JOB_SOURCES.ORDER_AGENT);
+    assert.equal(interrupted.job.order_id, "D4");
+
+    // ...and the agent reports it to the backend instead of printing it again
+    const restarted = createOrderAgent({ config, ledger: createOrderLedger(ledgerPath), runJob: crashingJob });
+    restarted.start();
+    let results = [];
+    await waitFor(async () => (results = (await server.request("GET", "/results")).results).length === 1);
+    restarted.stop();
+    assert.equal(runs, 1);
+    assert.equal(results[0].order_id, "D4");
+    assert.equal(results[0].status, "failed");
+    assert.equal(results[0].errorType, "interrupted");
+
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("pausing while an order prints leaves the agent paused", async (t) => {
+    const dir = tempDir();
+    const backend = await startBackend({
+        orders: [
+            { order_id: "E5", job: { images_urls: ["https://files.example.com/e.pdf"] } },
+            { order_id: "F6", job: { images_urls: ["https://files.example.com/f.pdf"] } },
+        ],
+    });
+    const config = { endpoint: backend.endpoint, token: null, stationId: "counter-1", pollIntervalMs: 20, longPollSeconds: 0 };
+    const printed = [];
+    let agent;
+    const runJob = async (job) => {
+        printed.push(job.order_id);
+        if (job.order_id === "E5") agent.pause();
+        return { jobId: printed.length, status: "completed" };
+    };
+
+    agent = createOrderAgent({ config, ledger: createOrderLedger(path.join(dir, "order-ledger.json")), runJob });
+    t.after(async () => {
+        agent.stop();
+        await backend.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    agent.start();
+    await waitFor(() => backend.results.length === 1);
+    assert.equal(agent.status().state, "paused");
+    assert.equal(agent.status().currentOrder, null);
+    // The next order waits until the agent is resumed
+    await new Promise((r) => setTimeout(r, 100));
+    assert.deepEqual(printed, ["E5"]);
+    assert.equal(agent.status().state, "paused");
+
+    agent.resume();
+    await waitFor(() => backend.results.length === 2);
+    assert.deepEqual(printed, ["E5", "F6"]);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { describeFile, summarizeAnalysis } = require("../../lib/page-analysis");
+const { resolveFileOptions } = require("../../lib/print-options");
+
+// A4 portrait in PDF points
+const a4 = (colorRatio = 0) => ({ width: 595, height: 842, colorRatio });
+const optionsFor = (job) => resolveFileOptions({ images_urls: ["https://files.hostego.in/a.pdf"], ...job }, 0);
+
+test("describeFile counts the PDF pages, sizes and orientation", () => {
+    const file = describeFile([a4(), { width: 842, height: 595, colorRatio: 0 }], optionsFor({}), true);
+    assert.equal(file.pageCount, 2);
+    assert.deepEqual(file.pages[0], { page: 1, width: 210, height: 297, unit: "mm", orientation: "portrait", color: false });
+    assert.equal(file.pages[1].orientation, "landscape");
+    assert.deepEqual(file.selectedPages, [1, 2]);
+});
+
+test("describeFile counts sides and sheets from page ranges, copies, duplex and N-up", () => {
+    const pages = [a4(), a4(), a4(), a4(), a4()];
+
+    const ranged = describeFile(pages, optionsFor({ page_ranges: "2-4", copies: 2 }), true);
+    assert.equal(ranged.pageCount, 5);
+    assert.deepEqual(ranged.selectedPages, [2, 3, 4]);
+    assert.equal(ranged.sides, 6);
+    assert.equal(ranged.sheets, 6);
+
+    const duplex = describeFile(pages, optionsFor({ duplex_modes: "long_edge" }), true);
+    assert.equal(duplex.sides, 5);
+    assert.equal(duplex.sheets, 3);
+
+    const twoUp = describeFile(pages, optionsFor({ duplex_modes: "long_edge", pages_per_sheet: 2 }), true);
+    assert.equal(twoUp.pagesPerSheet, 2);
+    assert.equal(twoUp.sides, 3);
+    assert.equal(twoUp.sheets, 2);
+});
+
+test("describeFile marks a page colour only above the colour pixel threshold", () => {
+    const pages = [a4(0), a4(0.002), a4(0.5), a4(0.003)];
+    const file = describeFile(pages, optionsFor({}), true);
+    assert.deepEqual(file.pages.map((p) => p.color), [false, false, true, true]);
+    assert.equal(file.colorPages, 2);
+    assert.equal(file.monoPages, 2);
+    assert.equal(file.colorSides, 2);
+    assert.equal(file.monoSides, 2);
+});
+
+test("describeFile counts a side as colour when any page on it is, and only for colour files", () => {
+    const pages = [a4(0), a4(0), a4(0.5), a4(0)];
+
+    const twoUp = describeFile(pages, optionsFor({ pages_per_sheet: 2, copies: 3 }), true);
+    assert.equal(twoUp.colorSides, 3);
+    assert.equal(twoUp.monoSides, 3);
+
+    const black = describeFile(pages, optionsFor({ color_mode: "black" }), true);
+    assert.equal(black.colorMode, "black");
+    assert.equal(black.colorPages, 1);
+    assert.equal(black.colorSides, 0);
+    assert.equal(black.monoSides, 4);
+});
+
+test("describeFile prints an image as one page in pixels, ignoring page ranges and N-up", () => {
+    const file = describeFile(
+        [{ width: 4000, height: 3000, colorRatio: 0.4 }],
+        optionsFor({ page_ranges: "2-3", pages_per_sheet: 4 }),
+        false
+    );
+    assert.deepEqual(file.pages, [{ page: 1, width: 4000, height: 3000, unit: "px", orientation: "landscape", color: true }]);
+    assert.deepEqual(file.selectedPages, [1]);
+    assert.equal(file.pagesPerSheet, 1);
+    assert.equal(file.colorSides, 1);
+    assert.equal(file.sheets, 1);
+});
+
+test("summarizeAnalysis totals the analysed files and counts failed ones", () => {
+    const pdf = describeFile([a4(0.5), a4(), a4()], optionsFor({ copies: 2 }), true);
+    const image = describeFile([{ width: 800, height: 600, colorRatio: 0 }], optionsFor({}), false);
+    const totals = summarizeAnalysis([pdf, image, { fileIndex: 2, error: "Could not load image", errorType: "render_failed" }]);
+    assert.deepEqual(totals, { files: 3, failed: 1, pages: 4, sides: 7, colorSides: 2, monoSides: 5, sheets: 7 });
+});
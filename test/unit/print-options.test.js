@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    PAPER_SIZES,
+    getFileOption,
+    parsePageRanges,
+    selectPages,
+    normalizeDuplexMode,
+    normalizeCopies,
+    normalizeFitMode,
+    normalizeWatermark,
+    resolveFileOptions,
+} = require("../../lib/print-options");
+
+test("getFileOption prefers the per-file entry, then a single value, then the job-wide key", () => {
+    const job = { color_modes: ["black", null], color_mode: "color", copies: 2 };
+    assert.equal(getFileOption(job, "color_modes", 0, "color_mode"), "black");
+    assert.equal(getFileOption(job, "color_modes", 1, "color_mode"), "color");
+    assert.equal(getFileOption(job, "copies", 5), 2);
+});
+
+test("parsePageRanges accepts lists, open ranges, numbers and objects", () => {
+    assert.equal(parsePageRanges("all"), null);
+    assert.deepEqual(parsePageRanges("1,3-4"), [{ from: 1, to: 1 }, { from: 3, to: 4 }]);
+    assert.deepEqual(parsePageRanges("5-"), [{ from: 5, to: Infinity }]);
+    assert.deepEqual(parsePageRanges([2, { from: 4, to: 6 }]), [{ from: 2, to: 2 }, { from: 4, to: 6 }]);
+});
+
+test("parsePageRanges rejects malformed and backwards ranges with the file index", () => {
+    assert.throws(() => parsePageRanges("a-b", 2), { errorType: "invalid_print_options", fileIndex: 2 });
+    assert.throws(() => parsePageRanges("5-3"), { errorType: "invalid_print_options" });
+    assert.throws(() => parsePageRanges("0"), { errorType: "invalid_print_options" });
+});
+
+test("selectPages clips ranges to the document", () => {
+    assert.deepEqual(selectPages(null, 3), [1, 2, 3]);
+    assert.deepEqual(selectPages(parsePageRanges("2-"), 4), [2, 3, 4]);
+    assert.deepEqual(selectPages(parsePageRanges("3-10"), 4), [3, 4]);
+});
+
+test("normalizers map aliases and reject unknown values", () => {
+    assert.equal(normalizeDuplexMode(true), "longEdge");
+    assert.equal(normalizeDuplexMode("short-edge"), "shortEdge");
+    assert.throws(() => normalizeDuplexMode("both"), { errorType: "invalid_print_options" });
+    assert.equal(normalizeCopies("3"), 3);
+    assert.throws(() => normalizeCopies(0), { errorType: "invalid_print_options" });
+    assert.equal(normalizeFitMode("cover"), "fill");
+    assert.equal(normalizeWatermark("  COPY "), "COPY");
+    assert.throws(() => normalizeWatermark("x".repeat(41)), { errorType: "invalid_print_options" });
+});
+
+test("resolveFileOptions falls back to defaults", () => {
+    const options = resolveFileOptions({ images_urls: ["a.pdf"], color_mode: "black" }, 0);
+    assert.equal(options.isColor, false);
+    assert.equal(options.pageRanges, null);
+    assert.equal(options.duplexMode, "simplex");
+    assert.equal(options.copies, 1);
+    assert.equal(options.paperSize, PAPER_SIZES.A4);
+    assert.equal(options.orientation, "auto");
+    assert.equal(options.fitMode, "fit");
+    assert.equal(options.watermark, null);
+});
+
+test("the station's default paper size applies only when the job sends none", () => {
+    const job = { images_urls: ["a.pdf", "b.pdf"], paper_sizes: [null, "A3"] };
+    assert.equal(resolveFileOptions(job, 0, { paperSize: "LETTER" }).paperSize, PAPER_SIZES.LETTER);
+    assert.equal(resolveFileOptions(job, 1, { paperSize: "LETTER" }).paperSize, PAPER_SIZES.A3);
+});
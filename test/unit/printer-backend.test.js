@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { JOB_STATES } = require("../../lib/spooler");
+const { describePrinter, classifyPrintFailure } = require("../../lib/printer-status");
+const { routeFile } = require("../../lib/printer-routing");
+const { FAKE_FAILURES, createFakeBackend, setPrinterBackend, getPrinterBackend } = require("../../lib/printer-backend");
+
+test("the fake backend records every print", async () => {
+    const backend = createFakeBackend();
+    const [printer] = await backend.getPrinters();
+    assert.equal(printer.name, "Fake Printer");
+    assert.equal(printer.isDefault, true);
+    assert.equal(describePrinter(printer, "linux").isAvailable, true);
+
+    const result = await backend.print(null, { silent: true, copies: 2 });
+    assert.deepEqual(result, { success: true, failureReason: null });
+    assert.equal(backend.jobs.length, 1);
+    assert.equal(backend.jobs[0].printerName, "Fake Printer");
+    assert.equal(backend.jobs[0].options.copies, 2);
+});
+
+test("queued failures are reported once each, in order", async () => {
+    const backend = createFakeBackend();
+    backend.failNext("no_paper");
+    backend.failNext("paper_jam", 2);
+    assert.deepEqual(await backend.print(null, {}), { success: false, failureReason: FAKE_FAILURES.no_paper });
+    assert.equal((await backend.print(null, {})).failureReason, FAKE_FAILURES.paper_jam);
+    assert.equal((await backend.print(null, {})).failureReason, FAKE_FAILURES.paper_jam);
+    assert.equal((await backend.print(null, {})).success, true);
+    assert.equal(backend.jobs.filter((job) => !job.success).length, 3);
+
+    backend.reset();
+    assert.equal(backend.jobs.length, 0);
+});
+
+test("printer state changes show up in getPrinters()", async () => {
+    const backend = createFakeBackend({ printers: [{ name: "Colour" }, { name: "Mono", isDefault: true }] });
+    backend.setPrinterState("Colour", { status: 5, reasons: ["media-empty-error"] });
+    const [colour, mono] = (await backend.getPrinters()).map((p) => describePrinter(p, "linux"));
+    assert.equal(colour.isAvailable, false);
+    assert.deepEqual(colour.reasons, ["no_paper"]);
+    assert.equal(mono.isAvailable, true);
+    assert.equal((await backend.print(null, {})).success, true);
+    assert.equal(backend.jobs[0].printerName, "Mono");
+    assert.throws(() => backend.setPrinterState("Missing", {}));
+});
+
+test("the fake spooler finishes printed jobs at once", async () => {
+    const backend = createFakeBackend();
+    const before = await backend.spooler.snapshot("Fake Printer");
+    await backend.print(null, { deviceName: "Fake Printer" });
+    const jobId = await backend.spooler.findNewJob("Fake Printer", before);
+    assert.equal(jobId, backend.jobs[0].id);
+    assert.equal((await backend.spooler.waitForJob("Fake Printer", jobId)).state, JOB_STATES.COMPLETED);
+    assert.equal(await backend.spooler.activeJobCount("Fake Printer"), 0);
+});
+
+test("routing skips fake printers that are out of paper", async () => {
+    const backend = createFakeBackend({ printers: [{ name: "Colour" }, { name: "Mono 1" }, { name: "Mono 2" }] });
+    backend.setPrinterState("Mono 1", { reasons: ["media-empty-error"] });
+    const config = {
+        printers: [{ name: "Colour", color: true }, { name: "Mono 1", color: false }, { name: "Mono 2", color: false }],
+        strategy: "least_busy",
+        blackOnColorPrinters: true,
+        failover: true,
+    };
+    const route = async (isColor) => routeFile(config, { printers: await backend.getPrinters(), isColor, activeJobs: backend.spooler.activeJobCount });
+    assert.equal(await route(false), "Mono 2");
+    assert.equal(await route(true), "Colour");
+});
+
+test("setPrinterBackend replaces the active backend", () => {
+    const backend = createFakeBackend();
+    setPrinterBackend(backend);
+    assert.equal(getPrinterBackend(), backend);
+    setPrinterBackend(null);
+    assert.equal(getPrinterBackend().name, "electron");
+});
+
+test("fake failure reasons are classified like the driver messages they imitate", () => {
+    const expected = { no_paper: "no_paper", paper_jam: "paper_jam", offline: "printer_offline", cover_open: "printer_cover_open", no_ink: "no_ink" };
+    for (const [kind, reason] of Object.entries(FAKE_FAILURES)) {
+        assert.equal(classifyPrintFailure(reason).errorType, expected[kind], reason);
+    }
+});
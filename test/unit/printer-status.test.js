@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PRINTER_STATES, describePrinter, createPrinterMonitor, classifyPrintFailure } = require("../../lib/printer-status");
+
+const cups = (status, reasons = "none") => ({ name: "Office_Laser", status, options: { "printer-state-reasons": reasons } });
+
+test("CUPS printer states and reasons are normalised", () => {
+    assert.equal(describePrinter(cups(3), "linux").state, PRINTER_STATES.READY);
+    assert.equal(describePrinter(cups(4), "linux").state, PRINTER_STATES.PRINTING);
+    assert.equal(describePrinter(cups(5), "linux").state, PRINTER_STATES.PAUSED);
+
+    const jammed = describePrinter(cups(3, "media-jam-error"), "linux");
+    assert.equal(jammed.state, PRINTER_STATES.ERROR);
+    assert.deepEqual(jammed.reasons, ["paper_jam"]);
+    assert.equal(jammed.isAvailable, false);
+
+    assert.equal(describePrinter(cups(3, "offline-report"), "linux").state, PRINTER_STATES.OFFLINE);
+    // low ink is only a warning
+    assert.equal(describePrinter(cups(3, "toner-low-warning"), "linux").isAvailable, true);
+});
+
+test("Windows status flags are normalised", () => {
+    assert.equal(describePrinter({ name: "P", status: 0 }, "win32").state, PRINTER_STATES.READY);
+    assert.deepEqual(describePrinter({ name: "P", status: 0x10 }, "win32").reasons, ["no_paper"]);
+    assert.equal(describePrinter({ name: "P", status: 0x80 }, "win32").state, PRINTER_STATES.OFFLINE);
+});
+
+test("text statuses from some drivers are understood", () => {
+    assert.equal(describePrinter({ name: "P", status: "Offline" }).state, PRINTER_STATES.OFFLINE);
+    assert.equal(describePrinter({ name: "P", status: "Idle" }).state, PRINTER_STATES.READY);
+});
+
+test("failed prints are classified from the driver's reason", () => {
+    assert.equal(classifyPrintFailure("Paper jam").errorType, "paper_jam");
+    assert.equal(classifyPrintFailure("Paper jammed in tray 2").errorType, "paper_jam");
+    assert.equal(classifyPrintFailure("Out of paper").errorType, "no_paper");
+    assert.equal(classifyPrintFailure("Toner cartridge empty").errorType, "no_ink");
+    assert.equal(classifyPrintFailure("Printer is offline").errorType, "printer_offline");
+    assert.equal(classifyPrintFailure("Cover open").errorType, "printer_cover_open");
+    assert.deepEqual(classifyPrintFailure("Spooler crashed"), { errorType: "printer_error", message: "Spooler crashed" });
+    assert.equal(classifyPrintFailure(null).message, "Print failed");
+});
@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_RETRY_POLICY, resolveRetryPolicy, decideRetry } = require("../../lib/retry-policy");
+
+const failure = (errorType) => Object.assign(new Error(errorType), { errorType });
+
+test("job options override the defaults", () => {
+    assert.deepEqual(resolveRetryPolicy(undefined), DEFAULT_RETRY_POLICY);
+    const policy = resolveRetryPolicy({ max_attempts: 0, base_delay_ms: 10, wait_for_operator: [] });
+    assert.equal(policy.maxAttempts, 1);
+    assert.equal(policy.baseDelayMs, 10);
+    assert.deepEqual(policy.waitForOperator, []);
+    assert.deepEqual(policy.autoRetry, DEFAULT_RETRY_POLICY.autoRetry);
+});
+
+test("temporary errors back off exponentially up to maxAttempts", () => {
+    const policy = resolveRetryPolicy({ base_delay_ms: 100, max_delay_ms: 150 });
+    assert.deepEqual(decideRetry(policy, failure("download_failed"), 1), { action: "retry", delayMs: 100 });
+    assert.deepEqual(decideRetry(policy, failure("download_failed"), 2), { action: "retry", delayMs: 150 });
+    assert.deepEqual(decideRetry(policy, failure("download_failed"), 3), { action: "fail" });
+});
+
+test("printer problems wait for the operator; other errors fail", () => {
+    const policy = resolveRetryPolicy();
+    for (const errorType of ["no_paper", "paper_jam", "printer_offline"]) {
+        assert.deepEqual(decideRetry(policy, failure(errorType), 1), { action: "operator" });
+    }
+    assert.deepEqual(decideRetry(policy, new Error("boom"), 1), { action: "fail" });
+    assert.deepEqual(decideRetry(resolveRetryPolicy({ wait_for_operator: [] }), failure("no_paper"), 1), { action: "fail" });
+});
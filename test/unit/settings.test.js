@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("../../lib/logger").configure({ console: false });
+const { DEFAULT_SETTINGS, createSettingsStore } = require("../../lib/settings");
+
+function settingsFile(data) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hostego-settings-test-")), "settings.json");
+    if (data !== undefined) fs.writeFileSync(file, typeof data === "string" ? data : JSON.stringify(data));
+    return file;
+}
+
+test("a new station starts with the defaults", () => {
+    const settings = createSettingsStore(settingsFile()).get();
+    assert.deepEqual(settings, DEFAULT_SETTINGS);
+    assert.equal(settings.partnerUrl, "https://hostego.in/printego-partner");
+    assert.equal(settings.pdfLoadTimeoutMs, 30000);
+    assert.equal(settings.downloadCacheRetentionHours, 24);
+});
+
+test("invalid or unreadable values fall back to the defaults", () => {
+    const settings = createSettingsStore(settingsFile({
+        partner_url: "https://evil.example/printego-partner",
+        render_dpi: 5000,
+        page_load_timeout_ms: 20000,
+        default_paper_size: "letter",
+    })).get();
+    assert.equal(settings.partnerUrl, DEFAULT_SETTINGS.partnerUrl);
+    assert.equal(settings.renderDpi, DEFAULT_SETTINGS.renderDpi);
+    assert.equal(settings.pageLoadTimeoutMs, 20000);
+    assert.equal(settings.defaultPaperSize, "LETTER");
+    assert.deepEqual(createSettingsStore(settingsFile("{not json")).get(), DEFAULT_SETTINGS);
+});
+
+test("updates are validated and saved as snake_case JSON", () => {
+    const file = settingsFile();
+    const store = createSettingsStore(file);
+    const saved = store.update({
+        partnerUrl: "https://staging.hostego.in/printego-partner",
+        defaultPrinters: { color: " Epson_L3250 ", black: "" },
+        renderDpi: "300",
+        pdfExportDir: path.join(os.tmpdir(), "orders"),
+    });
+    assert.equal(saved.partnerUrl, "https://staging.hostego.in/printego-partner");
+    assert.deepEqual(saved.defaultPrinters, { color: "Epson_L3250", black: null });
+    assert.equal(saved.renderDpi, 300);
+    assert.equal(saved.pdfExportDir, path.join(os.tmpdir(), "orders"));
+
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    assert.equal(data.render_dpi, 300);
+    assert.deepEqual(data.default_printers, { color: "Epson_L3250", black: null });
+    assert.deepEqual(createSettingsStore(file).get(), saved);
+});
+
+test("an invalid update changes nothing", () => {
+    const file = settingsFile();
+    const store = createSettingsStore(file);
+    assert.throws(() => store.update({ renderDpi: 200, pdfRenderWaitMs: -1 }), { errorType: "invalid_settings", field: "pdf_render_wait_ms" });
+    assert.throws(() => store.update({ partnerUrl: "http://hostego.in/printego-partner" }), { field: "partner_url" });
+    assert.throws(() => store.update({ colour: "red" }), { field: "colour" });
+    assert.throws(() => store.update({ downloadCacheRetentionHours: 0 }), { field: "download_cache_retention_hours" });
+    assert.throws(() => store.update({ pdfExportDir: "relative/folder" }), { field: "pdf_export_dir" });
+    assert.equal(store.get().renderDpi, DEFAULT_SETTINGS.renderDpi);
+    assert.equal(fs.existsSync(file), false);
+});
+
+test("get() returns a copy", () => {
+    const store = createSettingsStore(settingsFile());
+    store.get().defaultPrinters.color = "Changed";
+    assert.equal(store.get().defaultPrinters.color, null);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { JOB_STATES, parseLpstat, stateFromCupsReasons, stateFromWindowsStatus, createSpoolerTracker } = require("../../lib/spooler");
+
+require("../../lib/logger").configure({ console: false });
+
+const LPSTAT = [
+    "Office_Laser-41          hostego        1024   Mon 19 Oct 2026 10:00:00",
+    "\tStatus: Media jam",
+    "\tAlerts: job-printing media-jam-error",
+    "\tqueued for Office_Laser",
+    "Office_Laser-42          hostego        2048   Mon 19 Oct 2026 10:01:00",
+    "\tAlerts: job-completed-successfully",
+    "",
+].join("\n");
+
+test("parseLpstat reads job IDs, alerts and status", () => {
+    assert.deepEqual(parseLpstat(LPSTAT), [
+        { id: "41", reasons: ["job-printing", "media-jam-error"], message: "Media jam" },
+        { id: "42", reasons: ["job-completed-successfully"], message: "" },
+    ]);
+    assert.deepEqual(parseLpstat(""), []);
+});
+
+test("CUPS job-state-reasons map to job states", () => {
+    assert.equal(stateFromCupsReasons(["job-completed-successfully"]), JOB_STATES.COMPLETED);
+    assert.equal(stateFromCupsReasons(["job-canceled-by-user"]), JOB_STATES.CANCELLED);
+    assert.equal(stateFromCupsReasons(["aborted-by-system"]), JOB_STATES.ABORTED);
+    assert.equal(stateFromCupsReasons(["job-hold-until-specified"]), JOB_STATES.HELD);
+    assert.equal(stateFromCupsReasons(["job-printing"]), JOB_STATES.PRINTING);
+    assert.equal(stateFromCupsReasons(["none"]), null);
+});
+
+test("Windows job statuses map to job states", () => {
+    assert.equal(stateFromWindowsStatus("Printing, Retained"), JOB_STATES.PRINTING);
+    assert.equal(stateFromWindowsStatus("PaperOut"), JOB_STATES.HELD);
+    assert.equal(stateFromWindowsStatus("Deleting"), JOB_STATES.CANCELLED);
+    assert.equal(stateFromWindowsStatus(""), JOB_STATES.PENDING);
+});
+
+test("Windows tracker decodes the numeric JobStatus PowerShell emits", async () => {
+    // Get-PrintJob | Select-Object Id,JobStatus | ConvertTo-Json -Compress, as Windows prints it
+    let output = '[{"Id":12,"JobStatus":8208},{"Id":13,"JobStatus":0}]';
+    const exec = async (file) => {
+        assert.equal(file, "powershell.exe");
+        return output;
+    };
+    const spooler = createSpoolerTracker({ platform: "win32", exec });
+    const jobs = await spooler.listJobs("Office Laser");
+    assert.deepEqual(jobs.map((job) => job.state), [JOB_STATES.PRINTING, JOB_STATES.PENDING]);
+    assert.deepEqual(jobs[0].reasons, ["printing", "retained"]);
+
+    output = '{"Id":13,"JobStatus":4224}';
+    assert.equal((await spooler.waitForJob("Office Laser", "13", { intervalMs: 1 })).state, JOB_STATES.COMPLETED);
+    output = '{"Id":13,"JobStatus":80}';
+    assert.equal((await spooler.waitForJob("Office Laser", "13", { intervalMs: 1 })).state, JOB_STATES.HELD);
+    output = '{"Id":13,"JobStatus":260}';
+    assert.equal((await spooler.waitForJob("Office Laser", "13", { intervalMs: 1 })).state, JOB_STATES.CANCELLED);
+});
+
+/** Tracker whose lpstat output comes from `outputs` ({ all, pending }), which tests may change */
+function cupsTracker(outputs) {
+    const exec = async (_file, args) => (args.includes("not-completed") ? outputs.pending : outputs.all);
+    return createSpoolerTracker({ platform: "linux", exec });
+}
+
+test("the tracker finds the job a print created and follows it to completion", async () => {
+    const outputs = { all: "", pending: "" };
+    const spooler = cupsTracker(outputs);
+    const before = await spooler.snapshot("Office_Laser");
+    assert.equal(before.size, 0);
+
+    outputs.all = "Office_Laser-7  hostego  1024  Mon 19 Oct 2026 10:00:00\n";
+    outputs.pending = outputs.all;
+    assert.equal(await spooler.findNewJob("Office_Laser", before, { intervalMs: 1 }), "7");
+    assert.equal(await spooler.activeJobCount("Office_Laser"), 1);
+
+    outputs.pending = "";
+    const job = await spooler.waitForJob("Office_Laser", "7", { intervalMs: 1 });
+    assert.equal(job.state, JOB_STATES.COMPLETED);
+    assert.equal(await spooler.activeJobCount("Office_Laser"), 0);
+});
+
+test("the tracker reports held jobs and gives up when the spooler is unavailable", async () => {
+    const outputs = { all: "Office_Laser-8  hostego  1024  date\n\tAlerts: job-hold-until-specified\n", pending: "Office_Laser-8  hostego  1024  date\n" };
+    const held = await cupsTracker(outputs).waitForJob("Office_Laser", "8", { intervalMs: 1 });
+    assert.equal(held.state, JOB_STATES.HELD);
+
+    const broken = createSpoolerTracker({
+        platform: "linux",
+        exec: async () => {
+            throw new Error("lpstat: not found");
+        },
+    });
+    assert.equal(await broken.snapshot("Office_Laser"), null);
+    assert.equal(await broken.findNewJob("Office_Laser", null), null);
+    const unknown = await broken.waitForJob("Office_Laser", "9", { intervalMs: 1, timeoutMs: 20 });
+    assert.equal(unknown.state, JOB_STATES.UNKNOWN);
+});
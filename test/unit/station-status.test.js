@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { summarizeStation } = require("../../lib/station-status");
+const { describePrinter } = require("../../lib/printer-status");
+
+const printer = (name, reasons = "none") => describePrinter({ name, status: 3, options: { "printer-state-reasons": reasons } }, "linux");
+
+test("an idle station", () => {
+    const station = summarizeStation({ printers: [printer("Office_Laser")] });
+    assert.equal(station.job, "No print job running");
+    assert.equal(station.queue, "No jobs waiting");
+    assert.equal(station.printers.label, "Printers: 1 ready");
+    assert.deepEqual(station.printers.items, ["Office_Laser – ready"]);
+    assert.equal(station.agent, null);
+    assert.equal(station.needsAttention, false);
+    assert.equal(station.tooltip, "Hostego Print – No jobs waiting");
+});
+
+test("a printing station with jobs waiting", () => {
+    const station = summarizeStation({
+        activeJob: { jobId: 7, order_id: "A-17", fileIndex: 1, totalFiles: 3, status: "printing" },
+        queued: 2,
+        printers: [printer("Office_Laser")],
+        agent: { state: "printing", currentOrder: "A-17" },
+    });
+    assert.equal(station.job, "Order A-17 – printing file 2 of 3");
+    assert.equal(station.queue, "2 jobs waiting");
+    assert.equal(station.agent, "Order agent: printing order A-17");
+    assert.equal(station.tooltip, "Hostego Print – Order A-17 – printing file 2 of 3");
+});
+
+test("printer problems and operator waits need attention", () => {
+    const station = summarizeStation({
+        activeJob: { jobId: 8, fileIndex: 0, totalFiles: 1, status: "waiting", errorType: "no_paper" },
+        queued: 1,
+        printers: [printer("Office_Laser", "media-empty-error"), printer("Photo")],
+    });
+    assert.equal(station.job, "Job 8 – needs attention (no_paper)");
+    assert.equal(station.queue, "1 job waiting");
+    assert.equal(station.printers.label, "Printers: 1 ready, 1 need attention");
+    assert.equal(station.printers.items[0], "Office_Laser – error (no_paper)");
+    assert.equal(station.needsAttention, true);
+    assert.match(station.tooltip, /^Hostego Print – needs attention – /);
+    assert.equal(summarizeStation({ agent: { state: "error" } }).needsAttention, true);
+});
+
+test("long tooltips are shortened for Windows", () => {
+    const station = summarizeStation({ activeJob: { jobId: 1, order_id: "x".repeat(200), fileIndex: -1, status: "confirming" } });
+    assert.equal(station.tooltip.length, 127);
+});